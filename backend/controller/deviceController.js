@@ -0,0 +1,185 @@
+const crypto = require('crypto')
+const Device = require('../models/deviceModel')
+const Pairing = require('../models/pairingModel')
+const registry = require('../socket/registry')
+const mqttBridge = require('../mqtt/bridge')
+const { broadcastAvailablePhones } = require('../socket/phoneDirectory')
+
+const toJson = (device) => ({
+  deviceId: device.deviceId,
+  name: device.name,
+  model: device.model,
+  lastSeen: device.lastSeen,
+  createdAt: device.createdAt,
+  online: Boolean(registry.getPhone(device.deviceId))
+})
+
+// Tell the open ControlPanels of the owner and of any paired operators that the device list changed
+const notifyDevicesChanged = async (req, deviceId) => {
+  const io = req.app.get('io')
+  if (!io) return
+
+  const pairings = await Pairing.find({ deviceId, status: 'active' }).select('operator')
+  const userIds = new Set([req.user._id.toString(), ...pairings.map((pairing) => pairing.operator.toString())])
+  userIds.forEach((userId) => broadcastAvailablePhones(io, userId))
+}
+
+// POST /api/devices
+// Registers the calling device, or refreshes it if the stored deviceId is already known.
+const registerDevice = async (req, res) => {
+  const { deviceId, name, model } = req.body
+
+  try {
+    if (deviceId) {
+      const existing = await Device.findOne({ deviceId })
+
+      if (existing && !existing.owner.equals(req.user._id)) {
+        return res.status(403).json({error: 'Device is registered to another account'})
+      }
+
+      if (existing) {
+        if (model) existing.model = model
+        existing.lastSeen = Date.now()
+        await existing.save()
+        return res.status(200).json(toJson(existing))
+      }
+    }
+
+    const device = await Device.create({
+      deviceId: deviceId || `phone-${crypto.randomUUID()}`,
+      owner: req.user._id,
+      name: name || 'My phone',
+      model
+    })
+
+    await notifyDevicesChanged(req, device.deviceId)
+    res.status(201).json(toJson(device))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/devices
+const getDevices = async (req, res) => {
+  try {
+    const devices = await Device.find({ owner: req.user._id }).sort({ lastSeen: -1 })
+    res.status(200).json(devices.map(toJson))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// PATCH /api/devices/:deviceId
+const renameDevice = async (req, res) => {
+  const { name } = req.body
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({error: 'Device name is required'})
+  }
+
+  try {
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId, owner: req.user._id },
+      { name: name.trim() },
+      { new: true, runValidators: true }
+    )
+
+    if (!device) {
+      return res.status(404).json({error: 'No such device'})
+    }
+
+    await notifyDevicesChanged(req, device.deviceId)
+    res.status(200).json(toJson(device))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// DELETE /api/devices/:deviceId
+const deleteDevice = async (req, res) => {
+  try {
+    const device = await Device.findOneAndDelete({ deviceId: req.params.deviceId, owner: req.user._id })
+
+    if (!device) {
+      return res.status(404).json({error: 'No such device'})
+    }
+
+    // A deleted device that is still online loses its registration immediately
+    const io = req.app.get('io')
+    const phone = registry.getPhone(device.deviceId)
+    if (io && phone) {
+      io.to(phone.socketId).emit('device_removed', device.deviceId)
+      registry.removePhoneBySocket(phone.socketId)
+    }
+
+    mqttBridge.forgetDevice(device.deviceId)
+
+    // Operators lose the device together with its pairings
+    await notifyDevicesChanged(req, device.deviceId)
+    await Pairing.deleteMany({ deviceId: device.deviceId })
+
+    res.status(200).json(toJson(device))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+const mqttSettingsJson = (device) => ({
+  enabled: device.mqtt.enabled,
+  commandTopic: device.mqtt.commandTopic,
+  jointStatesTopic: device.mqtt.jointStatesTopic,
+  telemetryTopic: device.mqtt.telemetryTopic,
+  // What the topics resolve to right now, defaults included
+  resolved: mqttBridge.resolveTopics(device),
+  defaults: mqttBridge.DEFAULT_TOPICS,
+  brokerConnected: mqttBridge.isConnected()
+})
+
+// GET /api/devices/:deviceId/mqtt
+const getMqttSettings = async (req, res) => {
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId, owner: req.user._id })
+
+    if (!device) {
+      return res.status(404).json({error: 'No such device'})
+    }
+
+    res.status(200).json(mqttSettingsJson(device))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// PUT /api/devices/:deviceId/mqtt
+// Body: { enabled, commandTopic, jointStatesTopic, telemetryTopic }; empty topics use the defaults
+const updateMqttSettings = async (req, res) => {
+  const { enabled, commandTopic = '', jointStatesTopic = '', telemetryTopic = '' } = req.body || {}
+  if (![commandTopic, jointStatesTopic, telemetryTopic].every((topic) => typeof topic === 'string')) {
+    return res.status(400).json({error: 'Topics must be strings'})
+  }
+  const topics = { commandTopic: commandTopic.trim(), jointStatesTopic: jointStatesTopic.trim(), telemetryTopic: telemetryTopic.trim() }
+
+  const invalid = mqttBridge.validateTopics(topics, req.params.deviceId)
+  if (invalid) {
+    return res.status(400).json({error: invalid})
+  }
+
+  try {
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId, owner: req.user._id },
+      { mqtt: { enabled: Boolean(enabled), ...topics } },
+      { new: true, runValidators: true }
+    )
+
+    if (!device) {
+      return res.status(404).json({error: 'No such device'})
+    }
+
+    mqttBridge.configureDevice(device)
+    res.status(200).json(mqttSettingsJson(device))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+module.exports = { registerDevice, getDevices, renameDevice, deleteDevice, getMqttSettings, updateMqttSettings }
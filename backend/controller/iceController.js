@@ -0,0 +1,50 @@
+const crypto = require('crypto')
+
+const DEFAULT_STUN_URLS = 'stun:stun.l.google.com:19302'
+const TURN_CREDENTIAL_TTL_SECONDS = Number(process.env.TURN_CREDENTIAL_TTL_SECONDS) || 3600
+
+const splitUrls = (value) => (value || '').split(',').map((url) => url.trim()).filter(Boolean)
+
+// coturn's TURN REST API ("use-auth-secret"): the username carries its own expiry
+// and the password is an HMAC of it, so credentials stop working after the TTL
+const createTurnCredentials = (secret, userId) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL_SECONDS
+  const username = `${expiresAt}:${userId}`
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64')
+  return { username, credential }
+}
+
+const buildTurnServer = (userId) => {
+  const urls = splitUrls(process.env.TURN_URLS)
+  if (urls.length === 0) return null
+
+  if (process.env.TURN_SECRET) {
+    return { urls, ...createTurnCredentials(process.env.TURN_SECRET, userId) }
+  }
+  if (process.env.TURN_USERNAME) {
+    return { urls, username: process.env.TURN_USERNAME, credential: process.env.TURN_PASSWORD || '' }
+  }
+  console.warn('TURN_URLS is set without TURN_SECRET or TURN_USERNAME; skipping TURN')
+  return null
+}
+
+// GET /api/ice-servers
+// RTCPeerConnection configuration for both peers. An empty STUN_URLS disables STUN (e.g. on an isolated lab network).
+const getIceServers = (req, res) => {
+  const stunUrls = splitUrls(process.env.STUN_URLS ?? DEFAULT_STUN_URLS)
+  const turnServer = buildTurnServer(req.user._id.toString())
+
+  const iceServers = []
+  if (stunUrls.length > 0) iceServers.push({ urls: stunUrls })
+  if (turnServer) iceServers.push(turnServer)
+
+  res.status(200).json({
+    iceServers,
+    // 'relay' forces media through TURN; only meaningful when a TURN server is configured
+    iceTransportPolicy: turnServer && process.env.ICE_TRANSPORT_POLICY === 'relay' ? 'relay' : 'all',
+    // Clients should refetch before minted TURN credentials expire
+    ttl: turnServer && process.env.TURN_SECRET ? TURN_CREDENTIAL_TTL_SECONDS : null
+  })
+}
+
+module.exports = { getIceServers }
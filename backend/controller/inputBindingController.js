@@ -0,0 +1,107 @@
+const InputBinding = require('../models/inputBindingModel')
+
+const { COMMANDS } = InputBinding
+
+const MAX_BINDINGS = 64 // Per kind of input
+const ROBOT_MODEL_PATTERN = /^[\w-]{1,64}$/
+
+// Key codes ("KeyW"), button indices ("12") and gesture names ("Open_Palm") all fit this; Mongo map keys can't hold dots
+const INPUT_PATTERN = /^[\w-]{1,40}$/
+
+const toJson = (binding) => ({
+  robotModel: binding.robotModel,
+  keys: Object.fromEntries(binding.keys),
+  gamepadButtons: Object.fromEntries(binding.gamepadButtons),
+  gestures: Object.fromEntries(binding.gestures),
+  updatedAt: binding.updatedAt
+})
+
+// Returns an error message for an invalid { input: command } map, or null
+const validateMap = (label, map) => {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    return `${label} must be an object of input -> command`
+  }
+  const entries = Object.entries(map)
+  if (entries.length > MAX_BINDINGS) {
+    return `At most ${MAX_BINDINGS} ${label} can be bound`
+  }
+  for (const [input, command] of entries) {
+    if (!INPUT_PATTERN.test(input)) {
+      return `Invalid input name in ${label}: "${input}"`
+    }
+    if (!COMMANDS.includes(command)) {
+      return `Unknown command "${command}" in ${label}`
+    }
+  }
+  return null
+}
+
+const checkRobotModel = (req, res) => {
+  if (!ROBOT_MODEL_PATTERN.test(req.params.robotModel)) {
+    res.status(400).json({error: 'Invalid robot model'})
+    return false
+  }
+  return true
+}
+
+// GET /api/bindings/:robotModel
+// 404 when the user has not saved a mapping for this robot model (the frontend then uses its defaults).
+const getInputBindings = async (req, res) => {
+  if (!checkRobotModel(req, res)) return
+
+  try {
+    const binding = await InputBinding.findOne({ owner: req.user._id, robotModel: req.params.robotModel })
+    if (!binding) {
+      return res.status(404).json({error: 'No saved bindings for this robot model'})
+    }
+
+    res.status(200).json(toJson(binding))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// PUT /api/bindings/:robotModel
+// Replaces the whole mapping: { keys, gamepadButtons, gestures }.
+const saveInputBindings = async (req, res) => {
+  if (!checkRobotModel(req, res)) return
+  const { keys = {}, gamepadButtons = {}, gestures = {} } = req.body
+
+  const invalid = validateMap('keys', keys)
+    || validateMap('gamepad buttons', gamepadButtons)
+    || validateMap('gestures', gestures)
+  if (invalid) {
+    return res.status(400).json({error: invalid})
+  }
+
+  try {
+    const binding = await InputBinding.findOneAndUpdate(
+      { owner: req.user._id, robotModel: req.params.robotModel },
+      { keys, gamepadButtons, gestures },
+      { new: true, upsert: true, runValidators: true }
+    )
+
+    res.status(200).json(toJson(binding))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// DELETE /api/bindings/:robotModel
+// Drops the saved mapping so the robot model goes back to the defaults.
+const deleteInputBindings = async (req, res) => {
+  if (!checkRobotModel(req, res)) return
+
+  try {
+    const binding = await InputBinding.findOneAndDelete({ owner: req.user._id, robotModel: req.params.robotModel })
+    if (!binding) {
+      return res.status(404).json({error: 'No saved bindings for this robot model'})
+    }
+
+    res.status(200).json(toJson(binding))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+module.exports = { getInputBindings, saveInputBindings, deleteInputBindings }
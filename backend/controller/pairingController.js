@@ -0,0 +1,227 @@
+const otpGenerator = require('otp-generator')
+const Pairing = require('../models/pairingModel')
+const Device = require('../models/deviceModel')
+const registry = require('../socket/registry')
+const controlLocks = require('../socket/controlLocks')
+const { laptopsRoom, broadcastAvailablePhones } = require('../socket/phoneDirectory')
+
+// How long a displayed code can be claimed, and how long a claimed pairing lasts
+const PAIRING_CODE_TTL_MS = 5 * 60 * 1000
+const PAIRING_TTL_MS = (Number(process.env.PAIRING_TTL_HOURS) || 12) * 60 * 60 * 1000
+
+// Wrong codes allowed per user and per IP address before claiming is locked for a while, so the
+// 6-digit code space can't be walked through while a code is live
+const MAX_FAILED_CLAIMS = 5
+// Both counters only run out with time; a correct code clears neither, or anyone could reset their
+// count by claiming a code shown on their own phone between guesses
+const CLAIM_LOCKOUT_MS = 15 * 60 * 1000
+const failedClaims = new Map() // 'user:<id>' or 'ip:<address>' -> { count, resetAt }
+
+const claimKeys = (req) => [`user:${req.user._id}`, `ip:${req.ip}`]
+
+// Milliseconds until any of the keys may claim again, 0 when none is locked
+const claimLockedFor = (keys) => {
+  const now = Date.now()
+  return keys.reduce((wait, key) => {
+    const entry = failedClaims.get(key)
+    if (!entry || entry.count < MAX_FAILED_CLAIMS) return wait
+    return Math.max(wait, entry.resetAt - now)
+  }, 0)
+}
+
+const recordFailedClaim = (keys) => {
+  const now = Date.now()
+  failedClaims.forEach((entry, key) => {
+    if (entry.resetAt <= now) failedClaims.delete(key)
+  })
+  keys.forEach((key) => {
+    const entry = failedClaims.get(key)
+    if (entry) entry.count++
+    else failedClaims.set(key, { count: 1, resetAt: now + CLAIM_LOCKOUT_MS })
+  })
+}
+
+const generateCode = () => otpGenerator.generate(6, {
+  upperCaseAlphabets: false,
+  lowerCaseAlphabets: false,
+  specialChars: false
+})
+
+const toJson = (pairing, userId, deviceName) => ({
+  id: pairing._id,
+  status: pairing.status,
+  // The code is only useful (and only shown) while it can still be claimed
+  code: pairing.status === 'pending' ? pairing.code : undefined,
+  deviceId: pairing.deviceId,
+  deviceName,
+  operatorEmail: pairing.operator && pairing.operator.email,
+  role: pairing.operator && pairing.operator._id.equals(userId) ? 'operator' : 'device',
+  expiresAt: pairing.expiresAt
+})
+
+// Pushes the change to the operator's ControlPanels and to the paired phone
+const notifyPairingChange = (req, pairing, event) => {
+  const io = req.app.get('io')
+  if (!io) return
+
+  const operatorId = pairing.operator._id.toString()
+  const payload = {
+    id: pairing._id,
+    status: pairing.status,
+    deviceId: pairing.deviceId,
+    laptopSocketId: pairing.laptopSocketId,
+    // Lets the phone drop a stream it is serving to one of these laptops
+    operatorLaptopSocketIds: registry.listLaptops(operatorId)
+  }
+
+  io.to(laptopsRoom(operatorId)).emit(event, payload)
+
+  const phoneSocketId = pairing.deviceId && registry.getPhoneSocketId(pairing.deviceId)
+  if (phoneSocketId) {
+    io.to(phoneSocketId).emit(event, payload)
+  }
+
+  broadcastAvailablePhones(io, operatorId)
+}
+
+// POST /api/pairings
+// Creates a pending pairing whose 6-digit code (or QR code) ControlPanel displays.
+const createPairing = async (req, res) => {
+  const { laptopSocketId } = req.body
+
+  try {
+    // Codes only need to be unique among the ones that can currently be claimed
+    let code = generateCode()
+    for (let attempt = 0; attempt < 5 && await Pairing.exists({ code, status: 'pending' }); attempt++) {
+      code = generateCode()
+    }
+
+    const pairing = await Pairing.create({
+      code,
+      operator: req.user._id,
+      laptopSocketId,
+      expiresAt: new Date(Date.now() + PAIRING_CODE_TTL_MS)
+    })
+
+    res.status(201).json({
+      id: pairing._id,
+      code: pairing.code,
+      status: pairing.status,
+      expiresAt: pairing.expiresAt
+    })
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// POST /api/pairings/claim
+// Called by PhoneCam with the code it scanned or the user typed in.
+const claimPairing = async (req, res) => {
+  const { code, deviceId } = req.body
+
+  if (!code || !deviceId) {
+    return res.status(400).json({error: 'Pairing code and device ID are required'})
+  }
+
+  const keys = claimKeys(req)
+  const lockedFor = claimLockedFor(keys)
+  if (lockedFor > 0) {
+    const minutes = Math.ceil(lockedFor / 60000)
+    res.set('Retry-After', String(Math.ceil(lockedFor / 1000)))
+    return res.status(429).json({error: `Too many wrong pairing codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`})
+  }
+
+  try {
+    const device = await Device.findOne({ deviceId, owner: req.user._id })
+    if (!device) {
+      return res.status(404).json({error: 'This device is not registered to your account'})
+    }
+
+    const pairing = await Pairing.findOneAndUpdate(
+      { code: String(code).trim(), status: 'pending', expiresAt: { $gt: new Date() } },
+      {
+        status: 'active',
+        deviceId,
+        deviceOwner: req.user._id,
+        expiresAt: new Date(Date.now() + PAIRING_TTL_MS)
+      },
+      { new: true }
+    ).populate('operator', 'email')
+
+    if (!pairing) {
+      recordFailedClaim(keys)
+      return res.status(400).json({error: 'Invalid or expired pairing code'})
+    }
+
+    // Replace any older pairing between the same operator and device
+    await Pairing.deleteMany({
+      _id: { $ne: pairing._id },
+      operator: pairing.operator._id,
+      deviceId,
+      status: 'active'
+    })
+
+    registry.grantOperator(deviceId, pairing.operator._id.toString(), pairing.expiresAt)
+    notifyPairingChange(req, pairing, 'pairing_claimed')
+
+    res.status(200).json(toJson(pairing, req.user._id, device.name))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/pairings
+// Pairings the user operates plus the ones other operators hold on the user's devices.
+const getPairings = async (req, res) => {
+  try {
+    const pairings = await Pairing.find({
+      $or: [{ operator: req.user._id }, { deviceOwner: req.user._id }],
+      status: { $in: ['pending', 'active'] },
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('operator', 'email')
+      .sort({ createdAt: -1 })
+
+    const devices = await Device.find({ deviceId: { $in: pairings.map((pairing) => pairing.deviceId) } })
+    const deviceNames = new Map(devices.map((device) => [device.deviceId, device.name]))
+
+    res.status(200).json(pairings.map((pairing) => toJson(pairing, req.user._id, deviceNames.get(pairing.deviceId))))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// DELETE /api/pairings/:id
+// Either side (the operator or the owner of the paired phone) may revoke a pairing.
+const revokePairing = async (req, res) => {
+  try {
+    const pairing = await Pairing.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        $or: [{ operator: req.user._id }, { deviceOwner: req.user._id }],
+        status: { $in: ['pending', 'active'] }
+      },
+      { status: 'revoked' },
+      { new: true }
+    ).populate('operator', 'email')
+
+    if (!pairing) {
+      return res.status(404).json({error: 'No such pairing'})
+    }
+
+    if (pairing.deviceId) {
+      registry.revokeOperator(pairing.deviceId, pairing.operator._id.toString())
+      const io = req.app.get('io')
+      if (io) {
+        controlLocks.releaseLockForUser(io, pairing.deviceId, pairing.operator._id.toString())
+      }
+    }
+    notifyPairingChange(req, pairing, 'pairing_revoked')
+
+    res.status(200).json(toJson(pairing, req.user._id))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+module.exports = { createPairing, claimPairing, getPairings, revokePairing }
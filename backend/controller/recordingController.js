@@ -0,0 +1,344 @@
+const fs = require('fs')
+const path = require('path')
+const jwt = require('jsonwebtoken')
+const mongoose = require('mongoose')
+const Recording = require('../models/recordingModel')
+
+// Recordings are stored as <id>.video and <id>.joints.ndjson in this directory
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'uploads', 'recordings')
+const MAX_RECORDING_BYTES = (Number(process.env.RECORDING_MAX_MB) || 1024) * 1024 * 1024
+// Clients upload in chunks of CHUNK_SIZE; the route accepts a little more (see routes/recordingRoutes.js)
+const CHUNK_SIZE = 5 * 1024 * 1024
+const MAX_CHUNK_BYTES = 8 * 1024 * 1024
+const MAX_JOINT_STATES_BYTES = 50 * 1024 * 1024
+// <video> elements can't send an Authorization header, so stream URLs carry a short-lived token instead
+const STREAM_TOKEN_TTL = '6h'
+const STREAM_TOKEN_SCOPE = 'recording-stream'
+
+const videoPath = (recording) => path.join(RECORDINGS_DIR, `${recording._id}.video`)
+const jointStatesPath = (recording) => path.join(RECORDINGS_DIR, `${recording._id}.joints.ndjson`)
+
+const createStreamToken = (recording) => jwt.sign(
+  { recording: recording._id.toString(), scope: STREAM_TOKEN_SCOPE },
+  process.env.SECRET,
+  { expiresIn: STREAM_TOKEN_TTL }
+)
+
+// Returns the recording ID a stream token grants access to, or null if the token is invalid
+const verifyStreamToken = (token) => {
+  try {
+    const { recording, scope } = jwt.verify(token, process.env.SECRET)
+    return scope === STREAM_TOKEN_SCOPE ? recording : null
+  } catch {
+    return null
+  }
+}
+
+const toJson = (recording) => ({
+  id: recording._id,
+  title: recording.title,
+  mimeType: recording.mimeType,
+  size: recording.size,
+  receivedBytes: recording.receivedBytes,
+  status: recording.status,
+  durationMs: recording.durationMs,
+  robotModel: recording.robotModel,
+  jointStates: recording.jointStates && recording.jointStates.uploadedAt ? recording.jointStates : null,
+  createdAt: recording.createdAt,
+  completedAt: recording.completedAt,
+  streamUrl: recording.status === 'complete'
+    ? `/api/recordings/${recording._id}/stream?access=${createStreamToken(recording)}`
+    : undefined
+})
+
+const findOwnRecording = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({error: 'No such recording'})
+    return null
+  }
+
+  const recording = await Recording.findOne({ _id: req.params.id, owner: req.user._id })
+  if (!recording) {
+    res.status(404).json({error: 'No such recording'})
+  }
+  return recording
+}
+
+// POST /api/recordings
+// Starts an upload: { title, mimeType, size, durationMs, robotModel }. The bytes follow via PUT /:id/chunks.
+const createRecording = async (req, res) => {
+  const { title, mimeType, size, durationMs, robotModel } = req.body
+
+  if (!mimeType || !/^video\//.test(mimeType)) {
+    return res.status(400).json({error: 'A video MIME type is required'})
+  }
+  if (!Number.isInteger(size) || size <= 0 || size > MAX_RECORDING_BYTES) {
+    return res.status(400).json({error: `Size must be between 1 byte and ${MAX_RECORDING_BYTES} bytes`})
+  }
+
+  try {
+    const recording = new Recording({
+      owner: req.user._id,
+      title: title || `Recording ${new Date().toLocaleString()}`,
+      mimeType,
+      size,
+      durationMs,
+      robotModel
+    })
+    await recording.validate()
+
+    await fs.promises.mkdir(RECORDINGS_DIR, { recursive: true })
+    await fs.promises.writeFile(videoPath(recording), Buffer.alloc(0))
+    await recording.save()
+
+    res.status(201).json({ ...toJson(recording), chunkSize: CHUNK_SIZE })
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/recordings
+const getRecordings = async (req, res) => {
+  try {
+    const recordings = await Recording.find({ owner: req.user._id }).sort({ createdAt: -1 })
+    res.status(200).json(recordings.map(toJson))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/recordings/:id
+// Also how a client finds out where to resume an interrupted upload (receivedBytes).
+const getRecording = async (req, res) => {
+  try {
+    const recording = await findOwnRecording(req, res)
+    if (!recording) return
+
+    res.status(200).json(toJson(recording))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// PUT /api/recordings/:id/chunks?offset=<bytes>
+// Body: raw bytes (application/octet-stream). The offset must equal receivedBytes; otherwise the
+// response is 409 with the offset to continue from, which makes retries and resumes safe.
+const uploadChunk = async (req, res) => {
+  const offset = Number(req.query.offset)
+  const chunk = req.body
+
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    return res.status(400).json({error: 'Chunk body must be non-empty application/octet-stream'})
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({error: 'A non-negative integer offset is required'})
+  }
+
+  try {
+    const recording = await findOwnRecording(req, res)
+    if (!recording) return
+
+    if (recording.status === 'complete') {
+      return res.status(409).json({error: 'Upload is already complete', uploadOffset: recording.receivedBytes})
+    }
+    if (offset + chunk.length > recording.size) {
+      return res.status(400).json({error: 'Chunk extends past the announced size'})
+    }
+
+    // Claim the byte range first so two concurrent requests can't both append at the same offset
+    const claimed = await Recording.findOneAndUpdate(
+      { _id: recording._id, status: 'uploading', receivedBytes: offset },
+      { $inc: { receivedBytes: chunk.length } },
+      { new: true }
+    )
+    if (!claimed) {
+      const current = await Recording.findById(recording._id)
+      return res.status(409).json({error: 'Offset mismatch', uploadOffset: current ? current.receivedBytes : 0})
+    }
+
+    try {
+      const file = await fs.promises.open(videoPath(recording), 'r+')
+      try {
+        await file.write(chunk, 0, chunk.length, offset)
+      } finally {
+        await file.close()
+      }
+    } catch (error) {
+      // Give the range back so the client can retry it
+      await Recording.updateOne({ _id: recording._id }, { $inc: { receivedBytes: -chunk.length } })
+      throw error
+    }
+
+    if (claimed.receivedBytes === claimed.size) {
+      claimed.status = 'complete'
+      claimed.completedAt = Date.now()
+      await claimed.save()
+    }
+
+    res.status(200).json({ uploadOffset: claimed.receivedBytes, status: claimed.status })
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/recordings/:id/stream
+// Serves the video with HTTP Range support so players can seek. Authorized either by the
+// Authorization header (see routes) or by the ?access= token included in streamUrl.
+const streamRecording = async (req, res) => {
+  try {
+    let recording
+    if (req.user) {
+      recording = await findOwnRecording(req, res)
+      if (!recording) return
+    } else {
+      recording = mongoose.Types.ObjectId.isValid(req.params.id) && await Recording.findById(req.params.id)
+      if (!recording) {
+        return res.status(404).json({error: 'No such recording'})
+      }
+    }
+
+    if (recording.status !== 'complete') {
+      return res.status(409).json({error: 'Recording is still uploading'})
+    }
+
+    const { size } = recording
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '')
+    let start = 0
+    let end = size - 1
+
+    if (range) {
+      start = range[1] ? Number(range[1]) : size - Number(range[2])
+      end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1
+      if (start < 0 || start > end) {
+        res.set('Content-Range', `bytes */${size}`)
+        return res.status(416).end()
+      }
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`)
+    } else {
+      res.status(200)
+    }
+
+    res.set({
+      'Content-Type': recording.mimeType,
+      'Content-Length': end - start + 1,
+      'Accept-Ranges': 'bytes'
+    })
+
+    fs.createReadStream(videoPath(recording), { start, end })
+      .on('error', (error) => {
+        console.error('Recording stream failed:', error.message)
+        res.destroy(error)
+      })
+      .pipe(res)
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// PATCH /api/recordings/:id
+const renameRecording = async (req, res) => {
+  const { title } = req.body
+
+  if (!title || !title.trim()) {
+    return res.status(400).json({error: 'Title is required'})
+  }
+
+  try {
+    const recording = await findOwnRecording(req, res)
+    if (!recording) return
+
+    recording.title = title
+    await recording.save()
+
+    res.status(200).json(toJson(recording))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// DELETE /api/recordings/:id
+const deleteRecording = async (req, res) => {
+  try {
+    const recording = await findOwnRecording(req, res)
+    if (!recording) return
+
+    await recording.deleteOne()
+    await Promise.all([
+      fs.promises.rm(videoPath(recording), { force: true }),
+      fs.promises.rm(jointStatesPath(recording), { force: true })
+    ])
+
+    res.status(200).json(toJson(recording))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// PUT /api/recordings/:id/joint-states
+// Body: newline-delimited JSON (application/x-ndjson), one joint-state frame per line.
+// Replaces any sequence uploaded before.
+const uploadJointStates = async (req, res) => {
+  if (typeof req.body !== 'string') {
+    return res.status(400).json({error: 'Joint states must be sent as application/x-ndjson'})
+  }
+
+  const lines = req.body.split('\n').filter((line) => line.trim())
+  try {
+    lines.forEach((line) => JSON.parse(line))
+  } catch {
+    return res.status(400).json({error: 'Every line must be a JSON joint-state frame'})
+  }
+
+  try {
+    const recording = await findOwnRecording(req, res)
+    if (!recording) return
+
+    const data = lines.join('\n') + '\n'
+    await fs.promises.mkdir(RECORDINGS_DIR, { recursive: true })
+    await fs.promises.writeFile(jointStatesPath(recording), data)
+
+    recording.jointStates = {
+      frameCount: lines.length,
+      size: Buffer.byteLength(data),
+      uploadedAt: Date.now()
+    }
+    await recording.save()
+
+    res.status(200).json(toJson(recording))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/recordings/:id/joint-states
+// Returns the frames as a JSON array.
+const getJointStates = async (req, res) => {
+  try {
+    const recording = await findOwnRecording(req, res)
+    if (!recording) return
+
+    if (!recording.jointStates || !recording.jointStates.uploadedAt) {
+      return res.status(404).json({error: 'No joint states uploaded for this recording'})
+    }
+
+    const data = await fs.promises.readFile(jointStatesPath(recording), 'utf8')
+    res.status(200).json(data.split('\n').filter(Boolean).map((line) => JSON.parse(line)))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+module.exports = {
+  MAX_CHUNK_BYTES,
+  MAX_JOINT_STATES_BYTES,
+  verifyStreamToken,
+  createRecording,
+  getRecordings,
+  getRecording,
+  uploadChunk,
+  streamRecording,
+  renameRecording,
+  deleteRecording,
+  uploadJointStates,
+  getJointStates
+}
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose')
+const ControlSession = require('../models/controlSessionModel')
+const CommandLog = require('../models/commandLogModel')
+const Device = require('../models/deviceModel')
+
+const MAX_PAGE_SIZE = 500
+
+// Sessions are visible to the operator who ran them and to the owner of the phone
+const visibleTo = (userId) => ({ $or: [{ operator: userId }, { deviceOwner: userId }] })
+
+const findVisibleSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({error: 'No such session'})
+    return null
+  }
+
+  const session = await ControlSession.findOne({ _id: req.params.id, ...visibleTo(req.user._id) })
+    .populate('operator', 'email')
+  if (!session) {
+    res.status(404).json({error: 'No such session'})
+  }
+  return session
+}
+
+const toJson = (session, deviceNames, commandCounts) => ({
+  id: session._id,
+  deviceId: session.deviceId,
+  deviceName: deviceNames.get(session.deviceId),
+  operatorEmail: session.operator && session.operator.email,
+  startedAt: session.startedAt,
+  endedAt: session.endedAt,
+  commandCount: commandCounts.get(session._id.toString()) || 0
+})
+
+// GET /api/sessions?limit=50
+const getSessions = async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE)
+
+  try {
+    const sessions = await ControlSession.find(visibleTo(req.user._id))
+      .populate('operator', 'email')
+      .sort({ startedAt: -1 })
+      .limit(limit)
+
+    const devices = await Device.find({ deviceId: { $in: sessions.map((session) => session.deviceId) } })
+    const deviceNames = new Map(devices.map((device) => [device.deviceId, device.name]))
+
+    const counts = await CommandLog.aggregate([
+      { $match: { session: { $in: sessions.map((session) => session._id) } } },
+      { $group: { _id: '$session', count: { $sum: 1 } } }
+    ])
+    const commandCounts = new Map(counts.map(({ _id, count }) => [_id.toString(), count]))
+
+    res.status(200).json(sessions.map((session) => toJson(session, deviceNames, commandCounts)))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/sessions/:id
+const getSession = async (req, res) => {
+  try {
+    const session = await findVisibleSession(req, res)
+    if (!session) return
+
+    const device = await Device.findOne({ deviceId: session.deviceId })
+    const commandCount = await CommandLog.countDocuments({ session: session._id })
+
+    res.status(200).json(toJson(
+      session,
+      new Map(device ? [[device.deviceId, device.name]] : []),
+      new Map([[session._id.toString(), commandCount]])
+    ))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+// GET /api/sessions/:id/commands?limit=500
+const getSessionCommands = async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || MAX_PAGE_SIZE, MAX_PAGE_SIZE)
+
+  try {
+    const session = await findVisibleSession(req, res)
+    if (!session) return
+
+    const commands = await CommandLog.find({ session: session._id })
+      .sort({ receivedAt: 1 })
+      .limit(limit)
+
+    res.status(200).json(commands.map((command) => ({
+      id: command._id,
+      commandId: command.commandId,
+      cmd: command.cmd,
+      source: command.source,
+      transport: command.transport,
+      robotModel: command.robotModel,
+      deviceId: command.deviceId,
+      status: command.status,
+      applied: command.applied,
+      attempts: command.attempts,
+      sentAt: command.sentAt,
+      receivedAt: command.receivedAt,
+      ackedAt: command.ackedAt
+    })))
+  } catch (error) {
+    res.status(400).json({error: error.message})
+  }
+}
+
+module.exports = { getSessions, getSession, getSessionCommands }
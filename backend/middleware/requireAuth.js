@@ -1,6 +1,18 @@
 const jwt = require('jsonwebtoken')
 const User = require('../models/userModel')
 
+// Verifies a token created by createToken and returns the matching user (only its _id unless more fields are selected)
+const verifyToken = async (token, fields = '_id') => {
+  const { _id } = jwt.verify(token, process.env.SECRET)
+
+  const user = await User.findOne({ _id }).select(fields)
+  if (!user) {
+    throw Error('User no longer exists')
+  }
+
+  return user
+}
+
 const requireAuth = async (req, res, next) => {
 
   const { authorization } = req.headers
@@ -12,9 +24,7 @@ const requireAuth = async (req, res, next) => {
   const token = authorization.split(' ')[1]
 
   try {
-    const { _id } = jwt.verify(token, process.env.SECRET)
-
-    req.user = await User.findOne({ _id }).select('_id')
+    req.user = await verifyToken(token)
     next()
 
   } catch (error) {
@@ -23,4 +33,5 @@ const requireAuth = async (req, res, next) => {
   }
 }
 
-module.exports = requireAuth
\ No newline at end of file
+module.exports = requireAuth
+module.exports.verifyToken = verifyToken
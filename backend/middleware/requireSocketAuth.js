@@ -0,0 +1,25 @@
+const { verifyToken } = require('./requireAuth')
+
+// Socket.IO counterpart of requireAuth: the client sends its JWT as `auth: { token }` in the handshake
+const requireSocketAuth = async (socket, next) => {
+
+  const { token } = socket.handshake.auth || {}
+
+  if (!token) {
+    return next(new Error('Authorization token required'))
+  }
+
+  try {
+    // The email identifies the operator to other laptops (e.g. who holds a controller lock)
+    socket.data.user = await verifyToken(token, '_id email')
+    socket.data.userId = socket.data.user._id.toString()
+    socket.data.email = socket.data.user.email
+    next()
+
+  } catch (error) {
+    console.log(error)
+    next(new Error('Socket is not authorized'))
+  }
+}
+
+module.exports = requireSocketAuth
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose')
+
+const Schema = mongoose.Schema
+
+// Audit trail entry for a "control" event. Retries of the same command (same commandId)
+// update one entry instead of adding new ones.
+const commandLogSchema = new Schema({
+  session: {
+    type: Schema.Types.ObjectId,
+    ref: 'ControlSession',
+    index: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  commandId: {
+    type: String,
+    required: true
+  },
+  cmd: {
+    type: String,
+    required: true
+  },
+  robotModel: {
+    type: String
+  },
+  // What produced the command in ControlPanel, e.g. "button" or "gesture"
+  source: {
+    type: String,
+    default: 'unknown'
+  },
+  // How the command reached the phone: relayed by the server or sent directly over the WebRTC DataChannel
+  transport: {
+    type: String,
+    enum: ['socket', 'datachannel'],
+    default: 'socket'
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'acknowledged', 'unacknowledged', 'denied'],
+    default: 'sent'
+  },
+  applied: {
+    type: Boolean
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Client clock when the operator issued the command
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ackedAt: {
+    type: Date
+  }
+})
+
+commandLogSchema.index({ user: 1, commandId: 1 }, { unique: true })
+
+module.exports = mongoose.model('CommandLog', commandLogSchema)
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+const Schema = mongoose.Schema
+
+// One operator streaming from (and possibly controlling) one phone, from request_stream
+// until the laptop switches phones or disconnects.
+const controlSessionSchema = new Schema({
+  operator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  deviceOwner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  laptopSocketId: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  }
+})
+
+module.exports = mongoose.model('ControlSession', controlSessionSchema)
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose')
+
+const Schema = mongoose.Schema
+
+// A phone (or other streaming device) registered to a user's account.
+// deviceId is the stable identifier the device keeps across page reloads.
+const deviceSchema = new Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  model: {
+    type: String,
+    default: 'Unknown device',
+    trim: true,
+    maxlength: 120
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  // Optional MQTT mirror of the device's commands and joint states (see mqtt/bridge.js).
+  // Topics are templates such as "lab/{deviceId}/cmd"; empty ones use the server defaults.
+  mqtt: {
+    enabled: { type: Boolean, default: false },
+    commandTopic: { type: String, trim: true, maxlength: 200, default: '' },
+    jointStatesTopic: { type: String, trim: true, maxlength: 200, default: '' },
+    telemetryTopic: { type: String, trim: true, maxlength: 200, default: '' }
+  }
+}, { timestamps: true })
+
+module.exports = mongoose.model('Device', deviceSchema)
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose')
+
+const Schema = mongoose.Schema
+
+// Commands ControlPanel can send (see frontend/src/utils/inputBindings.js)
+const COMMANDS = ['forward', 'backward', 'left', 'right', 'up', 'down', 'jump', 'stop']
+
+const bindingMap = {
+  type: Map,
+  of: { type: String, enum: COMMANDS },
+  default: {}
+}
+
+// A user's mapping from keys, gamepad buttons and hand gestures to ControlPanel commands for one robot model.
+// Robot models without a saved mapping use the defaults built into the frontend.
+const inputBindingSchema = new Schema({
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  robotModel: {
+    type: String,
+    required: true
+  },
+  // KeyboardEvent.code -> command, e.g. { KeyW: 'forward' }
+  keys: bindingMap,
+  // Standard-mapping gamepad button index -> command
+  gamepadButtons: bindingMap,
+  // Gesture name from ControlPanel's recognizer -> command
+  gestures: bindingMap
+}, { timestamps: true })
+
+inputBindingSchema.index({ owner: 1, robotModel: 1 }, { unique: true })
+
+module.exports = mongoose.model('InputBinding', inputBindingSchema)
+module.exports.COMMANDS = COMMANDS
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose')
+
+const Schema = mongoose.Schema
+
+// Links a phone to the operator (laptop user) who displayed the pairing code.
+// "pending" pairings only hold the 6-digit code; claiming one from PhoneCam makes it "active".
+const pairingSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    index: true
+  },
+  operator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Socket of the ControlPanel that requested the code, so it can switch to the phone once paired
+  laptopSocketId: {
+    type: String
+  },
+  deviceId: {
+    type: String,
+    index: true
+  },
+  deviceOwner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked'],
+    default: 'pending'
+  },
+  // Mongo's TTL monitor removes the document once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+}, { timestamps: true })
+
+module.exports = mongoose.model('Pairing', pairingSchema)
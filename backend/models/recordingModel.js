@@ -0,0 +1,57 @@
+const mongoose = require('mongoose')
+
+const Schema = mongoose.Schema
+
+// A session recording uploaded from the browser in chunks (see controller/recordingController.js).
+// The video bytes live on disk under RECORDINGS_DIR; this record holds the metadata and upload progress.
+const recordingSchema = new Schema({
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Total size announced when the upload was created
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bytes stored so far; an interrupted upload resumes from here
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'complete'],
+    default: 'uploading'
+  },
+  durationMs: {
+    type: Number
+  },
+  robotModel: {
+    type: String
+  },
+  // Joint-state frames recorded alongside the video, stored next to it as NDJSON
+  jointStates: {
+    frameCount: { type: Number },
+    size: { type: Number },
+    uploadedAt: { type: Date }
+  },
+  completedAt: {
+    type: Date
+  }
+}, { timestamps: true })
+
+module.exports = mongoose.model('Recording', recordingSchema)
@@ -0,0 +1,227 @@
+// backend/mqtt/bridge.js
+// Mirrors control commands and joint-state frames to an MQTT broker for devices that have MQTT
+// enabled, and relays messages on their telemetry topics to the ControlPanels that can see them.
+// Topics are per-device templates (see models/deviceModel.js); {deviceId} and {owner} are filled in.
+// Disabled unless MQTT_URL is set. Try it with a local broker: `npm run mqtt-broker`.
+const mqtt = require('mqtt')
+const Device = require('../models/deviceModel')
+const registry = require('../socket/registry')
+const { laptopsRoom, emitToPhoneAudience } = require('../socket/phoneDirectory')
+
+const DEFAULT_TOPICS = {
+  commandTopic: process.env.MQTT_COMMAND_TOPIC || 'robotech/{deviceId}/command',
+  jointStatesTopic: process.env.MQTT_JOINT_STATES_TOPIC || 'robotech/{deviceId}/joint_states',
+  telemetryTopic: process.env.MQTT_TELEMETRY_TOPIC || 'robotech/{deviceId}/telemetry/#'
+}
+// Telemetry faster than this per topic is dropped instead of flooding the laptops
+const TELEMETRY_MIN_INTERVAL_MS = 100
+const MAX_TELEMETRY_BYTES = 16 * 1024
+// Retries of the same command reuse its ID; publish each command only once
+const RECENT_COMMAND_IDS = 50
+
+let client = null
+let io = null
+// deviceId -> { owner, commandTopic, jointStatesTopic, telemetryTopic, recentCommandIds }
+const devices = new Map()
+const lastTelemetryAt = new Map() // `${deviceId} ${topic}` -> ms
+
+const fillTemplate = (template, device) => template
+  .replace(/\{deviceId\}/g, device.deviceId)
+  .replace(/\{owner\}/g, device.owner.toString())
+
+// The device's topics with defaults applied and placeholders filled in
+const resolveTopics = (device) => {
+  const settings = device.mqtt || {}
+  return Object.fromEntries(Object.keys(DEFAULT_TOPICS).map((key) => [
+    key,
+    fillTemplate(settings[key] || DEFAULT_TOPICS[key], device)
+  ]))
+}
+
+const TOPIC_LABELS = { commandTopic: 'Command', jointStatesTopic: 'Joint states', telemetryTopic: 'Telemetry' }
+
+/**
+ * Checks a device's custom topic templates (empty ones use the server defaults). Each must start with
+ * a literal namespace followed by the device's own ID, "<namespace>/{deviceId}/...", so a device's
+ * topics and telemetry filter can never reach another device's: device IDs are unique, and nothing
+ * can match across a different second level.
+ * @param {object} topics - { commandTopic, jointStatesTopic, telemetryTopic }
+ * @param {string} deviceId - The device the templates are for.
+ * @returns {string|null} An error message, or null when the templates are usable.
+ */
+const validateTopics = (topics, deviceId) => {
+  if (!deviceId || /[/+#]/.test(deviceId)) return 'This device ID cannot be used in MQTT topics'
+
+  for (const [key, label] of Object.entries(TOPIC_LABELS)) {
+    const template = topics[key]
+    if (!template) continue
+    const levels = template.split('/')
+    if (levels.length < 2 || !levels[0] || /[+#{}]/.test(levels[0]) || levels[1] !== '{deviceId}') {
+      return `${label} topic must start with a namespace and {deviceId}, e.g. lab/{deviceId}/...`
+    }
+    if (key !== 'telemetryTopic') {
+      if (/[+#]/.test(template)) return `${label} topic cannot contain the wildcards + or #`
+      continue
+    }
+    const badLevel = levels.some((level, i) => (level.includes('#') && (level !== '#' || i !== levels.length - 1))
+      || (level.includes('+') && level !== '+'))
+    if (badLevel) return 'Telemetry topic: + must fill a whole level and # must be the last level'
+  }
+  return null
+}
+
+// MQTT topic filter matching (+ matches one level, # the rest)
+const topicMatches = (filter, topic) => {
+  const filterLevels = filter.split('/')
+  const topicLevels = topic.split('/')
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true
+    if (i >= topicLevels.length) return false
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false
+  }
+  return filterLevels.length === topicLevels.length
+}
+
+const isFilterInUse = (filter) => Array.from(devices.values()).some((entry) => entry.telemetryTopic === filter)
+
+// Adds, updates or removes the device's entry (and its telemetry subscription) after a settings change
+const configureDevice = (device) => {
+  const previous = devices.get(device.deviceId)
+  devices.delete(device.deviceId)
+
+  const invalid = device.mqtt && device.mqtt.enabled && validateTopics(device.mqtt, device.deviceId)
+  if (invalid) {
+    console.error(`MQTT stays off for device ${device.deviceId}: ${invalid}`)
+  } else if (device.mqtt && device.mqtt.enabled) {
+    devices.set(device.deviceId, {
+      owner: device.owner.toString(),
+      ...resolveTopics(device),
+      recentCommandIds: previous ? previous.recentCommandIds : []
+    })
+  }
+  if (!client) return
+
+  const current = devices.get(device.deviceId)
+  if (previous && (!current || current.telemetryTopic !== previous.telemetryTopic) && !isFilterInUse(previous.telemetryTopic)) {
+    client.unsubscribe(previous.telemetryTopic)
+  }
+  if (current && (!previous || current.telemetryTopic !== previous.telemetryTopic)) {
+    client.subscribe(current.telemetryTopic, { qos: 0 })
+  }
+}
+
+const forgetDevice = (deviceId) => {
+  const previous = devices.get(deviceId)
+  devices.delete(deviceId)
+  if (client && previous && !isFilterInUse(previous.telemetryTopic)) {
+    client.unsubscribe(previous.telemetryTopic)
+  }
+}
+
+const publishJson = (topic, payload, qos) => {
+  if (!client || !client.connected) return false
+  client.publish(topic, JSON.stringify(payload), { qos }, (error) => {
+    if (error) console.error(`MQTT publish to ${topic} failed:`, error.message)
+  })
+  return true
+}
+
+/**
+ * Publishes a control command on the device's command topic (QoS 1).
+ * @param {string} deviceId - The device the command is for.
+ * @param {{ cmd: string, commandId?: string, gait?: object }} command - The checked fields the phone gets too.
+ * @param {string} operatorEmail - Who sent it.
+ * @returns {boolean} Whether it was handed to the broker connection (false if MQTT is off for the device).
+ */
+const publishCommand = (deviceId, { cmd, commandId, gait }, operatorEmail) => {
+  const entry = devices.get(deviceId)
+  if (!entry) return false
+  if (commandId) {
+    if (entry.recentCommandIds.includes(commandId)) return true
+    entry.recentCommandIds = [...entry.recentCommandIds, commandId].slice(-RECENT_COMMAND_IDS)
+  }
+  return publishJson(entry.commandTopic, { deviceId, cmd, commandId, gait, operator: operatorEmail, at: Date.now() }, 1)
+}
+
+// Joint-state frames are streamed, so QoS 0: a lost frame is superseded by the next one
+const publishJointStates = (deviceId, joints, at) => {
+  const entry = devices.get(deviceId)
+  if (!entry) return false
+  return publishJson(entry.jointStatesTopic, { deviceId, joints, at }, 0)
+}
+
+const parsePayload = (payload) => {
+  const text = payload.toString('utf8')
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+const relayTelemetry = (topic, payload) => {
+  if (payload.length > MAX_TELEMETRY_BYTES) return
+
+  for (const [deviceId, entry] of devices) {
+    if (!topicMatches(entry.telemetryTopic, topic)) continue
+
+    const key = `${deviceId} ${topic}`
+    const now = Date.now()
+    if (now - (lastTelemetryAt.get(key) || 0) < TELEMETRY_MIN_INTERVAL_MS) continue
+    lastTelemetryAt.set(key, now)
+
+    const message = { deviceId, topic, payload: parsePayload(payload), at: now }
+    // Online devices reach their owner and paired operators; offline ones only the owner
+    const phone = registry.getPhone(deviceId)
+    if (phone) emitToPhoneAudience(io, phone, 'mqtt_telemetry', message)
+    else io.to(laptopsRoom(entry.owner)).emit('mqtt_telemetry', message)
+  }
+}
+
+const start = async (socketServer) => {
+  if (!process.env.MQTT_URL) {
+    console.log('MQTT bridge disabled (MQTT_URL is not set)')
+    return
+  }
+  io = socketServer
+
+  const enabledDevices = await Device.find({ 'mqtt.enabled': true })
+  enabledDevices.forEach(configureDevice)
+
+  client = mqtt.connect(process.env.MQTT_URL, {
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    clientId: process.env.MQTT_CLIENT_ID || `robotech-backend-${process.pid}`
+  })
+
+  client.on('connect', () => {
+    console.log(`MQTT bridge connected to ${process.env.MQTT_URL}`)
+    const filters = new Set(Array.from(devices.values()).map((entry) => entry.telemetryTopic))
+    if (filters.size > 0) client.subscribe(Array.from(filters), { qos: 0 })
+  })
+  client.on('error', (error) => console.error('MQTT error:', error.message))
+  client.on('offline', () => console.log('MQTT bridge offline, reconnecting...'))
+  client.on('message', relayTelemetry)
+}
+
+const stop = () => new Promise((resolve) => {
+  if (!client) return resolve()
+  client.end(false, {}, () => resolve())
+  client = null
+})
+
+const isConnected = () => Boolean(client && client.connected)
+
+module.exports = {
+  DEFAULT_TOPICS,
+  start,
+  stop,
+  isConnected,
+  resolveTopics,
+  validateTopics,
+  topicMatches,
+  configureDevice,
+  forgetDevice,
+  publishCommand,
+  publishJointStates
+}
@@ -0,0 +1,35 @@
+// backend/mqtt/localBroker.js
+// A local MQTT broker (Aedes) for trying the MQTT bridge without lab hardware:
+//   npm run mqtt-broker           then set MQTT_URL=mqtt://localhost:1883 for the server
+// Every publish is printed, so commands and joint states show up here, and any MQTT client can
+// publish on a device's telemetry topic to see it in ControlPanel, e.g.
+//   npx mqtt pub -t robotech/<deviceId>/telemetry/battery -m '{"voltage":11.8}'
+require('dotenv').config()
+const net = require('net')
+
+const port = Number(process.env.MQTT_BROKER_PORT) || 1883
+
+const main = async () => {
+  // Aedes is an ES module and a development dependency
+  const { Aedes } = await import('aedes')
+  const broker = await Aedes.createBroker()
+  const server = net.createServer(broker.handle)
+
+  broker.on('client', (client) => console.log(`Client connected: ${client.id}`))
+  broker.on('clientDisconnect', (client) => console.log(`Client disconnected: ${client.id}`))
+  broker.on('publish', (packet, client) => {
+    // Skip the broker's own $SYS messages
+    if (client) console.log(`${packet.topic} <- ${packet.payload.toString().slice(0, 200)}`)
+  })
+
+  server.listen(port, () => console.log(`MQTT broker listening on mqtt://localhost:${port}`))
+
+  const shutdown = () => server.close(() => broker.close(() => process.exit(0)))
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
+
+main().catch((error) => {
+  console.error('MQTT broker failed to start:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,173 @@
+// backend/robot-agent/agent.js
+// Connects to the signaling server the way PhoneCam does (as a registered device of the user's
+// account), so ControlPanel can pick the robot from its device list. Control commands,
+// joint-state frames and velocities addressed to the device are forwarded to the robot over a transport.
+// The agent has no camera: laptops control it through the Socket.IO relay, not a DataChannel.
+const { io } = require('socket.io-client')
+const { encodeCommand, encodeJointStates, encodeVelocity, createLineDecoder } = require('./protocol')
+
+const HEARTBEAT_INTERVAL_MS = 5000
+// Remember this many command IDs so relay retries aren't executed twice (same as PhoneCam)
+const HANDLED_COMMAND_IDS = 50
+
+// POST /api/devices: creates the device on first run, refreshes it afterwards
+const registerDevice = async ({ serverUrl, token, deviceId, name, model }) => {
+  const response = await fetch(`${serverUrl}/api/devices`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ deviceId, name, model })
+  })
+  const json = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(json.error || `Device registration failed with status ${response.status}`)
+  }
+  return json
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.serverUrl - The backend's base URL.
+ * @param {string} options.token - JWT of the account the robot belongs to.
+ * @param {string} options.deviceId - Stable device ID; keep it the same across restarts.
+ * @param {string} [options.name] - Name shown in ControlPanel's device picker.
+ * @param {object} options.transport - A transport from transports/index.js.
+ * @returns {{ start: function, stop: function, getStats: function }}
+ */
+const createRobotAgent = ({ serverUrl, token, deviceId, name = 'Robot', transport }) => {
+  let socket = null
+  let heartbeatTimer = null
+  let handledCommandIds = []
+  // Joint-state frames arrive faster than a serial link may take them; only the newest waiting one is kept
+  let jointWriteInFlight = false
+  let pendingJointFrame = null
+  const stats = { commands: 0, commandFailures: 0, jointFrames: 0, droppedJointFrames: 0, velocityFrames: 0 }
+
+  const sendHeartbeat = () => {
+    if (!socket || !socket.connected) return
+    socket.emit('heartbeat', {
+      visibility: 'visible',
+      robot: { transport: transport.name, linkUp: transport.isOpen() }
+    })
+  }
+
+  const register = () => {
+    socket.emit('register_phone', deviceId, ({ ok } = {}) => {
+      if (ok) {
+        console.log(`Registered as device ${deviceId}`)
+        sendHeartbeat()
+      }
+    })
+  }
+
+  const handleControl = async (cmd, meta = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {}
+    const { commandId } = meta
+
+    if (commandId && handledCommandIds.includes(commandId)) {
+      return respond({ applied: true, duplicate: true })
+    }
+
+    try {
+      await transport.write(encodeCommand(cmd, commandId))
+      if (commandId) handledCommandIds = [...handledCommandIds, commandId].slice(-HANDLED_COMMAND_IDS)
+      stats.commands++
+      respond({ applied: true })
+    } catch (error) {
+      stats.commandFailures++
+      console.error(`Could not forward "${cmd}" to the robot:`, error.message)
+      respond({ applied: false, reason: `robot link error: ${error.message}` })
+    }
+  }
+
+  const writeJointFrame = async (frame) => {
+    jointWriteInFlight = true
+    try {
+      await transport.write(encodeJointStates(frame.joints, frame.at))
+      stats.jointFrames++
+    } catch (error) {
+      console.error('Could not forward joint states to the robot:', error.message)
+    } finally {
+      jointWriteInFlight = false
+    }
+
+    if (pendingJointFrame) {
+      const next = pendingJointFrame
+      pendingJointFrame = null
+      writeJointFrame(next)
+    }
+  }
+
+  const handleJointStates = (frame = {}) => {
+    if (!frame.joints) return
+    if (jointWriteInFlight) {
+      if (pendingJointFrame) stats.droppedJointFrames++
+      pendingJointFrame = frame
+      return
+    }
+    writeJointFrame(frame)
+  }
+
+  // Velocities come at a steady 10 Hz or so and each supersedes the last, so they are written as they arrive
+  const handleVelocity = async (frame = {}) => {
+    try {
+      await transport.write(encodeVelocity(frame))
+      stats.velocityFrames++
+    } catch (error) {
+      console.error('Could not forward the velocity to the robot:', error.message)
+    }
+  }
+
+  // Whatever the robot reports goes to the watching laptops as telemetry
+  const handleRobotMessage = (message) => {
+    if (message.type === 'text') {
+      return console.log('[robot]', message.text)
+    }
+    if (socket && socket.connected) {
+      socket.emit('telemetry', { robot: message, at: Date.now() })
+    }
+  }
+
+  return {
+    start: async () => {
+      transport.onData(createLineDecoder(handleRobotMessage))
+      await transport.open()
+      await registerDevice({ serverUrl, token, deviceId, name, model: `Robot agent (${transport.name})` })
+
+      socket = io(serverUrl, { auth: { token } })
+
+      socket.on('connect', register)
+      socket.on('connect_error', (error) => console.error('Signaling connection failed:', error.message))
+      socket.on('disconnect', (reason) => console.log(`Disconnected from signaling server: ${reason}`))
+      // The server dropped us after missed heartbeats (e.g. the machine slept); come back online
+      socket.on('presence_expired', register)
+      socket.on('stream_error', (message) => console.error('Server error:', message))
+
+      socket.on('control', handleControl)
+      socket.on('joint_states', handleJointStates)
+      socket.on('velocity', handleVelocity)
+      socket.on('link_ping', (ack) => {
+        if (typeof ack === 'function') ack({ receivedAt: Date.now() })
+      })
+      socket.on('control_lock', ({ holder } = {}) => {
+        console.log(holder ? `Controlled by ${holder.email}` : 'No operator in control')
+      })
+      socket.on('start_webrtc_offer', () => {
+        console.log('A laptop asked for video; the robot agent has no camera, so only control is available')
+      })
+
+      heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS)
+    },
+
+    stop: async () => {
+      clearInterval(heartbeatTimer)
+      heartbeatTimer = null
+      if (socket) socket.close()
+      socket = null
+      await transport.close()
+    },
+
+    getStats: () => ({ ...stats, linkUp: transport.isOpen(), connected: Boolean(socket && socket.connected) })
+  }
+}
+
+module.exports = { createRobotAgent }
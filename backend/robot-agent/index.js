@@ -0,0 +1,63 @@
+// backend/robot-agent/index.js
+// Runs the robot agent: `npm run robot-agent` from backend/ (settings come from backend/.env).
+// Example: ROBOT_AGENT_TRANSPORT=serial ROBOT_SERIAL_PATH=/dev/ttyUSB0 npm run robot-agent
+require('dotenv').config()
+const os = require('os')
+const { createRobotAgent } = require('./agent')
+const { createTransport } = require('./transports')
+
+const env = process.env
+const serverUrl = (env.ROBOT_AGENT_SERVER_URL || `http://localhost:${env.PORT || 4000}`).replace(/\/$/, '')
+
+// Either a JWT, or the account's email and password to log in with
+const getToken = async () => {
+  if (env.ROBOT_AGENT_TOKEN) return env.ROBOT_AGENT_TOKEN
+  if (!env.ROBOT_AGENT_EMAIL || !env.ROBOT_AGENT_PASSWORD) {
+    throw new Error('Set ROBOT_AGENT_TOKEN, or ROBOT_AGENT_EMAIL and ROBOT_AGENT_PASSWORD')
+  }
+
+  const response = await fetch(`${serverUrl}/api/user/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: env.ROBOT_AGENT_EMAIL, password: env.ROBOT_AGENT_PASSWORD })
+  })
+  const json = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(json.error || `Login failed with status ${response.status}`)
+  return json.token
+}
+
+const transportOptions = {
+  mock: { log: true, echo: true },
+  serial: { path: env.ROBOT_SERIAL_PATH, baudRate: Number(env.ROBOT_SERIAL_BAUD) || undefined },
+  tcp: { host: env.ROBOT_TCP_HOST, port: Number(env.ROBOT_TCP_PORT) },
+  udp: { host: env.ROBOT_UDP_HOST, port: Number(env.ROBOT_UDP_PORT), localPort: Number(env.ROBOT_UDP_LOCAL_PORT) || 0 }
+}
+
+const main = async () => {
+  const transportType = env.ROBOT_AGENT_TRANSPORT || 'mock'
+  const transport = createTransport(transportType, transportOptions[transportType])
+
+  const agent = createRobotAgent({
+    serverUrl,
+    token: await getToken(),
+    deviceId: env.ROBOT_AGENT_DEVICE_ID || `robot-${os.hostname()}`,
+    name: env.ROBOT_AGENT_NAME || `Robot (${os.hostname()})`,
+    transport
+  })
+
+  const shutdown = async () => {
+    console.log('Stopping robot agent', agent.getStats())
+    await agent.stop()
+    process.exit(0)
+  }
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+
+  await agent.start()
+  console.log(`Robot agent running: ${serverUrl} -> ${transport.name}`)
+}
+
+main().catch((error) => {
+  console.error('Robot agent failed to start:', error.message)
+  process.exit(1)
+})
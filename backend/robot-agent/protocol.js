@@ -0,0 +1,36 @@
+// backend/robot-agent/protocol.js
+// Wire format between the robot agent and the robot's controller board: one JSON object per line.
+//   {"type":"command","cmd":"forward","id":"<commandId>"}
+//   {"type":"joints","joints":{"coxa_joint_r1":0.1},"at":1718000000000}
+//   {"type":"velocity","vx":0.2,"vy":0,"yawRate":-0.5,"at":1718000000000}   (m/s and rad/s, x forward)
+// Lines the robot sends back are parsed the same way and forwarded to the laptops as telemetry.
+
+const encodeCommand = (cmd, commandId) => Buffer.from(JSON.stringify({ type: 'command', cmd, id: commandId }) + '\n')
+
+const encodeJointStates = (joints, at) => Buffer.from(JSON.stringify({ type: 'joints', joints, at }) + '\n')
+
+const encodeVelocity = ({ vx, vy, yawRate, at }) => Buffer.from(JSON.stringify({ type: 'velocity', vx, vy, yawRate, at }) + '\n')
+
+// Splits incoming bytes into lines; returns a function to feed data into and calls onMessage per parsed line.
+// Serial and TCP links may deliver a line in several pieces, so partial lines are buffered.
+const createLineDecoder = (onMessage) => {
+  let buffered = ''
+
+  return (data) => {
+    buffered += data.toString('utf8')
+    const lines = buffered.split('\n')
+    buffered = lines.pop()
+
+    for (const line of lines) {
+      if (!line.trim()) continue
+      try {
+        onMessage(JSON.parse(line))
+      } catch {
+        // Boot banners and debug prints are common on microcontroller serial ports
+        onMessage({ type: 'text', text: line.trim() })
+      }
+    }
+  }
+}
+
+module.exports = { encodeCommand, encodeJointStates, encodeVelocity, createLineDecoder }
@@ -0,0 +1,25 @@
+// backend/robot-agent/transports/index.js
+// Every transport is a factory returning
+//   { name, open(), write(frame: Buffer), close(), isOpen(), onData(handler) }
+// where open/write/close return promises. Add new links (CAN, BLE...) here.
+const createMockTransport = require('./mock')
+const createSerialTransport = require('./serial')
+const createTcpTransport = require('./tcp')
+const createUdpTransport = require('./udp')
+
+const transports = {
+  mock: createMockTransport,
+  serial: createSerialTransport,
+  tcp: createTcpTransport,
+  udp: createUdpTransport
+}
+
+const createTransport = (type, options = {}) => {
+  const factory = transports[type]
+  if (!factory) {
+    throw new Error(`Unknown robot transport "${type}" (expected one of: ${Object.keys(transports).join(', ')})`)
+  }
+  return factory(options)
+}
+
+module.exports = { createTransport }
@@ -0,0 +1,57 @@
+// backend/robot-agent/transports/mock.js
+// In-memory stand-in for robot hardware: keeps the latest frames written to it and can play back
+// robot replies. Used to run the agent, and test against it, without a robot attached.
+
+// Joint frames stream at up to 30 Hz, so only this many recent frames are kept
+const MAX_WRITTEN_FRAMES = 200
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.log] - Print each frame to the console.
+ * @param {number} [options.latencyMs] - Delay before a write resolves, like a slow link.
+ * @param {boolean} [options.echo] - Reply to each command with {"type":"ack","id":...}, as the reference firmware does.
+ */
+const createMockTransport = ({ log = false, latencyMs = 0, echo = false } = {}) => {
+  let open = false
+  let onData = () => {}
+  let failWrites = null
+  const written = []
+
+  const reply = (message) => onData(Buffer.from(JSON.stringify(message) + '\n'))
+
+  return {
+    name: 'mock',
+    // The last MAX_WRITTEN_FRAMES frames written, decoded, oldest first
+    written,
+    isOpen: () => open,
+    onData: (handler) => { onData = handler },
+
+    open: async () => {
+      open = true
+    },
+
+    write: async (frame) => {
+      if (!open) throw new Error('Mock transport is closed')
+      if (failWrites) throw new Error(failWrites)
+      if (latencyMs) await new Promise((resolve) => setTimeout(resolve, latencyMs))
+
+      const message = JSON.parse(frame.toString('utf8'))
+      written.push(message)
+      if (written.length > MAX_WRITTEN_FRAMES) written.shift()
+      if (log) console.log('[mock robot]', frame.toString('utf8').trim())
+      if (echo && message.type === 'command') reply({ type: 'ack', id: message.id })
+    },
+
+    close: async () => {
+      open = false
+    },
+
+    // Test helpers
+    // Makes later writes fail with the given message (pass null to recover), like an unplugged cable
+    setFailure: (message) => { failWrites = message },
+    // Delivers a message as if the robot had sent it
+    simulateReply: reply
+  }
+}
+
+module.exports = createMockTransport
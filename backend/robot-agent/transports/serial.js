@@ -0,0 +1,94 @@
+// backend/robot-agent/transports/serial.js
+// Robot controller on a serial port (USB-serial adapters, Arduino, ESP32...).
+// Uses the optional "serialport" package, loaded only when this transport is chosen.
+// Reopens the port after it disappears (e.g. the cable was pulled and plugged back in).
+
+const REOPEN_DELAY_MS = 2000
+
+const loadSerialPort = () => {
+  try {
+    return require('serialport').SerialPort
+  } catch {
+    throw new Error('The serial transport needs the "serialport" package: run npm install serialport in backend/')
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.path - e.g. /dev/ttyUSB0 or COM3.
+ * @param {number} [options.baudRate]
+ */
+const createSerialTransport = ({ path, baudRate = 115200 }) => {
+  if (!path) throw new Error('The serial transport needs a port path')
+  const SerialPort = loadSerialPort()
+
+  let port = null
+  let isPortOpen = false
+  let closing = false
+  let reopenTimer = null
+  let onData = () => {}
+
+  const openPort = () => new Promise((resolve, reject) => {
+    const opening = new SerialPort({ path, baudRate, autoOpen: false })
+    opening.on('data', (data) => onData(data))
+    opening.on('error', (error) => console.error('[serial] Port error:', error.message))
+    opening.on('close', () => {
+      isPortOpen = false
+      if (!closing) scheduleReopen()
+    })
+
+    opening.open((error) => {
+      if (error) return reject(error)
+      port = opening
+      isPortOpen = true
+      console.log(`[serial] Opened ${path} at ${baudRate} baud`)
+      resolve()
+    })
+  })
+
+  const scheduleReopen = () => {
+    if (reopenTimer) return
+    reopenTimer = setTimeout(() => {
+      reopenTimer = null
+      openPort().catch((error) => {
+        console.error(`[serial] Could not reopen ${path}:`, error.message)
+        scheduleReopen()
+      })
+    }, REOPEN_DELAY_MS)
+  }
+
+  return {
+    name: 'serial',
+    isOpen: () => isPortOpen,
+    onData: (handler) => { onData = handler },
+
+    open: async () => {
+      closing = false
+      try {
+        await openPort()
+      } catch (error) {
+        console.error(`[serial] Could not open ${path}:`, error.message)
+        scheduleReopen()
+      }
+    },
+
+    // drain() waits until the bytes left the OS buffer, so the ack means the robot was sent the frame
+    write: (frame) => new Promise((resolve, reject) => {
+      if (!isPortOpen) return reject(new Error(`Serial port ${path} is not open`))
+      port.write(frame, (error) => {
+        if (error) return reject(error)
+        port.drain((drainError) => drainError ? reject(drainError) : resolve())
+      })
+    }),
+
+    close: () => new Promise((resolve) => {
+      closing = true
+      clearTimeout(reopenTimer)
+      reopenTimer = null
+      if (!port || !isPortOpen) return resolve()
+      port.close(() => resolve())
+    })
+  }
+}
+
+module.exports = createSerialTransport
@@ -0,0 +1,88 @@
+// backend/robot-agent/transports/tcp.js
+// Robot controller reachable over TCP (e.g. an ESP32 on Wi-Fi or a ser2net bridge).
+// Reconnects on its own after the connection drops; writes fail while it is down.
+const net = require('net')
+
+const RECONNECT_DELAY_MS = 2000
+
+/**
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ */
+const createTcpTransport = ({ host, port }) => {
+  if (!host || !port) throw new Error('The TCP transport needs a host and a port')
+
+  let socket = null
+  let connected = false
+  let closing = false
+  let reconnectTimer = null
+  let onData = () => {}
+
+  const connect = () => new Promise((resolve, reject) => {
+    const attempt = net.connect({ host, port })
+    attempt.setNoDelay(true)
+
+    attempt.once('connect', () => {
+      socket = attempt
+      connected = true
+      console.log(`[tcp] Connected to robot at ${host}:${port}`)
+      resolve()
+    })
+    attempt.on('data', (data) => onData(data))
+    attempt.on('error', (error) => {
+      if (!connected) reject(error)
+      else console.error('[tcp] Connection error:', error.message)
+    })
+    attempt.on('close', () => {
+      if (socket !== attempt) return
+      connected = false
+      socket = null
+      if (!closing) scheduleReconnect()
+    })
+  })
+
+  const scheduleReconnect = () => {
+    if (reconnectTimer) return
+    console.log(`[tcp] Robot link down, reconnecting in ${RECONNECT_DELAY_MS} ms`)
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null
+      connect().catch((error) => {
+        console.error('[tcp] Reconnect failed:', error.message)
+        scheduleReconnect()
+      })
+    }, RECONNECT_DELAY_MS)
+  }
+
+  return {
+    name: 'tcp',
+    isOpen: () => connected,
+    onData: (handler) => { onData = handler },
+
+    open: async () => {
+      closing = false
+      try {
+        await connect()
+      } catch (error) {
+        // Keep trying in the background; the agent still comes online and reports the link as down
+        console.error(`[tcp] Could not reach ${host}:${port}:`, error.message)
+        scheduleReconnect()
+      }
+    },
+
+    write: (frame) => new Promise((resolve, reject) => {
+      if (!connected) return reject(new Error('Robot TCP link is down'))
+      socket.write(frame, (error) => error ? reject(error) : resolve())
+    }),
+
+    close: async () => {
+      closing = true
+      clearTimeout(reconnectTimer)
+      reconnectTimer = null
+      if (socket) socket.destroy()
+      connected = false
+    }
+  }
+}
+
+module.exports = createTcpTransport
@@ -0,0 +1,59 @@
+// backend/robot-agent/transports/udp.js
+// Robot controller listening for datagrams, one frame per packet. UDP has no connection, so the
+// link counts as open once the local socket is bound; lost packets are not retried.
+const dgram = require('dgram')
+const dns = require('dns').promises
+
+/**
+ * @param {object} options
+ * @param {string} options.host - The robot's address.
+ * @param {number} options.port - The robot's UDP port.
+ * @param {number} [options.localPort] - Port to receive replies on (random if omitted).
+ */
+const createUdpTransport = ({ host, port, localPort = 0 }) => {
+  if (!host || !port) throw new Error('The UDP transport needs a host and a port')
+
+  let socket = null
+  let robotAddress = null // host, resolved once when opening
+  let onData = () => {}
+
+  return {
+    name: 'udp',
+    isOpen: () => Boolean(socket),
+    onData: (handler) => { onData = handler },
+
+    open: async () => {
+      const { address, family } = await dns.lookup(host)
+      await new Promise((resolve, reject) => {
+        const bound = dgram.createSocket(family === 6 ? 'udp6' : 'udp4')
+        bound.on('message', (data, from) => {
+          // Ignore stray packets from anything but the robot
+          if (from.address === address && from.port === port) onData(data)
+        })
+        bound.on('error', (error) => console.error('[udp] Socket error:', error.message))
+        bound.once('error', reject)
+        bound.bind(localPort, () => {
+          bound.off('error', reject)
+          socket = bound
+          robotAddress = address
+          console.log(`[udp] Sending to robot at ${host}:${port} (${address})`)
+          resolve()
+        })
+      })
+    },
+
+    write: (frame) => new Promise((resolve, reject) => {
+      if (!socket) return reject(new Error('Robot UDP socket is closed'))
+      socket.send(frame, port, robotAddress, (error) => error ? reject(error) : resolve())
+    }),
+
+    close: () => new Promise((resolve) => {
+      if (!socket) return resolve()
+      const closing = socket
+      socket = null
+      closing.close(resolve)
+    })
+  }
+}
+
+module.exports = createUdpTransport
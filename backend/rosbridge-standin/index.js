@@ -0,0 +1,23 @@
+// backend/rosbridge-standin/index.js
+// Runs the rosbridge stand-in: `npm run rosbridge-standin` from backend/, then enable
+// ROS (rosbridge) in ControlPanel or the URDF pages with ws://localhost:9090.
+require('dotenv').config()
+const { createRosbridgeStandIn } = require('./standIn')
+
+const port = Number(process.env.ROSBRIDGE_STANDIN_PORT) || 9090
+const standIn = createRosbridgeStandIn({ port, log: true })
+console.log(`rosbridge stand-in listening on ws://localhost:${port}`)
+
+// Print where the simulated base has driven to every few seconds
+const reportTimer = setInterval(() => {
+  const { pose, joints } = standIn.getRobotState()
+  console.log(`[robot] pose x=${pose.x.toFixed(2)} y=${pose.y.toFixed(2)} theta=${pose.theta.toFixed(2)}, ${Object.keys(joints).length} joints`)
+}, 5000)
+
+const shutdown = async () => {
+  clearInterval(reportTimer)
+  await standIn.close()
+  process.exit(0)
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
@@ -0,0 +1,181 @@
+// backend/rosbridge-standin/standIn.js
+// A stand-in for rosbridge_server plus a simulated robot, for testing the frontend's ROS
+// integration without a ROS installation. It speaks the subset of the rosbridge v2 protocol
+// the app uses (advertise, unadvertise, publish, subscribe, unsubscribe) and relays messages
+// between clients like a real topic graph. The simulated robot:
+//   - integrates geometry_msgs/Twist on cmd_vel (linear.x, linear.y and angular.z) into a 2D pose
+//     (stopping after CMD_VEL_TIMEOUT_MS),
+//   - moves its joints toward the sensor_msgs/JointState positions published on the joint command topic,
+//   - publishes its joint positions on /joint_states, which the app mirrors on its 3D twin.
+const { WebSocketServer } = require('ws')
+
+const CMD_VEL_TIMEOUT_MS = 500 // Like most base controllers: no fresh Twist, no motion
+const MAX_JOINT_SPEED = 3 // rad/s
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port (see address()).
+ * @param {string} [options.cmdVelTopic]
+ * @param {string} [options.jointCommandTopic]
+ * @param {string} [options.jointStatesTopic]
+ * @param {number} [options.rateHz] - How often the simulated robot publishes /joint_states.
+ * @param {boolean} [options.log] - Print incoming commands.
+ * @returns {{ address: function, getRobotState: function, close: function }}
+ */
+const createRosbridgeStandIn = ({
+  port = 9090,
+  cmdVelTopic = '/cmd_vel',
+  jointCommandTopic = '/joint_commands',
+  jointStatesTopic = '/joint_states',
+  rateHz = 20,
+  log = false
+} = {}) => {
+  const wss = new WebSocketServer({ port })
+  const topicTypes = new Map() // topic -> message type, set by the first advertise or subscribe
+  const clients = new Set() // { ws, subscriptions: Map<topic, { throttleRate, lastSentAt }> }
+
+  const robot = {
+    pose: { x: 0, y: 0, theta: 0 },
+    twist: null,
+    twistAt: 0,
+    joints: {}, // name -> current position
+    targets: {} // name -> commanded position
+  }
+
+  const sendTo = (client, message) => {
+    if (client.ws.readyState === client.ws.OPEN) client.ws.send(JSON.stringify(message))
+  }
+
+  const status = (client, level, msg, id) => sendTo(client, { op: 'status', level, msg, id })
+
+  // Delivers a message to every subscriber of the topic, honoring their throttle_rate
+  const deliver = (topic, msg) => {
+    const now = Date.now()
+    for (const client of clients) {
+      const subscription = client.subscriptions.get(topic)
+      if (!subscription || now - subscription.lastSentAt < subscription.throttleRate) continue
+      subscription.lastSentAt = now
+      sendTo(client, { op: 'publish', topic, msg })
+    }
+  }
+
+  const checkType = (client, topic, type, id) => {
+    if (!type) return true
+    const known = topicTypes.get(topic)
+    if (known && known !== type) {
+      status(client, 'error', `${topic} already has type ${known}, not ${type}`, id)
+      return false
+    }
+    topicTypes.set(topic, type)
+    return true
+  }
+
+  // The simulated robot's view of published messages
+  const simulate = (topic, msg) => {
+    if (topic === cmdVelTopic) {
+      robot.twist = { vx: msg.linear?.x || 0, vy: msg.linear?.y || 0, vz: msg.angular?.z || 0 }
+      robot.twistAt = Date.now()
+      if (log) console.log(`[robot] cmd_vel linear.x=${robot.twist.vx} linear.y=${robot.twist.vy} angular.z=${robot.twist.vz}`)
+    } else if (topic === jointCommandTopic) {
+      (msg.name || []).forEach((name, i) => {
+        if (typeof msg.position?.[i] !== 'number') return
+        robot.targets[name] = msg.position[i]
+        if (!(name in robot.joints)) robot.joints[name] = 0
+      })
+    }
+  }
+
+  const ops = {
+    advertise: (client, { topic, type, id }) => {
+      if (checkType(client, topic, type, id)) client.advertised.add(topic)
+    },
+    unadvertise: (client, { topic }) => {
+      client.advertised.delete(topic)
+    },
+    publish: (client, { topic, msg, id }) => {
+      if (!client.advertised.has(topic) && !topicTypes.has(topic)) {
+        return status(client, 'error', `Cannot publish to ${topic}: advertise it first`, id)
+      }
+      simulate(topic, msg || {})
+      deliver(topic, msg || {})
+    },
+    subscribe: (client, { topic, type, throttle_rate: throttleRate = 0, id }) => {
+      if (!checkType(client, topic, type, id)) return
+      client.subscriptions.set(topic, { throttleRate, lastSentAt: 0 })
+    },
+    unsubscribe: (client, { topic }) => {
+      client.subscriptions.delete(topic)
+    }
+  }
+
+  wss.on('connection', (ws) => {
+    const client = { ws, advertised: new Set(), subscriptions: new Map() }
+    clients.add(client)
+    if (log) console.log(`Client connected (${clients.size} total)`)
+
+    ws.on('message', (data) => {
+      let message
+      try {
+        message = JSON.parse(data.toString())
+      } catch {
+        return status(client, 'error', 'Messages must be JSON')
+      }
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return status(client, 'error', 'Messages must be JSON objects')
+      }
+      const handler = Object.hasOwn(ops, message.op) ? ops[message.op] : null
+      if (!handler) return status(client, 'error', `Unsupported op "${message.op}"`, message.id)
+      if (typeof message.topic !== 'string' || !message.topic) return status(client, 'error', `"${message.op}" needs a topic`, message.id)
+      handler(client, message)
+    })
+
+    ws.on('close', () => {
+      clients.delete(client)
+      if (log) console.log(`Client disconnected (${clients.size} left)`)
+    })
+  })
+
+  topicTypes.set(jointStatesTopic, 'sensor_msgs/JointState')
+
+  const dt = 1 / rateHz
+  const timer = setInterval(() => {
+    const now = Date.now()
+    if (robot.twist && now - robot.twistAt < CMD_VEL_TIMEOUT_MS) {
+      robot.pose.theta += robot.twist.vz * dt
+      // linear.y strafes to the robot's left, as the joystick's vy does
+      const cos = Math.cos(robot.pose.theta)
+      const sin = Math.sin(robot.pose.theta)
+      robot.pose.x += (robot.twist.vx * cos - robot.twist.vy * sin) * dt
+      robot.pose.y += (robot.twist.vx * sin + robot.twist.vy * cos) * dt
+    }
+
+    for (const name of Object.keys(robot.targets)) {
+      const error = robot.targets[name] - robot.joints[name]
+      const step = MAX_JOINT_SPEED * dt
+      robot.joints[name] += Math.max(-step, Math.min(step, error))
+    }
+
+    const names = Object.keys(robot.joints)
+    if (names.length > 0) {
+      deliver(jointStatesTopic, {
+        header: { stamp: { sec: Math.floor(now / 1000), nanosec: (now % 1000) * 1e6 }, frame_id: '' },
+        name: names,
+        position: names.map((name) => robot.joints[name]),
+        velocity: [],
+        effort: []
+      })
+    }
+  }, 1000 / rateHz)
+
+  return {
+    address: () => wss.address(),
+    getRobotState: () => ({ pose: { ...robot.pose }, joints: { ...robot.joints } }),
+    close: () => new Promise((resolve) => {
+      clearInterval(timer)
+      for (const client of clients) client.ws.terminate()
+      wss.close(() => resolve())
+    })
+  }
+}
+
+module.exports = { createRosbridgeStandIn }
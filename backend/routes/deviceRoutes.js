@@ -0,0 +1,29 @@
+const express = require('express')
+const requireAuth = require('../middleware/requireAuth')
+const {
+  registerDevice,
+  getDevices,
+  renameDevice,
+  deleteDevice,
+  getMqttSettings,
+  updateMqttSettings
+} = require('../controller/deviceController')
+
+const router = express.Router()
+
+// every device route needs a logged-in user
+router.use(requireAuth)
+
+router.get('/', getDevices)
+
+router.post('/', registerDevice)
+
+router.patch('/:deviceId', renameDevice)
+
+router.delete('/:deviceId', deleteDevice)
+
+router.get('/:deviceId/mqtt', getMqttSettings)
+
+router.put('/:deviceId/mqtt', updateMqttSettings)
+
+module.exports = router
@@ -0,0 +1,12 @@
+const express = require('express')
+const requireAuth = require('../middleware/requireAuth')
+const { getIceServers } = require('../controller/iceController')
+
+const router = express.Router()
+
+// TURN credentials are only handed to logged-in users
+router.use(requireAuth)
+
+router.get('/', getIceServers)
+
+module.exports = router
@@ -0,0 +1,20 @@
+const express = require('express')
+const requireAuth = require('../middleware/requireAuth')
+const {
+  getInputBindings,
+  saveInputBindings,
+  deleteInputBindings
+} = require('../controller/inputBindingController')
+
+const router = express.Router()
+
+// bindings belong to the logged-in user
+router.use(requireAuth)
+
+router.get('/:robotModel', getInputBindings)
+
+router.put('/:robotModel', saveInputBindings)
+
+router.delete('/:robotModel', deleteInputBindings)
+
+module.exports = router
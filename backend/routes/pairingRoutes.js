@@ -0,0 +1,23 @@
+const express = require('express')
+const requireAuth = require('../middleware/requireAuth')
+const {
+  createPairing,
+  claimPairing,
+  getPairings,
+  revokePairing
+} = require('../controller/pairingController')
+
+const router = express.Router()
+
+// every pairing route needs a logged-in user
+router.use(requireAuth)
+
+router.get('/', getPairings)
+
+router.post('/', createPairing)
+
+router.post('/claim', claimPairing)
+
+router.delete('/:id', revokePairing)
+
+module.exports = router
@@ -0,0 +1,52 @@
+const express = require('express')
+const requireAuth = require('../middleware/requireAuth')
+const {
+  MAX_CHUNK_BYTES,
+  MAX_JOINT_STATES_BYTES,
+  verifyStreamToken,
+  createRecording,
+  getRecordings,
+  getRecording,
+  uploadChunk,
+  streamRecording,
+  renameRecording,
+  deleteRecording,
+  uploadJointStates,
+  getJointStates
+} = require('../controller/recordingController')
+
+const router = express.Router()
+
+// Video elements can't send headers: a valid ?access= token for this recording stands in for the login
+const allowStreamToken = (req, res, next) => {
+  if (req.query.access) {
+    if (verifyStreamToken(req.query.access) !== req.params.id) {
+      return res.status(401).json({error: 'Stream link is invalid or expired'})
+    }
+    return next()
+  }
+  requireAuth(req, res, next)
+}
+
+router.get('/:id/stream', allowStreamToken, streamRecording)
+
+// every other recording route needs a logged-in user
+router.use(requireAuth)
+
+router.get('/', getRecordings)
+
+router.post('/', createRecording)
+
+router.get('/:id', getRecording)
+
+router.patch('/:id', renameRecording)
+
+router.delete('/:id', deleteRecording)
+
+router.put('/:id/chunks', express.raw({ type: 'application/octet-stream', limit: MAX_CHUNK_BYTES }), uploadChunk)
+
+router.get('/:id/joint-states', getJointStates)
+
+router.put('/:id/joint-states', express.text({ type: 'application/x-ndjson', limit: MAX_JOINT_STATES_BYTES }), uploadJointStates)
+
+module.exports = router
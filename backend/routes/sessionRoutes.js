@@ -0,0 +1,20 @@
+const express = require('express')
+const requireAuth = require('../middleware/requireAuth')
+const {
+  getSessions,
+  getSession,
+  getSessionCommands
+} = require('../controller/sessionController')
+
+const router = express.Router()
+
+// every session route needs a logged-in user
+router.use(requireAuth)
+
+router.get('/', getSessions)
+
+router.get('/:id', getSession)
+
+router.get('/:id/commands', getSessionCommands)
+
+module.exports = router
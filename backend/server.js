@@ -1,4 +1,5 @@
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
@@ -6,18 +7,36 @@ require('dotenv').config();
 const userRoutes = require('./routes/user')
 const paymentRoutes = require('./routes/paymentRoutes'); 
 const authRoutes = require('./routes/authRoutes'); 
+const deviceRoutes = require('./routes/deviceRoutes');
+const pairingRoutes = require('./routes/pairingRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const iceRoutes = require('./routes/iceRoutes');
+const recordingRoutes = require('./routes/recordingRoutes');
+const inputBindingRoutes = require('./routes/inputBindingRoutes');
+const initSocket = require('./socket');
+const mqttBridge = require('./mqtt/bridge');
 const app = express();
 app.use(express.json());
 app.use(cors());
 
+// Socket.IO shares the HTTP server with Express so signaling runs on the same port as the API
+const server = http.createServer(app);
+const io = initSocket(server);
+// Controllers reach connected sockets through req.app.get('io')
+app.set('io', io);
+
 
 mongoose.connect(process.env.MONGO_URI)
   .then(() => {
 
     const PORT = process.env.PORT || 4000; 
-    app.listen(PORT, () => {
+    server.listen(PORT, () => {
       console.log(`MongoDB Connected & Server listening on port ${PORT}`);
     });
+    // Loads the devices with MQTT enabled, so it waits for the database
+    mqttBridge.start(io).catch((error) => {
+      console.error('MQTT bridge failed to start:', error.message);
+    });
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error.message);
@@ -35,6 +54,9 @@ app.use((req, res, next) => {
 app.use('/api/user', userRoutes)
 app.use('/api/payments', paymentRoutes);
 app.use('/api/auth', authRoutes);
-app.listen(process.env.PORT, () => {
-  console.log('Listening on port ', process.env.PORT);
-});
+app.use('/api/devices', deviceRoutes);
+app.use('/api/pairings', pairingRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/ice-servers', iceRoutes);
+app.use('/api/recordings', recordingRoutes);
+app.use('/api/bindings', inputBindingRoutes);
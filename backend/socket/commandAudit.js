@@ -0,0 +1,101 @@
+// backend/socket/commandAudit.js
+// Records control sessions and every control command in Mongo for later review.
+// Writes are fire-and-forget: a database hiccup must never block teleoperation.
+const ControlSession = require('../models/controlSessionModel')
+const CommandLog = require('../models/commandLogModel')
+
+const logFailure = (what) => (error) => console.error(`Audit log: failed to ${what}:`, error.message)
+
+// A laptop has one session per phone it streams from: phoneDeviceId -> session _id
+const sessionsOf = (socket) => {
+  if (!socket.data.sessionIds) socket.data.sessionIds = new Map()
+  return socket.data.sessionIds
+}
+
+// Closes the laptop's session with a phone, or all of its sessions when no phone is given
+const endSession = (socket, phoneDeviceId) => {
+  const sessions = sessionsOf(socket)
+  const phoneDeviceIds = phoneDeviceId ? [phoneDeviceId] : [...sessions.keys()]
+
+  for (const id of phoneDeviceIds) {
+    const sessionId = sessions.get(id)
+    if (!sessionId) continue
+
+    sessions.delete(id)
+    ControlSession.updateOne({ _id: sessionId }, { endedAt: Date.now() })
+      .catch(logFailure('end session'))
+  }
+}
+
+// Starts a session when a laptop requests a phone's stream
+const startSession = (socket, phoneDeviceId, phone) => {
+  endSession(socket, phoneDeviceId)
+
+  const session = new ControlSession({
+    operator: socket.data.userId,
+    deviceId: phoneDeviceId,
+    deviceOwner: phone.userId,
+    laptopSocketId: socket.id
+  })
+  sessionsOf(socket).set(phoneDeviceId, session._id)
+  session.save().catch(logFailure('start session'))
+}
+
+// Continues the session a laptop had with the phone before its socket reconnected, or starts a new one
+const resumeSession = async (socket, phoneDeviceId, phone, previousSocketId) => {
+  if (sessionsOf(socket).has(phoneDeviceId)) return
+  if (!previousSocketId) return startSession(socket, phoneDeviceId, phone)
+
+  try {
+    const session = await ControlSession.findOneAndUpdate(
+      { operator: socket.data.userId, deviceId: phoneDeviceId, laptopSocketId: previousSocketId },
+      { laptopSocketId: socket.id, endedAt: null },
+      { new: true }
+    )
+    if (session) {
+      sessionsOf(socket).set(phoneDeviceId, session._id)
+      return
+    }
+  } catch (error) {
+    logFailure('resume session')(error)
+  }
+  startSession(socket, phoneDeviceId, phone)
+}
+
+/**
+ * Upserts the audit entry for a command attempt.
+ * @param {Socket} socket - The laptop that sent the command.
+ * @param {object} payload - The "control" payload ({ cmd, targetPhoneId, commandId, source, robotModel, sentAt }).
+ * @param {object} result - The ack returned to the laptop ({ ok, denied, applied, transport }).
+ */
+const logCommand = (socket, payload, result) => {
+  const { cmd, targetPhoneId, commandId, source, robotModel, sentAt } = payload
+  if (!cmd || !commandId || !targetPhoneId) return
+
+  const status = result.ok ? 'acknowledged' : result.denied ? 'denied' : 'unacknowledged'
+
+  CommandLog.findOneAndUpdate(
+    { user: socket.data.userId, commandId },
+    {
+      $set: {
+        status,
+        applied: result.applied,
+        transport: result.transport === 'datachannel' ? 'datachannel' : 'socket',
+        ...(result.ok && { ackedAt: Date.now() })
+      },
+      $inc: { attempts: 1 },
+      $setOnInsert: {
+        session: sessionsOf(socket).get(targetPhoneId),
+        deviceId: targetPhoneId,
+        cmd,
+        source,
+        robotModel,
+        sentAt: sentAt ? new Date(sentAt) : undefined,
+        receivedAt: Date.now()
+      }
+    },
+    { upsert: true }
+  ).catch(logFailure('log command'))
+}
+
+module.exports = { startSession, resumeSession, endSession, logCommand }
@@ -0,0 +1,198 @@
+// backend/socket/controlHandlers.js
+// Forwards "control" commands from laptops to phones, enforcing the controller lock.
+// Commands and link pings are acknowledged end to end: the laptop's Socket.IO ack callback
+// receives the phone's (or robot agent's) acknowledgement, relayed by the server.
+// Once a peer connection is up, laptops send commands over its DataChannel instead and
+// this relay is only the fallback; the phone enforces the lock on that path itself.
+const registry = require('./registry')
+const controlLocks = require('./controlLocks')
+const commandAudit = require('./commandAudit')
+const mqttBridge = require('../mqtt/bridge')
+const { sanitizeTelemetry, sanitizeSensors, sanitizeGaitParams } = require('./sanitize')
+
+const { getAccessiblePhone } = registry
+
+// How long the server waits for the phone to acknowledge; laptops use a longer timeout and retry
+const PHONE_ACK_TIMEOUT_MS = 1000
+// Switching cameras reopens getUserMedia on the phone, which can take a few seconds
+const CAMERA_SETTINGS_TIMEOUT_MS = 5000
+
+const noop = () => {}
+
+// Emits to the phone and calls respond({ ok, ...phoneAck }) once it acknowledges or times out
+const relayWithAck = (io, phone, event, args, respond, timeoutMs = PHONE_ACK_TIMEOUT_MS) => {
+  io.to(phone.socketId).timeout(timeoutMs).emit(event, ...args, (err, responses) => {
+    if (err || responses.length === 0) {
+      return respond({ ok: false, error: 'Phone did not acknowledge in time.' })
+    }
+    respond({ ok: true, ...responses[0] })
+  })
+}
+
+const registerControlHandlers = (io, socket) => {
+  const { userId } = socket.data
+
+  const deny = (phoneDeviceId, reason) => {
+    socket.emit('control_denied', { phoneDeviceId, reason, ...controlLocks.getLockState(phoneDeviceId) })
+  }
+
+  socket.on('acquire_control', ({ phoneDeviceId } = {}) => {
+    if (!getAccessiblePhone(userId, phoneDeviceId)) {
+      return deny(phoneDeviceId, `Phone ${phoneDeviceId} is not online.`)
+    }
+    if (!controlLocks.acquireLock(phoneDeviceId, socket)) {
+      return deny(phoneDeviceId, 'Another operator holds control of this phone.')
+    }
+    controlLocks.broadcastLock(io, phoneDeviceId)
+  })
+
+  socket.on('release_control', ({ phoneDeviceId } = {}) => {
+    if (controlLocks.holdsLock(phoneDeviceId, socket.id)) {
+      controlLocks.releaseLock(phoneDeviceId)
+      controlLocks.broadcastLock(io, phoneDeviceId)
+    }
+  })
+
+  socket.on('request_handover', ({ phoneDeviceId } = {}) => {
+    if (!getAccessiblePhone(userId, phoneDeviceId)) {
+      return deny(phoneDeviceId, `Phone ${phoneDeviceId} is not online.`)
+    }
+
+    // Nobody to ask (or the holder is gone and it is ours to resume): just take it
+    if (controlLocks.acquireLock(phoneDeviceId, socket)) {
+      return controlLocks.broadcastLock(io, phoneDeviceId)
+    }
+
+    const { holder } = controlLocks.getLockState(phoneDeviceId)
+    io.to(holder.socketId).emit('handover_requested', {
+      phoneDeviceId,
+      requesterSocketId: socket.id,
+      requesterEmail: socket.data.email
+    })
+  })
+
+  socket.on('respond_handover', ({ phoneDeviceId, requesterSocketId, accept } = {}) => {
+    if (!controlLocks.holdsLock(phoneDeviceId, socket.id)) return
+
+    const requester = io.sockets.sockets.get(requesterSocketId)
+    if (!requester) return
+
+    const accepted = Boolean(accept) && Boolean(getAccessiblePhone(requester.data.userId, phoneDeviceId))
+    if (accepted) {
+      controlLocks.transferLock(phoneDeviceId, requester)
+      controlLocks.broadcastLock(io, phoneDeviceId)
+    }
+    requester.emit('handover_response', { phoneDeviceId, accepted, responderEmail: socket.data.email })
+  })
+
+  // payload: { cmd, targetPhoneId, commandId, source, robotModel, gait, sentAt }; gait is the operator's gait params.
+  // Retries reuse the commandId so the phone can drop duplicates and the audit log keeps one entry.
+  socket.on('control', (payload = {}, ack) => {
+    const { cmd, targetPhoneId, commandId } = payload
+    const respond = (result) => {
+      commandAudit.logCommand(socket, payload, result)
+      if (typeof ack === 'function') ack(result)
+    }
+
+    const phone = getAccessiblePhone(userId, targetPhoneId)
+    if (!phone) {
+      socket.emit('stream_error', `Cannot send "${cmd}": phone ${targetPhoneId} is not online.`)
+      return respond({ ok: false, commandId, error: 'Phone is not online.' })
+    }
+
+    // The first laptop to send a command takes the lock if nobody holds it
+    if (!controlLocks.holdsLock(targetPhoneId, socket.id)) {
+      if (!controlLocks.acquireLock(targetPhoneId, socket)) {
+        const reason = `Cannot send "${cmd}": another operator holds control of this phone.`
+        deny(targetPhoneId, reason)
+        return respond({ ok: false, commandId, denied: true, error: reason })
+      }
+      controlLocks.broadcastLock(io, targetPhoneId)
+    }
+
+    // Devices with MQTT enabled also get the command on their command topic, with the same checked fields
+    const gait = sanitizeGaitParams(payload.gait)
+    mqttBridge.publishCommand(targetPhoneId, { cmd, commandId, gait }, socket.data.email)
+    relayWithAck(io, phone, 'control', [cmd, { commandId, gait }], (result) => respond({ commandId, ...result }))
+  })
+
+  // payload: { targetPhoneId, joints: { [jointName]: position }, at }.
+  // Streamed many times a second, so unlike "control" it is neither acknowledged nor audited;
+  // only the lock holder's frames reach the device (e.g. a robot agent, see robot-agent/).
+  socket.on('joint_states', ({ targetPhoneId, joints, at } = {}) => {
+    const phone = getAccessiblePhone(userId, targetPhoneId)
+    if (!phone || !joints || typeof joints !== 'object') return
+    if (!controlLocks.holdsLock(targetPhoneId, socket.id)) return
+
+    io.to(phone.socketId).emit('joint_states', { joints, at: at || Date.now() })
+    mqttBridge.publishJointStates(targetPhoneId, joints, at || Date.now())
+  })
+
+  // payload: { targetPhoneId, vx, vy, yawRate, gait, at } in m/s and rad/s, robot frame (x forward, y left).
+  // Streamed at a fixed rate while a tilt or joystick control is held, with zeros on release;
+  // like joint_states it is only relayed for the lock holder and not acknowledged.
+  socket.on('velocity', ({ targetPhoneId, vx, vy, yawRate, gait, at } = {}) => {
+    const phone = getAccessiblePhone(userId, targetPhoneId)
+    if (!phone || !controlLocks.holdsLock(targetPhoneId, socket.id)) return
+
+    const toNumber = (value) => (Number.isFinite(value) ? value : 0)
+    io.to(phone.socketId).emit('velocity', {
+      vx: toNumber(vx), vy: toNumber(vy), yawRate: toNumber(yawRate), gait: sanitizeGaitParams(gait), at: at || Date.now()
+    })
+  })
+
+  // A command the laptop delivered over the DataChannel, reported afterwards for the audit log
+  socket.on('control_log', (payload = {}, result = {}) => {
+    if (!controlLocks.holdsLock(payload.targetPhoneId, socket.id)) return
+    commandAudit.logCommand(socket, payload, { ok: true, applied: result.applied, transport: 'datachannel' })
+    mqttBridge.publishCommand(payload.targetPhoneId, payload, socket.data.email)
+  })
+
+  // Phone state for the laptops watching it, used while the DataChannel is down
+  socket.on('telemetry', (data) => {
+    const { phoneDeviceId } = socket.data
+    if (!phoneDeviceId) return
+    controlLocks.emitToWatchers(io, phoneDeviceId, 'telemetry', { ...sanitizeTelemetry(data || {}), phoneDeviceId })
+  })
+
+  // Phone sensor frames (motion, orientation, location), relayed like telemetry
+  socket.on('sensors', (frame) => {
+    const { phoneDeviceId } = socket.data
+    if (!phoneDeviceId) return
+    controlLocks.emitToWatchers(io, phoneDeviceId, 'sensors', { ...sanitizeSensors(frame || {}), phoneDeviceId })
+  })
+
+  // payload: { targetPhoneId, changes: { facingMode, resolution, frameRate, maxBitrate, micMuted, torch, zoom } }.
+  // The phone replies { ok, errors, camera } (see frontend/src/utils/cameraControl.js).
+  // Anyone streaming may change the camera unless another operator holds the lock.
+  socket.on('camera_settings', ({ targetPhoneId, changes } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : noop
+
+    const phone = getAccessiblePhone(userId, targetPhoneId)
+    if (!phone) {
+      return respond({ ok: false, error: 'Phone is not online.' })
+    }
+    const { holder } = controlLocks.getLockState(targetPhoneId)
+    if (holder && holder.socketId !== socket.id) {
+      return respond({ ok: false, denied: true, error: `${holder.email} holds control of this phone.` })
+    }
+    relayWithAck(io, phone, 'camera_settings', [changes || {}], respond, CAMERA_SETTINGS_TIMEOUT_MS)
+  })
+
+  // Round-trip probe for the ControlPanel latency readout
+  socket.on('link_ping', ({ targetPhoneId } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : noop
+
+    const phone = getAccessiblePhone(userId, targetPhoneId)
+    if (!phone) {
+      return respond({ ok: false, error: 'Phone is not online.' })
+    }
+    relayWithAck(io, phone, 'link_ping', [], respond)
+  })
+
+  socket.on('disconnect', () => {
+    controlLocks.scheduleRelease(io, socket.id)
+  })
+}
+
+module.exports = registerControlHandlers
@@ -0,0 +1,151 @@
+// backend/socket/controlLocks.js
+// Exclusive control leases: only the laptop holding a phone's lock may send it "control" events.
+// Every laptop streaming from the phone watches the lock and is told who holds it.
+const registry = require('./registry')
+
+// How long a lock survives after its holder disconnects, so a page reload or network blip can resume it
+const LOCK_RELEASE_GRACE_MS = Number(process.env.CONTROL_LOCK_GRACE_MS) || 10000
+
+const locks = new Map() // phoneDeviceId -> { socketId, userId, email, since, releaseTimer }
+
+const watchersRoom = (phoneDeviceId) => `watchers:${phoneDeviceId}`
+
+const getLockState = (phoneDeviceId) => {
+  const lock = locks.get(phoneDeviceId)
+  return {
+    phoneDeviceId,
+    holder: lock ? {
+      socketId: lock.socketId,
+      email: lock.email,
+      since: lock.since,
+      disconnected: Boolean(lock.releaseTimer)
+    } : null
+  }
+}
+
+const emitToWatchers = (io, phoneDeviceId, event, payload) => {
+  io.to(watchersRoom(phoneDeviceId)).emit(event, payload)
+}
+
+// Sends the current lock state to every watching laptop and to the phone itself
+const broadcastLock = (io, phoneDeviceId) => {
+  const state = getLockState(phoneDeviceId)
+  emitToWatchers(io, phoneDeviceId, 'control_lock', state)
+
+  const phoneSocketId = registry.getPhoneSocketId(phoneDeviceId)
+  if (phoneSocketId) {
+    io.to(phoneSocketId).emit('control_lock', state)
+  }
+}
+
+// Adds the laptop to the watcher room of a phone it is streaming from (a laptop may stream from several)
+const watchPhone = (socket, phoneDeviceId) => {
+  if (!socket.data.watchingPhoneIds) socket.data.watchingPhoneIds = new Set()
+  socket.data.watchingPhoneIds.add(phoneDeviceId)
+  socket.join(watchersRoom(phoneDeviceId))
+  socket.emit('control_lock', getLockState(phoneDeviceId))
+}
+
+// Called when the laptop closes a phone's stream; it stops hearing about that phone's lock and telemetry
+const unwatchPhone = (socket, phoneDeviceId) => {
+  if (socket.data.watchingPhoneIds) socket.data.watchingPhoneIds.delete(phoneDeviceId)
+  socket.leave(watchersRoom(phoneDeviceId))
+}
+
+const holdsLock = (phoneDeviceId, socketId) => {
+  const lock = locks.get(phoneDeviceId)
+  return Boolean(lock) && lock.socketId === socketId
+}
+
+const setHolder = (phoneDeviceId, socket) => {
+  const previous = locks.get(phoneDeviceId)
+  if (previous && previous.releaseTimer) {
+    clearTimeout(previous.releaseTimer)
+  }
+
+  locks.set(phoneDeviceId, {
+    socketId: socket.id,
+    userId: socket.data.userId,
+    email: socket.data.email,
+    since: Date.now(),
+    releaseTimer: null
+  })
+}
+
+// Grants the lock if it is free, already ours, or left behind by the same user's disconnected laptop.
+// Returns whether the socket now holds it.
+const acquireLock = (phoneDeviceId, socket) => {
+  const lock = locks.get(phoneDeviceId)
+  if (lock && lock.socketId === socket.id) return true
+
+  const resumable = lock && lock.releaseTimer && lock.userId === socket.data.userId
+  if (lock && !resumable) return false
+
+  setHolder(phoneDeviceId, socket)
+  return true
+}
+
+const transferLock = (phoneDeviceId, socket) => {
+  setHolder(phoneDeviceId, socket)
+}
+
+// Hands a lock held by the user's previous socket to its reconnected one (the old socket may not have
+// timed out yet, so this doesn't wait for the grace period to start). Returns whether it moved.
+const resumeLock = (phoneDeviceId, socket, previousSocketId) => {
+  const lock = locks.get(phoneDeviceId)
+  if (!lock || lock.socketId !== previousSocketId || lock.userId !== socket.data.userId) return false
+
+  setHolder(phoneDeviceId, socket)
+  return true
+}
+
+const releaseLock = (phoneDeviceId) => {
+  const lock = locks.get(phoneDeviceId)
+  if (!lock) return false
+
+  if (lock.releaseTimer) {
+    clearTimeout(lock.releaseTimer)
+  }
+  locks.delete(phoneDeviceId)
+  return true
+}
+
+// Called when a laptop disconnects: its locks time out unless it comes back within the grace period
+const scheduleRelease = (io, socketId) => {
+  for (const [phoneDeviceId, lock] of locks) {
+    if (lock.socketId !== socketId || lock.releaseTimer) continue
+
+    lock.releaseTimer = setTimeout(() => {
+      if (locks.get(phoneDeviceId) === lock) {
+        locks.delete(phoneDeviceId)
+        console.log(`Control lock on ${phoneDeviceId} timed out (holder ${lock.email} disconnected)`)
+        broadcastLock(io, phoneDeviceId)
+      }
+    }, LOCK_RELEASE_GRACE_MS)
+    broadcastLock(io, phoneDeviceId)
+  }
+}
+
+// Drops a user's lock on a phone immediately, e.g. when their pairing is revoked
+const releaseLockForUser = (io, phoneDeviceId, userId) => {
+  const lock = locks.get(phoneDeviceId)
+  if (lock && lock.userId === userId) {
+    releaseLock(phoneDeviceId)
+    broadcastLock(io, phoneDeviceId)
+  }
+}
+
+module.exports = {
+  getLockState,
+  broadcastLock,
+  emitToWatchers,
+  watchPhone,
+  unwatchPhone,
+  holdsLock,
+  acquireLock,
+  transferLock,
+  resumeLock,
+  releaseLock,
+  scheduleRelease,
+  releaseLockForUser
+}
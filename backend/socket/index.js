@@ -0,0 +1,30 @@
+// backend/socket/index.js
+const { Server } = require('socket.io')
+const requireSocketAuth = require('../middleware/requireSocketAuth')
+const registerSignalingHandlers = require('./signalingHandlers')
+const registerControlHandlers = require('./controlHandlers')
+const presence = require('./presence')
+
+const initSocket = (server) => {
+  const io = new Server(server, {
+    cors: {
+      // Comma separated list of allowed frontend origins, e.g. "http://localhost:5173"
+      origin: process.env.CLIENT_ORIGIN ? process.env.CLIENT_ORIGIN.split(',') : '*'
+    }
+  })
+
+  // Reject anonymous connections: every laptop and phone must present the user's JWT
+  io.use(requireSocketAuth)
+
+  io.on('connection', (socket) => {
+    console.log(`Socket connected: ${socket.id} (user ${socket.data.userId})`)
+    registerSignalingHandlers(io, socket)
+    registerControlHandlers(io, socket)
+  })
+
+  presence.startStaleSweep(io)
+
+  return io
+}
+
+module.exports = initSocket
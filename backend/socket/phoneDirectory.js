@@ -0,0 +1,69 @@
+// backend/socket/phoneDirectory.js
+// Builds the "available_phones" list ControlPanel shows in its device picker.
+const Device = require('../models/deviceModel')
+const Pairing = require('../models/pairingModel')
+const registry = require('./registry')
+
+const laptopsRoom = (userId) => `laptops:${userId}`
+
+// Active, unexpired pairings in which the user is the operator
+const findOperatorPairings = (userId) => {
+  return Pairing.find({ operator: userId, status: 'active', expiresAt: { $gt: new Date() } })
+}
+
+// The user's own devices plus the ones paired with them, newest activity first,
+// flagged with their live connection state
+const listAvailablePhones = async (userId) => {
+  const pairings = await findOperatorPairings(userId)
+  const devices = await Device.find({
+    $or: [{ owner: userId }, { deviceId: { $in: pairings.map((pairing) => pairing.deviceId) } }]
+  }).sort({ lastSeen: -1 })
+
+  return devices.map((device) => {
+    const phone = registry.getAccessiblePhone(userId, device.deviceId)
+    return {
+      deviceId: device.deviceId,
+      name: device.name,
+      model: device.model,
+      // Online phones report more often than lastSeen is written to Mongo
+      lastSeen: phone ? new Date(phone.lastSeen) : device.lastSeen,
+      paired: !device.owner.equals(userId),
+      online: Boolean(phone),
+      status: phone ? phone.status : null
+    }
+  })
+}
+
+const broadcastAvailablePhones = async (io, userId) => {
+  try {
+    io.to(laptopsRoom(userId)).emit('available_phones', await listAvailablePhones(userId))
+  } catch (error) {
+    console.error('Failed to broadcast available phones:', error.message)
+  }
+}
+
+// Refreshes the device picker of everyone who can see the phone: its owner and its paired operators
+const broadcastPhoneChange = (io, phone) => {
+  broadcastAvailablePhones(io, phone.userId)
+  for (const operatorId of phone.operators.keys()) {
+    broadcastAvailablePhones(io, operatorId)
+  }
+}
+
+// Sends an event to the ControlPanels of the phone's owner and of its currently paired operators
+const emitToPhoneAudience = (io, phone, event, payload) => {
+  io.to(laptopsRoom(phone.userId)).emit(event, payload)
+  for (const [operatorId, pairedUntil] of phone.operators) {
+    if (pairedUntil > Date.now()) {
+      io.to(laptopsRoom(operatorId)).emit(event, payload)
+    }
+  }
+}
+
+module.exports = {
+  laptopsRoom,
+  listAvailablePhones,
+  broadcastAvailablePhones,
+  broadcastPhoneChange,
+  emitToPhoneAudience
+}
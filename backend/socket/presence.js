@@ -0,0 +1,80 @@
+// backend/socket/presence.js
+// Phone heartbeats: PhoneCam reports battery, network, visibility and stream status every few seconds.
+// The status is forwarded to the ControlPanels that can see the phone, and phones that stop
+// reporting are dropped from the registry even when their socket never closed (e.g. a frozen tab).
+const Device = require('../models/deviceModel')
+const registry = require('./registry')
+const { broadcastPhoneChange, emitToPhoneAudience } = require('./phoneDirectory')
+const { pickNumber, pickString } = require('./sanitize')
+
+// PhoneCam beats every 5 s, so the default tolerates three missed heartbeats
+const PHONE_STALE_MS = Number(process.env.PHONE_STALE_MS) || 20000
+// lastSeen is persisted at most this often per phone; the registry holds the live value
+const LAST_SEEN_WRITE_INTERVAL_MS = 60 * 1000
+
+const persistLastSeen = (phoneDeviceId, lastSeen) => {
+  Device.updateOne({ deviceId: phoneDeviceId }, { lastSeen })
+    .catch((error) => console.error('Failed to update lastSeen:', error.message))
+}
+
+// Keeps only the fields ControlPanel displays, so a client can't push arbitrary data to other users
+const sanitizeStatus = ({ battery, network, visibility, stream, robot } = {}) => ({
+  battery: battery ? { level: pickNumber(battery.level), charging: Boolean(battery.charging) } : null,
+  network: network ? {
+    type: pickString(network.type),
+    effectiveType: pickString(network.effectiveType),
+    downlinkMbps: pickNumber(network.downlinkMbps),
+    rttMs: pickNumber(network.rttMs)
+  } : null,
+  visibility: visibility === 'hidden' ? 'hidden' : 'visible',
+  stream: stream ? {
+    cameraActive: Boolean(stream.cameraActive),
+    streaming: Boolean(stream.streaming),
+    iceState: pickString(stream.iceState),
+    channelOpen: Boolean(stream.channelOpen)
+  } : null,
+  // Sent by the robot agent (see robot-agent/agent.js) instead of stream
+  robot: robot ? {
+    transport: pickString(robot.transport),
+    linkUp: Boolean(robot.linkUp)
+  } : null
+})
+
+const handleHeartbeat = (io, socket, status) => {
+  const { phoneDeviceId } = socket.data
+  if (!phoneDeviceId) return
+
+  const phone = registry.recordHeartbeat(phoneDeviceId, socket.id, sanitizeStatus(status))
+  if (!phone) return
+
+  if (phone.lastSeen - phone.lastPersistedAt >= LAST_SEEN_WRITE_INTERVAL_MS) {
+    phone.lastPersistedAt = phone.lastSeen
+    persistLastSeen(phoneDeviceId, phone.lastSeen)
+  }
+
+  emitToPhoneAudience(io, phone, 'phone_heartbeat', {
+    deviceId: phoneDeviceId,
+    lastSeen: new Date(phone.lastSeen),
+    status: phone.status
+  })
+}
+
+const dropStalePhones = (io) => {
+  for (const phoneDeviceId of registry.listStalePhoneIds(Date.now() - PHONE_STALE_MS)) {
+    const phone = registry.removePhone(phoneDeviceId)
+    console.log(`Phone went silent, marking offline: ${phoneDeviceId}`)
+    persistLastSeen(phoneDeviceId, phone.lastSeen)
+    broadcastPhoneChange(io, phone)
+    // If the page is merely throttled it re-registers as soon as it hears this
+    io.to(phone.socketId).emit('presence_expired')
+  }
+}
+
+// Periodically drops phones whose heartbeats stopped; returns the timer
+const startStaleSweep = (io) => {
+  const timer = setInterval(() => dropStalePhones(io), Math.max(1000, PHONE_STALE_MS / 4))
+  timer.unref()
+  return timer
+}
+
+module.exports = { handleHeartbeat, startStaleSweep }
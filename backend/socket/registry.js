@@ -0,0 +1,113 @@
+// backend/socket/registry.js
+// In-memory registry of the phones and laptops currently connected to the signaling server.
+// Every entry is bound to the user whose JWT authenticated the socket.
+// Phones also carry the operators they are paired with (see models/pairingModel.js)
+// and their latest heartbeat (see presence.js).
+
+// phoneDeviceId -> { socketId, userId, operators: Map<operatorId, expiresAt ms>, lastSeen ms, status, lastPersistedAt ms }
+const phones = new Map()
+const laptops = new Map() // laptop socket id -> userId
+
+const addPhone = (phoneDeviceId, socketId, userId, operators = new Map()) => {
+  const now = Date.now()
+  phones.set(phoneDeviceId, { socketId, userId, operators, lastSeen: now, status: null, lastPersistedAt: now })
+}
+
+// Removes a phone by ID, e.g. when it stopped sending heartbeats
+const removePhone = (phoneDeviceId) => {
+  const phone = phones.get(phoneDeviceId)
+  if (!phone) return null
+  phones.delete(phoneDeviceId)
+  return { phoneDeviceId, ...phone }
+}
+
+const removePhoneBySocket = (socketId) => {
+  for (const [phoneDeviceId, phone] of phones) {
+    if (phone.socketId === socketId) {
+      phones.delete(phoneDeviceId)
+      return { phoneDeviceId, ...phone }
+    }
+  }
+  return null
+}
+
+const getPhone = (phoneDeviceId) => phones.get(phoneDeviceId)
+
+// Stores a heartbeat; ignored unless it comes from the socket the phone registered on
+const recordHeartbeat = (phoneDeviceId, socketId, status) => {
+  const phone = phones.get(phoneDeviceId)
+  if (!phone || phone.socketId !== socketId) return null
+
+  phone.lastSeen = Date.now()
+  phone.status = status
+  return phone
+}
+
+// IDs of the phones whose last heartbeat is older than the cutoff (ms timestamp)
+const listStalePhoneIds = (cutoff) => {
+  return Array.from(phones.entries())
+    .filter(([, phone]) => phone.lastSeen < cutoff)
+    .map(([phoneDeviceId]) => phoneDeviceId)
+}
+
+const getPhoneSocketId = (phoneDeviceId) => {
+  const phone = phones.get(phoneDeviceId)
+  return phone ? phone.socketId : undefined
+}
+
+// Returns the online phone if the user owns it or holds an unexpired pairing with it
+const getAccessiblePhone = (userId, phoneDeviceId) => {
+  const phone = phones.get(phoneDeviceId)
+  if (!phone) return null
+  if (phone.userId === userId) return phone
+
+  const pairedUntil = phone.operators.get(userId)
+  return pairedUntil && pairedUntil > Date.now() ? phone : null
+}
+
+const grantOperator = (phoneDeviceId, operatorId, expiresAt) => {
+  const phone = phones.get(phoneDeviceId)
+  if (phone) {
+    phone.operators.set(operatorId, new Date(expiresAt).getTime())
+  }
+}
+
+const revokeOperator = (phoneDeviceId, operatorId) => {
+  const phone = phones.get(phoneDeviceId)
+  if (phone) {
+    phone.operators.delete(operatorId)
+  }
+}
+
+const addLaptop = (socketId, userId) => {
+  laptops.set(socketId, userId)
+}
+
+const removeLaptop = (socketId) => {
+  laptops.delete(socketId)
+}
+
+const getLaptopUserId = (socketId) => laptops.get(socketId)
+
+const listLaptops = (userId) => {
+  return Array.from(laptops.entries())
+    .filter(([, laptopUserId]) => laptopUserId === userId)
+    .map(([socketId]) => socketId)
+}
+
+module.exports = {
+  addPhone,
+  removePhone,
+  removePhoneBySocket,
+  getPhone,
+  recordHeartbeat,
+  listStalePhoneIds,
+  getPhoneSocketId,
+  getAccessiblePhone,
+  grantOperator,
+  revokeOperator,
+  addLaptop,
+  removeLaptop,
+  getLaptopUserId,
+  listLaptops
+}
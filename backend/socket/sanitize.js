@@ -0,0 +1,72 @@
+// backend/socket/sanitize.js
+// Phone and robot agent reports are relayed to other users' ControlPanels, so only the fields
+// ControlPanel displays are kept; a client can't push arbitrary data to other users.
+
+const pickNumber = (value) => typeof value === 'number' && Number.isFinite(value) ? value : null
+const pickString = (value) => typeof value === 'string' ? value.slice(0, 40) : null
+const pickAxes = (value, axes) => value && typeof value === 'object'
+  ? Object.fromEntries(axes.map((axis) => [axis, pickNumber(value[axis])]))
+  : null
+
+// What the robot reports is up to its firmware: a flat object of short values passes
+const MAX_ROBOT_FIELDS = 32
+const pickRobotMessage = (message) => {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) return null
+  const fields = Object.entries(message)
+    .filter(([key, value]) => /^[\w-]{1,40}$/.test(key) && ['number', 'string', 'boolean'].includes(typeof value))
+    .slice(0, MAX_ROBOT_FIELDS)
+    .map(([key, value]) => [key, typeof value === 'string' ? value.slice(0, 200) : value])
+  return Object.fromEntries(fields)
+}
+
+// See the telemetry PhoneCam sends (and the { robot } reports of robot-agent/agent.js)
+const sanitizeTelemetry = ({ displayMode, robotModel, lastCommand, camera, robot, at } = {}) => ({
+  displayMode: pickString(displayMode),
+  robotModel: pickString(robotModel),
+  lastCommand: pickString(lastCommand),
+  camera: camera && typeof camera === 'object' ? {
+    facingMode: pickString(camera.facingMode),
+    width: pickNumber(camera.width),
+    height: pickNumber(camera.height),
+    frameRate: pickNumber(camera.frameRate),
+    maxBitrate: pickNumber(camera.maxBitrate),
+    micMuted: Boolean(camera.micMuted),
+    torch: Boolean(camera.torch),
+    zoom: pickNumber(camera.zoom),
+    capabilities: camera.capabilities && typeof camera.capabilities === 'object' ? {
+      canSwitchCamera: Boolean(camera.capabilities.canSwitchCamera),
+      torch: Boolean(camera.capabilities.torch),
+      zoom: pickAxes(camera.capabilities.zoom, ['min', 'max', 'step'])
+    } : null
+  } : null,
+  robot: pickRobotMessage(robot),
+  at: pickNumber(at)
+})
+
+// See startPhoneSensors in frontend/src/utils/phoneSensors.js
+const sanitizeSensors = ({ motion, orientation, location, rateHz, at } = {}) => ({
+  motion: motion && typeof motion === 'object' ? {
+    acceleration: pickAxes(motion.acceleration, ['x', 'y', 'z']),
+    rotationRate: pickAxes(motion.rotationRate, ['alpha', 'beta', 'gamma'])
+  } : null,
+  orientation: orientation && typeof orientation === 'object' ? {
+    ...pickAxes(orientation, ['alpha', 'beta', 'gamma']),
+    absolute: Boolean(orientation.absolute)
+  } : null,
+  location: location && typeof location === 'object'
+    ? pickAxes(location, ['latitude', 'longitude', 'accuracy', 'altitude', 'speed', 'heading', 'at'])
+    : null,
+  rateHz: pickNumber(rateHz),
+  at: pickNumber(at)
+})
+
+// The operator's GaitSettings, sent along with drive commands and velocities so the phone's
+// twin walks the same gait; the phone clamps them (see sanitizeGaitParams in frontend/src/utils/hexapodGait.js)
+const sanitizeGaitParams = (params) => params && typeof params === 'object' ? {
+  gait: pickString(params.gait),
+  stepHeight: pickNumber(params.stepHeight),
+  strideLength: pickNumber(params.strideLength),
+  cycleTime: pickNumber(params.cycleTime)
+} : null
+
+module.exports = { pickNumber, pickString, sanitizeTelemetry, sanitizeSensors, sanitizeGaitParams }
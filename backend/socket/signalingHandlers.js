@@ -0,0 +1,171 @@
+// backend/socket/signalingHandlers.js
+// Relays the WebRTC signaling messages exchanged by ControlPanel (laptop) and PhoneCam (phone).
+// Sockets are authenticated by requireSocketAuth, so socket.data.userId is always set here.
+const Device = require('../models/deviceModel')
+const Pairing = require('../models/pairingModel')
+const registry = require('./registry')
+const controlLocks = require('./controlLocks')
+const commandAudit = require('./commandAudit')
+const presence = require('./presence')
+const { laptopsRoom, listAvailablePhones, broadcastPhoneChange } = require('./phoneDirectory')
+
+const { getAccessiblePhone } = registry
+
+// A phone may only answer laptops signed in to its owner's account or to an operator paired with it
+const isAllowedLaptop = (phoneDeviceId, laptopSocketId) => {
+  const laptopUserId = laptopSocketId && registry.getLaptopUserId(laptopSocketId)
+  return Boolean(laptopUserId) && Boolean(getAccessiblePhone(laptopUserId, phoneDeviceId))
+}
+
+const registerSignalingHandlers = (io, socket) => {
+  const { userId } = socket.data
+
+  socket.on('register_laptop', () => {
+    registry.addLaptop(socket.id, userId)
+    socket.join(laptopsRoom(userId))
+    console.log(`Laptop registered: ${socket.id} (user ${userId})`)
+  })
+
+  // Phones must first be registered through POST /api/devices; only the owner may bring one online.
+  // The optional ack tells the phone when it may start signaling (e.g. to restart ICE after a reconnect).
+  socket.on('register_phone', async (phoneDeviceId, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {}
+    if (!phoneDeviceId) {
+      respond({ ok: false })
+      return socket.emit('stream_error', 'A phone device ID is required to register.')
+    }
+
+    try {
+      const device = await Device.findOneAndUpdate(
+        { deviceId: phoneDeviceId, owner: userId },
+        { lastSeen: Date.now() },
+        { new: true }
+      )
+      if (!device) {
+        respond({ ok: false })
+        return socket.emit('stream_error', `Device ${phoneDeviceId} is not registered to your account.`)
+      }
+
+      const pairings = await Pairing.find({ deviceId: phoneDeviceId, status: 'active', expiresAt: { $gt: new Date() } })
+      const operators = new Map(pairings.map((pairing) => [pairing.operator.toString(), pairing.expiresAt.getTime()]))
+
+      registry.addPhone(phoneDeviceId, socket.id, userId, operators)
+      socket.data.phoneDeviceId = phoneDeviceId
+      console.log(`Phone registered: ${device.name} [${phoneDeviceId}] (${socket.id}, user ${userId})`)
+      broadcastPhoneChange(io, registry.getPhone(phoneDeviceId))
+      respond({ ok: true })
+    } catch (error) {
+      console.error('register_phone failed:', error.message)
+      respond({ ok: false })
+      socket.emit('stream_error', 'Could not register this phone. Please try again.')
+    }
+  })
+
+  socket.on('heartbeat', (status) => {
+    presence.handleHeartbeat(io, socket, status)
+  })
+
+  socket.on('get_available_phones', async () => {
+    try {
+      socket.emit('available_phones', await listAvailablePhones(userId))
+    } catch (error) {
+      console.error('get_available_phones failed:', error.message)
+      socket.emit('stream_error', 'Could not load your devices.')
+    }
+  })
+
+  socket.on('request_stream', ({ phoneDeviceId } = {}) => {
+    const phone = getAccessiblePhone(userId, phoneDeviceId)
+    if (!phone) {
+      return socket.emit('stream_error', `Phone ${phoneDeviceId} is not online.`)
+    }
+
+    // Streaming laptops follow the phone's controller lock (read-only unless they hold it)
+    controlLocks.watchPhone(socket, phoneDeviceId)
+    commandAudit.startSession(socket, phoneDeviceId, phone)
+    io.to(phone.socketId).emit('start_webrtc_offer', { requestingLaptopSocketId: socket.id })
+  })
+
+  // The laptop closed one of its streams: stop watching the phone, release its lock and end the session.
+  // The phone is told so it can close its side of the peer connection.
+  socket.on('stop_stream', ({ phoneDeviceId } = {}) => {
+    if (!phoneDeviceId) return
+
+    controlLocks.unwatchPhone(socket, phoneDeviceId)
+    if (controlLocks.holdsLock(phoneDeviceId, socket.id)) {
+      controlLocks.releaseLock(phoneDeviceId)
+      controlLocks.broadcastLock(io, phoneDeviceId)
+    }
+    commandAudit.endSession(socket, phoneDeviceId)
+
+    const phone = getAccessiblePhone(userId, phoneDeviceId)
+    if (phone) {
+      io.to(phone.socketId).emit('stream_stopped', { laptopSocketId: socket.id })
+    }
+  })
+
+  // The stream broke (ICE failed, or the laptop's own socket reconnected with a new ID): ask the phone
+  // for an ICE restart on the existing peer connection, and move the lock and audit session along
+  // The ack reports whether the phone was reachable; the laptop keeps retrying until it is.
+  socket.on('resume_stream', ({ phoneDeviceId, previousSocketId } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {}
+    const phone = getAccessiblePhone(userId, phoneDeviceId)
+    if (!phone) {
+      return respond({ ok: false, error: 'Phone is not online.' })
+    }
+
+    controlLocks.watchPhone(socket, phoneDeviceId)
+    if (previousSocketId && previousSocketId !== socket.id && controlLocks.resumeLock(phoneDeviceId, socket, previousSocketId)) {
+      controlLocks.broadcastLock(io, phoneDeviceId)
+    }
+    commandAudit.resumeSession(socket, phoneDeviceId, phone, previousSocketId)
+
+    io.to(phone.socketId).emit('ice_restart_requested', {
+      requestingLaptopSocketId: socket.id,
+      previousLaptopSocketId: previousSocketId || socket.id
+    })
+    respond({ ok: true })
+  })
+
+  // iceRestart: the offer renegotiates the laptop's existing peer connection instead of replacing it
+  socket.on('sdp_offer_from_phone', ({ sdpOffer, phoneDeviceId, requestingLaptopSocketId, iceRestart } = {}) => {
+    if (socket.data.phoneDeviceId !== phoneDeviceId || !isAllowedLaptop(phoneDeviceId, requestingLaptopSocketId)) return
+    io.to(requestingLaptopSocketId).emit('sdp_offer_from_phone', { sdpOffer, phoneDeviceId, iceRestart: Boolean(iceRestart) })
+  })
+
+  // The phone keeps one peer connection per laptop; the sender's socket ID tells it which one
+  socket.on('sdp_answer_from_laptop', ({ sdpAnswer, phoneDeviceId } = {}) => {
+    const phone = getAccessiblePhone(userId, phoneDeviceId)
+    if (!phone) {
+      return socket.emit('stream_error', `Phone ${phoneDeviceId} went offline before the answer arrived.`)
+    }
+    io.to(phone.socketId).emit('sdp_answer_from_laptop', { sdpAnswer, fromLaptopSocketId: socket.id })
+  })
+
+  socket.on('ice_candidate_from_phone', ({ candidate, phoneDeviceId, requestingLaptopSocketId } = {}) => {
+    if (socket.data.phoneDeviceId !== phoneDeviceId || !isAllowedLaptop(phoneDeviceId, requestingLaptopSocketId)) return
+    // The phone's ID lets a laptop streaming from several phones route the candidate
+    io.to(requestingLaptopSocketId).emit('ice_candidate_from_phone', candidate, phoneDeviceId)
+  })
+
+  socket.on('ice_candidate_from_laptop', ({ candidate, phoneDeviceId } = {}) => {
+    const phone = getAccessiblePhone(userId, phoneDeviceId)
+    if (!phone) return
+    io.to(phone.socketId).emit('ice_candidate_from_laptop', { candidate, fromLaptopSocketId: socket.id })
+  })
+
+  socket.on('disconnect', () => {
+    registry.removeLaptop(socket.id)
+    commandAudit.endSession(socket)
+
+    const phone = registry.removePhoneBySocket(socket.id)
+    if (phone) {
+      console.log(`Phone disconnected: ${phone.phoneDeviceId}`)
+      Device.updateOne({ deviceId: phone.phoneDeviceId }, { lastSeen: Date.now() })
+        .catch((error) => console.error('Failed to update lastSeen:', error.message))
+        .finally(() => broadcastPhoneChange(io, phone))
+    }
+  })
+}
+
+module.exports = registerSignalingHandlers
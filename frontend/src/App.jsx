@@ -17,6 +17,8 @@ import CheckoutPage from './pages/CheckoutPage';
 import OtpSender from './components/OtpSender';
 import { useAuthContext } from './hooks/useAuthContext'; // Assume this is where AuthContext is consumed
 import PhoneCam from './pages/PhoneCam';
+import SessionHistory from './pages/SessionHistory';
+import InputBindingsPage from './pages/InputBindingsPage';
 
 function App() {
     const { user, loading } = useAuthContext(); // <-- Destructure loading here
@@ -66,6 +68,14 @@ function App() {
                         path="/tools"
                         element={user ? <ControlPanel /> : <Navigate to="/login" />}
                     />
+                    <Route
+                        path="/sessions"
+                        element={user ? <SessionHistory /> : <Navigate to="/login" />}
+                    />
+                    <Route
+                        path="/bindings"
+                        element={user ? <InputBindingsPage /> : <Navigate to="/login" />}
+                    />
                     
 
                     <Route
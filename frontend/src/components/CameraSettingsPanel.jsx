@@ -0,0 +1,142 @@
+// src/components/CameraSettingsPanel.jsx
+import React, { useState } from 'react';
+import { RESOLUTIONS, FRAME_RATES, MAX_BITRATES, formatBitrate } from '../utils/cameraControl';
+
+const selectClassName = 'bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white';
+const toggleClassName = (active) => `py-1 px-3 rounded-lg font-semibold ${active ? 'bg-blue-600 text-white' : 'bg-gray-600 text-gray-200 hover:bg-gray-800'} disabled:opacity-50`;
+
+// The preset closest to what the camera actually delivers
+const closestResolution = (height) => Object.keys(RESOLUTIONS)
+    .reduce((best, key) => (Math.abs(RESOLUTIONS[key].height - height) < Math.abs(RESOLUTIONS[best].height - height) ? key : best), 'medium');
+
+/**
+ * Camera and microphone controls for the streaming phone. Changes are applied by PhoneCam to the
+ * live tracks (see utils/cameraControl), and the phone reports the result in its telemetry.
+ * @param {object} props - Component props
+ * @param {object} props.camera - The phone's reported camera state (describeCamera), or null before the first report.
+ * @param {function} props.onApply - (changes) => Promise of the phone's reply { ok, errors, camera } or { ok: false, error }.
+ * @param {boolean} props.disabled - True while another operator holds control.
+ */
+const CameraSettingsPanel = ({ camera, onApply, disabled }) => {
+    const [isApplying, setIsApplying] = useState(false);
+    const [errors, setErrors] = useState(null);
+
+    const apply = async (changes) => {
+        setIsApplying(true);
+        setErrors(null);
+        try {
+            const reply = await onApply(changes);
+            if (!reply.ok) setErrors(reply.errors ? Object.entries(reply.errors).map(([key, reason]) => `${key}: ${reason}`) : [reply.error]);
+        } finally {
+            setIsApplying(false);
+        }
+    };
+
+    if (!camera) {
+        return (
+            <div className="mb-8 p-4 rounded-lg bg-gray-700 border border-gray-600 text-left">
+                <h3 className="text-xl font-bold text-gray-200">Phone Camera</h3>
+                <p className="mt-2 text-sm text-gray-400">Waiting for the phone to report its camera...</p>
+            </div>
+        );
+    }
+
+    const { capabilities } = camera;
+    const busy = disabled || isApplying;
+
+    return (
+        <div className="mb-8 p-4 rounded-lg bg-gray-700 border border-gray-600 text-left">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <h3 className="text-xl font-bold text-gray-200">Phone Camera</h3>
+                <span className="text-sm font-mono text-gray-300">
+                    {camera.width && camera.height ? `${camera.width}×${camera.height}` : '–'}
+                    {camera.frameRate && ` @ ${camera.frameRate} fps`} · {formatBitrate(camera.maxBitrate)}
+                    {isApplying && ' · applying...'}
+                </span>
+            </div>
+
+            <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-300">
+                {capabilities.canSwitchCamera && (
+                    <div className="flex gap-2">
+                        {[['user', 'Front'], ['environment', 'Back']].map(([facingMode, label]) => (
+                            <button
+                                key={facingMode}
+                                onClick={() => apply({ facingMode })}
+                                disabled={busy}
+                                className={toggleClassName(camera.facingMode === facingMode)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                <label className="flex items-center gap-2">
+                    Resolution
+                    <select
+                        value={camera.height ? closestResolution(camera.height) : 'medium'}
+                        onChange={(e) => apply({ resolution: e.target.value })}
+                        disabled={busy}
+                        className={selectClassName}
+                    >
+                        {Object.entries(RESOLUTIONS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    Framerate
+                    <select
+                        value={FRAME_RATES.includes(camera.frameRate) ? camera.frameRate : ''}
+                        onChange={(e) => apply({ frameRate: Number(e.target.value) })}
+                        disabled={busy}
+                        className={selectClassName}
+                    >
+                        {!FRAME_RATES.includes(camera.frameRate) && <option value="">{camera.frameRate || '–'} fps</option>}
+                        {FRAME_RATES.map((rate) => <option key={rate} value={rate}>{rate} fps</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    Max bitrate
+                    <select
+                        value={camera.maxBitrate}
+                        onChange={(e) => apply({ maxBitrate: Number(e.target.value) })}
+                        disabled={busy}
+                        className={selectClassName}
+                    >
+                        {MAX_BITRATES.map((bps) => <option key={bps} value={bps}>{formatBitrate(bps)}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-300">
+                <button onClick={() => apply({ micMuted: !camera.micMuted })} disabled={busy} className={toggleClassName(camera.micMuted)}>
+                    {camera.micMuted ? '🔇 Mic muted' : '🎤 Mic on'}
+                </button>
+                {capabilities.torch && (
+                    <button onClick={() => apply({ torch: !camera.torch })} disabled={busy} className={toggleClassName(camera.torch)}>
+                        🔦 Torch {camera.torch ? 'on' : 'off'}
+                    </button>
+                )}
+                {capabilities.zoom && (
+                    <label className="flex items-center gap-2">
+                        Zoom {camera.zoom !== null && `${Number(camera.zoom).toFixed(1)}×`}
+                        <input
+                            type="range"
+                            min={capabilities.zoom.min}
+                            max={capabilities.zoom.max}
+                            step={capabilities.zoom.step || 0.1}
+                            defaultValue={camera.zoom ?? capabilities.zoom.min}
+                            onMouseUp={(e) => apply({ zoom: Number(e.target.value) })}
+                            onTouchEnd={(e) => apply({ zoom: Number(e.target.value) })}
+                            onKeyUp={(e) => apply({ zoom: Number(e.target.value) })}
+                            disabled={busy}
+                        />
+                    </label>
+                )}
+            </div>
+
+            {disabled && <p className="mt-3 text-sm text-gray-400">Another operator holds control of this phone.</p>}
+            {errors && <p className="mt-3 text-red-400 text-sm">{errors.join(' · ')}</p>}
+        </div>
+    );
+};
+
+export default CameraSettingsPanel;
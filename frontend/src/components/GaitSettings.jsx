@@ -0,0 +1,64 @@
+// src/components/GaitSettings.jsx
+import React from 'react';
+import { GAITS, GAIT_PARAM_RANGES, maxGaitSpeed } from '../utils/hexapodGait';
+
+const SLIDERS = [
+    { key: 'stepHeight', label: 'Step height', format: (value) => `${Math.round(value * 1000)} mm` },
+    { key: 'strideLength', label: 'Stride length', format: (value) => `${Math.round(value * 1000)} mm` },
+    { key: 'cycleTime', label: 'Cycle time', format: (value) => `${value.toFixed(1)} s` },
+];
+
+/**
+ * Picks the hexapod's gait and tunes it (see utils/hexapodGait).
+ * @param {object} props - Component props
+ * @param {object} props.params - { gait, stepHeight, strideLength, cycleTime }
+ * @param {function} props.onChange - Called with the changed params, e.g. { gait: 'wave' }.
+ * @param {boolean} props.streaming - Whether the gait's joint angles are sent to the robot.
+ * @param {function} props.onStreamingChange - (streaming) => void
+ */
+const GaitSettings = ({ params, onChange, streaming, onStreamingChange }) => (
+    <div className="mt-6 p-4 rounded-lg bg-gray-700 border border-gray-600 text-left">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+            <h3 className="text-xl font-bold text-gray-200">Gait</h3>
+            <div className="flex gap-2">
+                {Object.entries(GAITS).map(([key, gait]) => (
+                    <button
+                        key={key}
+                        onClick={() => onChange({ gait: key })}
+                        className={`py-1 px-3 rounded text-sm font-semibold ${params.gait === key ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-600'}`}
+                    >
+                        {gait.name}
+                    </button>
+                ))}
+            </div>
+        </div>
+
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {SLIDERS.map(({ key, label, format }) => (
+                <label key={key} className="block text-sm text-gray-300">
+                    <span className="flex justify-between">
+                        {label}
+                        <span className="font-mono">{format(params[key])}</span>
+                    </span>
+                    <input
+                        type="range"
+                        {...GAIT_PARAM_RANGES[key]}
+                        value={params[key]}
+                        onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+                        className="w-full"
+                    />
+                </label>
+            ))}
+        </div>
+
+        <div className="mt-3 flex flex-wrap items-center justify-between gap-4 text-sm text-gray-300">
+            <label className="flex items-center gap-2">
+                <input type="checkbox" checked={streaming} onChange={(e) => onStreamingChange(e.target.checked)} />
+                Send the joint angles to the robot (robot agent and ROS joint commands)
+            </label>
+            <span className="text-gray-400">Top speed {maxGaitSpeed(params).toFixed(2)} m/s</span>
+        </div>
+    </div>
+);
+
+export default GaitSettings;
@@ -0,0 +1,71 @@
+// src/components/InputIndicator.jsx
+import React from 'react';
+import { DEFAULT_GAMEPAD_BUTTONS, DEFAULT_KEY_BINDINGS, GAMEPAD_BUTTON_NAMES, describeKey } from '../utils/inputBindings';
+
+const chipClassName = (active) => `py-1 px-2 rounded font-mono text-xs ${active ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300'}`;
+
+/**
+ * Live view of the keyboard and gamepad input (see hooks/useManualInput): the bindings, which of
+ * them are held, the connected controllers and the velocity being sent.
+ * @param {object} props - Component props
+ * @param {object} props.input - What useManualInput returns.
+ * @param {boolean} props.enabled - Whether keyboard and gamepad control is on.
+ * @param {function} props.onEnabledChange - (enabled) => void
+ * @param {object} [props.keyBindings] - KeyboardEvent.code -> command.
+ * @param {object} [props.gamepadButtons] - Button index -> command.
+ */
+const InputIndicator = ({ input, enabled, onEnabledChange, keyBindings = DEFAULT_KEY_BINDINGS, gamepadButtons = DEFAULT_GAMEPAD_BUTTONS }) => {
+    const { gamepads, heldKeys, pressedButtons, velocity, driving, estopped } = input;
+
+    // command -> the keys bound to it
+    const keysByCommand = Object.entries(keyBindings).reduce((groups, [code, cmd]) => ({ ...groups, [cmd]: [...(groups[cmd] || []), code] }), {});
+
+    return (
+        <div className="mt-6 p-4 rounded-lg bg-gray-700 border border-gray-600 text-left">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <h3 className="text-xl font-bold text-gray-200">Keyboard &amp; Gamepad</h3>
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                    <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} />
+                    Enabled
+                </label>
+            </div>
+
+            {enabled && (
+                <>
+                    <div className="mt-3 flex flex-wrap gap-2">
+                        {Object.entries(keysByCommand).map(([cmd, codes]) => (
+                            <span key={cmd} className={chipClassName(codes.some((code) => heldKeys.includes(code)))}>
+                                {codes.map(describeKey).join(' / ')} {cmd}
+                            </span>
+                        ))}
+                    </div>
+
+                    <div className="mt-3 text-sm text-gray-300">
+                        {gamepads.length === 0 ? (
+                            <p className="text-gray-400">No gamepad. Connect one and press any of its buttons.</p>
+                        ) : (
+                            gamepads.map((gamepad) => <p key={gamepad.index}>🎮 {gamepad.id}</p>)
+                        )}
+                        {gamepads.length > 0 && (
+                            <div className="mt-2 flex flex-wrap gap-2">
+                                <span className={chipClassName(false)}>Left stick: move · Right stick: turn</span>
+                                {Object.entries(gamepadButtons).map(([index, cmd]) => {
+                                    const name = GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+                                    return <span key={index} className={chipClassName(pressedButtons.includes(name))}>{name} {cmd}</span>;
+                                })}
+                            </div>
+                        )}
+                    </div>
+
+                    <p className={`mt-3 text-sm font-mono ${estopped ? 'text-red-400 font-bold' : 'text-gray-300'}`}>
+                        {estopped && 'EMERGENCY STOP: release every input to drive again.'}
+                        {!estopped && driving && `vx ${velocity.vx.toFixed(2)} m/s · vy ${velocity.vy.toFixed(2)} m/s · yaw ${velocity.yawRate.toFixed(2)} rad/s`}
+                        {!estopped && !driving && 'Idle'}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default InputIndicator;
@@ -0,0 +1,128 @@
+// src/components/LegIkPanel.jsx
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_HEXAPOD_MODEL, LEG_IDS, LEG_NAMES, loadHexapodModel, neutralFoot, solveLegIK } from '../utils/hexapodKinematics';
+
+// Foot target sliders, in meters from the body center (x forward, y left, z up)
+const AXES = [
+    { key: 'x', label: 'Forward (x)', min: -0.3, max: 0.3 },
+    { key: 'y', label: 'Left (y)', min: -0.3, max: 0.3 },
+    { key: 'z', label: 'Up (z)', min: -0.25, max: 0.15 },
+];
+const TARGET_STEP = 0.001;
+
+const toDegrees = (angle) => `${(angle * 180 / Math.PI).toFixed(1)}°`;
+
+/**
+ * Places one hexapod foot at a target in body coordinates; inverse kinematics (see utils/hexapodKinematics)
+ * finds the coxa, femur and tibia angles. Targets a leg can't reach are flagged with the reason.
+ * @param {object} props - Component props
+ * @param {function} props.onPose - Called with { legId, target, solution } whenever the target changes,
+ *   solution being solveLegIK's result (only worth applying when solution.reachable).
+ * @param {boolean} props.disabled - E.g. while watching a phone read-only.
+ */
+const LegIkPanel = ({ onPose, disabled }) => {
+    const [model, setModel] = useState(DEFAULT_HEXAPOD_MODEL);
+    const [legId, setLegId] = useState('r1');
+    const [target, setTarget] = useState(() => neutralFoot(DEFAULT_HEXAPOD_MODEL.legs[0]));
+
+    // Effect to use the leg geometry read from the URDF once it has loaded
+    useEffect(() => {
+        let cancelled = false;
+        loadHexapodModel()
+            .then((loaded) => !cancelled && setModel(loaded))
+            .catch((error) => console.warn('Leg IK keeps the built-in leg geometry:', error.message));
+        return () => { cancelled = true; };
+    }, []);
+
+    const leg = model.legs.find((candidate) => candidate.id === legId);
+    const solution = solveLegIK(leg, target);
+
+    // Solves the new target and hands it to onPose
+    const pose = (nextLegId, nextTarget) => {
+        setLegId(nextLegId);
+        setTarget(nextTarget);
+        const nextLeg = model.legs.find((candidate) => candidate.id === nextLegId);
+        onPose({ legId: nextLegId, target: nextTarget, solution: solveLegIK(nextLeg, nextTarget) });
+    };
+
+    // A new leg starts from where its foot stands with every joint at 0 rad
+    const selectLeg = (nextLegId) => pose(nextLegId, neutralFoot(model.legs.find((candidate) => candidate.id === nextLegId)));
+
+    return (
+        <div className={`mt-6 p-4 rounded-lg bg-gray-700 border text-left ${solution.reachable ? 'border-gray-600' : 'border-red-500'}`}>
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <h3 className="text-xl font-bold text-gray-200">Leg Inverse Kinematics</h3>
+                <div className="flex flex-wrap gap-2">
+                    {LEG_IDS.map((id) => (
+                        <button
+                            key={id}
+                            onClick={() => selectLeg(id)}
+                            disabled={disabled}
+                            title={LEG_NAMES[id]}
+                            className={`py-1 px-3 rounded text-sm font-semibold uppercase disabled:opacity-50 ${legId === id ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-600'}`}
+                        >
+                            {id}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <p className="mt-1 text-xs text-gray-400">
+                {LEG_NAMES[legId]} foot target, from the body center. The twin takes the pose in URDF mode; with the gait's
+                "Send the joint angles" on, the robot does too.
+            </p>
+
+            <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-4">
+                {AXES.map(({ key, label, min, max }) => (
+                    <label key={key} className="block text-sm text-gray-300">
+                        <span className="flex justify-between">
+                            {label}
+                            <span className="font-mono">{Math.round(target[key] * 1000)} mm</span>
+                        </span>
+                        <input
+                            type="range"
+                            min={min}
+                            max={max}
+                            step={TARGET_STEP}
+                            value={target[key]}
+                            disabled={disabled}
+                            onChange={(e) => pose(legId, { ...target, [key]: Number(e.target.value) })}
+                            className="w-full"
+                        />
+                    </label>
+                ))}
+            </div>
+
+            <div className="mt-3 grid grid-cols-3 gap-4 text-sm">
+                {Object.entries(solution.angles).map(([part, angle]) => (
+                    <div key={part} className="p-2 rounded bg-gray-800">
+                        <div className="text-gray-400 capitalize">{part}</div>
+                        <div className="font-mono text-gray-200">{toDegrees(angle)}</div>
+                        <div className="text-xs text-gray-500">
+                            {toDegrees(leg.limits[part].lower)} to {toDegrees(leg.limits[part].upper)}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="mt-3 flex flex-wrap items-center justify-between gap-4 text-sm">
+                {solution.reachable ? (
+                    <span className="text-green-400 font-semibold">Reachable</span>
+                ) : (
+                    <span className="text-red-400 font-semibold">
+                        Unreachable: {solution.reason}. The angles above are the closest pose; nothing is sent.
+                    </span>
+                )}
+                <button
+                    onClick={() => selectLeg(legId)}
+                    disabled={disabled}
+                    className="py-1 px-3 rounded text-sm bg-gray-800 text-gray-300 hover:bg-gray-600 disabled:opacity-50"
+                >
+                    Stand
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default LegIkPanel;
@@ -0,0 +1,133 @@
+// src/components/MqttPanel.jsx
+import React, { useEffect, useState } from 'react';
+import { apiRequest } from '../utils/api';
+
+const TOPIC_FIELDS = [
+    { key: 'commandTopic', label: 'Commands' },
+    { key: 'jointStatesTopic', label: 'Joint states' },
+    { key: 'telemetryTopic', label: 'Telemetry (subscribed)' },
+];
+
+const formatPayload = (payload) => typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+/**
+ * MQTT topics of the selected device (editable by its owner) and the latest message on each of
+ * its telemetry topics, relayed by the server as "mqtt_telemetry".
+ * @param {object} props - Component props
+ * @param {string} props.deviceId - The selected device.
+ * @param {string} props.token - The logged-in user's JWT.
+ * @param {boolean} props.canConfigure - Only the owner may change the topics (paired operators can't).
+ * @param {object} props.telemetry - Latest messages of this device: { [topic]: { payload, at } }.
+ */
+const MqttPanel = ({ deviceId, token, canConfigure, telemetry }) => {
+    const [settings, setSettings] = useState(null); // As returned by GET /api/devices/:deviceId/mqtt
+    const [form, setForm] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!canConfigure) return;
+        setSettings(null);
+        setForm(null);
+        setError(null);
+        apiRequest(`/api/devices/${encodeURIComponent(deviceId)}/mqtt`, { token })
+            .then((loaded) => {
+                setSettings(loaded);
+                setForm(loaded);
+            })
+            .catch((err) => setError(err.message));
+    }, [deviceId, token, canConfigure]);
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            const saved = await apiRequest(`/api/devices/${encodeURIComponent(deviceId)}/mqtt`, {
+                token,
+                method: 'PUT',
+                body: {
+                    enabled: form.enabled,
+                    commandTopic: form.commandTopic,
+                    jointStatesTopic: form.jointStatesTopic,
+                    telemetryTopic: form.telemetryTopic,
+                },
+            });
+            setSettings(saved);
+            setForm(saved);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const topics = Object.entries(telemetry || {});
+    if (!canConfigure && topics.length === 0) return null;
+
+    return (
+        <div className="mb-8 p-4 rounded-lg bg-gray-700 border border-gray-600 text-left">
+            <div className="flex items-center justify-between gap-4">
+                <h3 className="text-xl font-bold text-gray-200">MQTT</h3>
+                {settings && (
+                    <span className="text-sm text-gray-300">
+                        broker {settings.brokerConnected ? 'connected' : 'not connected'}
+                    </span>
+                )}
+            </div>
+
+            {canConfigure && form && (
+                <div className="mt-3 space-y-2 text-sm text-gray-300">
+                    <label className="flex items-center gap-2 font-semibold">
+                        <input
+                            type="checkbox"
+                            checked={form.enabled}
+                            onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                        />
+                        Mirror this device's commands and joint states to MQTT
+                    </label>
+                    {TOPIC_FIELDS.map(({ key, label }) => (
+                        <label key={key} className="grid grid-cols-1 sm:grid-cols-[10rem,1fr] items-center gap-2">
+                            <span>{label}</span>
+                            <input
+                                type="text"
+                                value={form[key]}
+                                placeholder={settings.defaults[key]}
+                                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                                className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white font-mono"
+                            />
+                        </label>
+                    ))}
+                    <p className="text-xs text-gray-400">
+                        Custom topics start with a namespace and {'{deviceId}'}, e.g. lab/{'{deviceId}'}/cmd, so they stay this
+                        device's own; {'{deviceId}'} and {'{owner}'} are filled in and empty topics use the defaults.
+                        {settings.enabled && ` Commands go to ${settings.resolved.commandTopic}.`}
+                    </p>
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className="py-2 px-4 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50 shadow-md"
+                    >
+                        {isSaving ? 'Saving...' : 'Save MQTT Settings'}
+                    </button>
+                </div>
+            )}
+
+            {topics.length > 0 && (
+                <ul className="mt-4 space-y-1 text-sm font-mono">
+                    {topics.map(([topic, { payload, at }]) => (
+                        <li key={topic} className="flex justify-between gap-4 text-gray-300">
+                            <span className="truncate">
+                                <span className="text-blue-300">{topic}</span> {formatPayload(payload)}
+                            </span>
+                            <span className="shrink-0 text-gray-400">{new Date(at).toLocaleTimeString()}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {error && <p className="mt-3 text-red-400 text-sm">{error}</p>}
+        </div>
+    );
+};
+
+export default MqttPanel;
@@ -0,0 +1,147 @@
+// src/components/PairingPanel.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { apiRequest } from '../utils/api';
+
+/**
+ * Lets the operator pair a phone with this ControlPanel session.
+ * Shows a QR code (opening /phonecam?pair=<code> on the phone) and the 6-digit code,
+ * plus the list of active pairings with a revoke button for each.
+ * @param {object} props - Component props
+ * @param {string} props.token - The logged-in user's JWT.
+ * @param {function} props.getLaptopSocketId - Returns this ControlPanel's socket ID, so the server can notify it once paired.
+ * @param {number} props.refreshKey - Changes whenever the server reports a pairing change; triggers a reload.
+ */
+const PairingPanel = ({ token, getLaptopSocketId, refreshKey }) => {
+    const [pendingPairing, setPendingPairing] = useState(null); // { id, code, expiresAt }
+    const [qrDataUrl, setQrDataUrl] = useState("");
+    const [secondsLeft, setSecondsLeft] = useState(0);
+    const [pairings, setPairings] = useState([]);
+    const [error, setError] = useState(null);
+
+    const loadPairings = useCallback(async () => {
+        try {
+            const all = await apiRequest('/api/pairings', { token });
+            setPairings(all.filter((pairing) => pairing.role === 'operator' && pairing.status === 'active'));
+            // Our code was claimed (or cancelled elsewhere) once it is no longer pending
+            setPendingPairing((current) => current && all.some((p) => p.id === current.id && p.status === 'pending') ? current : null);
+        } catch (err) {
+            console.error("Failed to load pairings:", err);
+            setError(err.message);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        loadPairings();
+    }, [loadPairings, refreshKey]);
+
+    // Render the QR code for the pending pairing
+    useEffect(() => {
+        if (!pendingPairing) {
+            setQrDataUrl("");
+            return;
+        }
+        const pairUrl = `${window.location.origin}/phonecam?pair=${pendingPairing.code}`;
+        QRCode.toDataURL(pairUrl, { width: 220, margin: 1 })
+            .then(setQrDataUrl)
+            .catch((err) => console.error("QR code generation failed:", err));
+    }, [pendingPairing]);
+
+    // Count down until the code expires
+    useEffect(() => {
+        if (!pendingPairing) return;
+        const tick = () => {
+            const left = Math.max(0, Math.round((new Date(pendingPairing.expiresAt).getTime() - Date.now()) / 1000));
+            setSecondsLeft(left);
+            if (left === 0) setPendingPairing(null);
+        };
+        tick();
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [pendingPairing]);
+
+    const handleCreatePairing = async () => {
+        setError(null);
+        try {
+            const pairing = await apiRequest('/api/pairings', {
+                token,
+                method: 'POST',
+                body: { laptopSocketId: getLaptopSocketId() }
+            });
+            setPendingPairing(pairing);
+        } catch (err) {
+            console.error("Failed to create pairing:", err);
+            setError(err.message);
+        }
+    };
+
+    const handleRevoke = async (id) => {
+        setError(null);
+        try {
+            await apiRequest(`/api/pairings/${id}`, { token, method: 'DELETE' });
+            if (pendingPairing && pendingPairing.id === id) setPendingPairing(null);
+            loadPairings();
+        } catch (err) {
+            console.error("Failed to revoke pairing:", err);
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="mb-8 p-4 rounded-lg bg-gray-700 border border-gray-600 text-left">
+            <div className="flex items-center justify-between gap-4">
+                <h3 className="text-xl font-bold text-gray-200">Pair a Phone</h3>
+                {!pendingPairing && (
+                    <button
+                        onClick={handleCreatePairing}
+                        className="py-2 px-4 rounded-lg bg-green-600 text-white text-sm font-semibold transition duration-300 ease-in-out hover:bg-green-700 shadow-md"
+                    >
+                        Show Pairing Code
+                    </button>
+                )}
+            </div>
+
+            {pendingPairing && (
+                <div className="mt-4 flex flex-col sm:flex-row items-center gap-6">
+                    {qrDataUrl && <img src={qrDataUrl} alt="Pairing QR code" className="w-40 h-40 rounded-lg bg-white p-1" />}
+                    <div className="text-center sm:text-left">
+                        <p className="text-gray-300">Scan the QR code with the phone, or enter this code on its Phone Camera page:</p>
+                        <p className="text-4xl font-mono font-extrabold tracking-widest text-yellow-400 my-2">{pendingPairing.code}</p>
+                        <p className="text-gray-400 text-sm">
+                            Expires in {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+                        </p>
+                        <button
+                            onClick={() => handleRevoke(pendingPairing.id)}
+                            className="mt-2 py-1 px-3 rounded-lg bg-gray-600 text-white text-sm font-semibold hover:bg-gray-500"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {pairings.length > 0 && (
+                <ul className="mt-4 space-y-2">
+                    {pairings.map((pairing) => (
+                        <li key={pairing.id} className="flex items-center justify-between gap-4 text-gray-300 text-sm">
+                            <span>
+                                <span className="font-semibold text-white">{pairing.deviceName || pairing.deviceId}</span>
+                                {' '}· paired until {new Date(pairing.expiresAt).toLocaleTimeString()}
+                            </span>
+                            <button
+                                onClick={() => handleRevoke(pairing.id)}
+                                className="py-1 px-3 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700"
+                            >
+                                Revoke
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {error && <p className="mt-3 text-red-400 text-sm">{error}</p>}
+        </div>
+    );
+};
+
+export default PairingPanel;
@@ -0,0 +1,57 @@
+// src/components/PhonePresenceList.jsx
+import React from 'react';
+import { formatLastSeen } from '../utils/device';
+
+const describeNetwork = (network) => {
+    if (!network) return null;
+    const kind = network.type && network.type !== 'unknown' ? network.type : network.effectiveType;
+    return [kind, network.rttMs !== null && `${network.rttMs} ms`].filter(Boolean).join(' · ') || null;
+};
+
+/**
+ * Online/offline badges for the phones in the device picker, with the details of their latest heartbeat.
+ * @param {object} props - Component props
+ * @param {Array<object>} props.phones - Entries of available_phones: { deviceId, name, online, lastSeen, status }.
+ * @param {string} props.selectedPhoneId - The phone currently selected for streaming.
+ * @param {string|null} props.silentPhoneId - An online phone that stopped sending heartbeats, if any.
+ * @param {function} props.onSelect - Called with a device ID when an online phone's badge is clicked.
+ */
+const PhonePresenceList = ({ phones, selectedPhoneId, silentPhoneId, onSelect }) => {
+    if (phones.length === 0) return null;
+
+    return (
+        <ul className="-mt-4 mb-8 flex flex-wrap justify-center gap-2">
+            {phones.map((phone) => {
+                const { battery, network, visibility, stream, robot } = phone.status || {};
+                const silent = phone.deviceId === silentPhoneId;
+                const dotColor = !phone.online ? 'bg-gray-500' : silent ? 'bg-yellow-400' : 'bg-green-400';
+                const details = phone.online ? [
+                    silent && 'silent',
+                    battery && battery.level !== null && `🔋 ${Math.round(battery.level * 100)}%${battery.charging ? '+' : ''}`,
+                    describeNetwork(network),
+                    visibility === 'hidden' && 'app in background',
+                    stream && !stream.cameraActive && 'camera off',
+                    robot && `🤖 ${robot.transport}${robot.linkUp ? '' : ' link down'}`,
+                ].filter(Boolean) : [`last seen ${formatLastSeen(phone.lastSeen)}`];
+
+                return (
+                    <li key={phone.deviceId}>
+                        <button
+                            onClick={() => phone.online && onSelect(phone.deviceId)}
+                            disabled={!phone.online}
+                            className={`flex items-center gap-2 py-1 px-3 rounded-full text-sm border transition
+                                ${phone.deviceId === selectedPhoneId ? 'border-blue-500 bg-gray-600' : 'border-gray-600 bg-gray-700'}
+                                ${phone.online ? 'text-white hover:bg-gray-600' : 'text-gray-400 cursor-default'}`}
+                        >
+                            <span className={`inline-block w-2.5 h-2.5 rounded-full ${dotColor}`} />
+                            <span className="font-semibold">{phone.name}</span>
+                            <span className="text-xs text-gray-300">{details.join(' · ')}</span>
+                        </button>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default PhonePresenceList;
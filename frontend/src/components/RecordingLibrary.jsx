@@ -0,0 +1,128 @@
+// src/components/RecordingLibrary.jsx
+import React, { useEffect, useState } from 'react';
+import { useAuthContext } from '../hooks/useAuthContext';
+import { apiRequest } from '../utils/api';
+import { recordingStreamUrl } from '../utils/recordings';
+
+const formatSize = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const formatDuration = (ms) => {
+    if (!ms) return null;
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * The logged-in user's recordings stored on the server, with playback, rename and delete.
+ * @param {object} props - Component props
+ * @param {number} props.refreshKey - Changing it reloads the list (e.g. after VideoRecorder saves a recording).
+ */
+const RecordingLibrary = ({ refreshKey }) => {
+    const { user } = useAuthContext();
+
+    const [recordings, setRecordings] = useState([]);
+    const [playingId, setPlayingId] = useState(null);
+    const [editing, setEditing] = useState(null); // { id, title }
+    const [error, setError] = useState(null);
+
+    // Effect to load the recording list
+    useEffect(() => {
+        if (!user) return;
+        apiRequest('/api/recordings', { token: user.token })
+            .then(setRecordings)
+            .catch((err) => setError(err.message));
+    }, [user, refreshKey]);
+
+    const replaceRecording = (updated) => {
+        setRecordings((list) => list.map((recording) => recording.id === updated.id ? updated : recording));
+    };
+
+    const saveTitle = async () => {
+        try {
+            replaceRecording(await apiRequest(`/api/recordings/${editing.id}`, {
+                token: user.token,
+                method: 'PATCH',
+                body: { title: editing.title },
+            }));
+            setEditing(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const deleteRecording = async (recording) => {
+        if (!window.confirm(`Delete "${recording.title}"?`)) return;
+        try {
+            await apiRequest(`/api/recordings/${recording.id}`, { token: user.token, method: 'DELETE' });
+            setRecordings((list) => list.filter(({ id }) => id !== recording.id));
+            if (playingId === recording.id) setPlayingId(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!user) return null;
+
+    return (
+        <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-4 border border-purple-500/20 mb-6">
+            <h3 className="text-sm font-semibold mb-3 text-purple-300">Saved Recordings</h3>
+            {error && <p className="mb-2 text-sm text-red-400">{error}</p>}
+            {recordings.length === 0 && <p className="text-sm text-slate-400">No recordings saved yet.</p>}
+
+            <ul className="space-y-3">
+                {recordings.map((recording) => (
+                    <li key={recording.id} className="text-sm">
+                        {editing && editing.id === recording.id ? (
+                            <div className="flex space-x-2">
+                                <input
+                                    type="text"
+                                    value={editing.title}
+                                    onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                                    maxLength={120}
+                                    className="flex-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-white"
+                                />
+                                <button onClick={saveTitle} className="text-cyan-300 hover:text-cyan-200">Save</button>
+                                <button onClick={() => setEditing(null)} className="text-slate-400 hover:text-slate-300">Cancel</button>
+                            </div>
+                        ) : (
+                            <div className="flex items-center justify-between">
+                                <span className="font-semibold text-white truncate">{recording.title}</span>
+                                <span className="flex space-x-3 shrink-0 ml-2">
+                                    {recording.status === 'complete' && (
+                                        <button
+                                            onClick={() => setPlayingId(playingId === recording.id ? null : recording.id)}
+                                            className="text-cyan-300 hover:text-cyan-200"
+                                        >
+                                            {playingId === recording.id ? 'Hide' : 'Play'}
+                                        </button>
+                                    )}
+                                    <button onClick={() => setEditing({ id: recording.id, title: recording.title })} className="text-slate-300 hover:text-white">Rename</button>
+                                    <button onClick={() => deleteRecording(recording)} className="text-red-400 hover:text-red-300">Delete</button>
+                                </span>
+                            </div>
+                        )}
+                        <p className="text-xs text-slate-400">
+                            {[
+                                new Date(recording.createdAt).toLocaleString(),
+                                formatDuration(recording.durationMs),
+                                formatSize(recording.size),
+                                recording.jointStates && `${recording.jointStates.frameCount} joint frames`,
+                                recording.status !== 'complete' && `incomplete upload (${Math.round((recording.receivedBytes / recording.size) * 100)}%)`,
+                            ].filter(Boolean).join(' · ')}
+                        </p>
+                        {playingId === recording.id && (
+                            <video
+                                src={recordingStreamUrl(recording)}
+                                controls
+                                autoPlay
+                                className="mt-2 w-full rounded-lg bg-black"
+                            />
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default RecordingLibrary;
@@ -11,6 +11,8 @@ import { Camera } from '@mediapipe/camera_utils';
 
 // Import the reusable UrdfRobotModel component
 import UrdfRobotModel from './UrdfRobotModel';
+import RosbridgeSettings from './RosbridgeSettings';
+import { useRosbridge } from '../hooks/useRosbridge';
 
 /**
  * Helper component to control the camera within the R3F Canvas.
@@ -71,6 +73,9 @@ const RobotHandControl = ({ urdfFile, meshFiles }) => {
     const [robotJointStates, setRobotJointStates] = useState({}); // Joint states for the robot
     const loadedRobotInstanceRef = useRef(null); // Ref to hold the actual Three.js robot object
     const [cameraUpdateTrigger, setCameraUpdateTrigger] = useState(0); // To force CameraUpdater re-run
+    // Hand-driven joints publish to ROS; the real robot's /joint_states take over the twin while they arrive
+    const rosbridge = useRosbridge();
+    const { publishJointStates } = rosbridge;
 
 
     // Memoize Blob URLs for UrdfRobotModel props
@@ -206,6 +211,13 @@ const RobotHandControl = ({ urdfFile, meshFiles }) => {
         }
     }, [loadedRobotInstanceRef]);
 
+    // Effect to publish the hand-driven joints over rosbridge (no-op while it is off)
+    useEffect(() => {
+        if (Object.keys(robotJointStates).length > 0) {
+            publishJointStates(robotJointStates);
+        }
+    }, [robotJointStates, publishJointStates]);
+
 
     // Setup Camera and MediaPipe Hands
     useEffect(() => {
@@ -298,6 +310,7 @@ const RobotHandControl = ({ urdfFile, meshFiles }) => {
         <div className="flex flex-col items-center justify-center w-full max-w-4xl">
             <h3 className="text-2xl font-bold text-gray-200 mb-4">Robot Control with Hand Gestures</h3>
             <p className="text-lg text-gray-300 mb-4">Status: <span className="font-semibold text-yellow-400">{status}</span></p>
+            <RosbridgeSettings rosbridge={rosbridge} className="w-full mb-4" />
 
             <div className="flex flex-col md:flex-row gap-4 w-full">
                 {/* Camera Feed for User's Gestures */}
@@ -332,7 +345,7 @@ const RobotHandControl = ({ urdfFile, meshFiles }) => {
                                 <UrdfRobotModel
                                     urdfContent={urdfContentBlobUrl}
                                     fileMap={fileMapForModel}
-                                    jointStates={robotJointStates} // Pass dynamic joint states
+                                    jointStates={rosbridge.robotJointStates || robotJointStates} // Pass dynamic joint states
                                     onRobotLoaded={handleUrdfRobotLoaded} // Get the loaded robot instance
                                     selectedRobotName="jaxon_jvrc" // Assume JAXON for hand control
                                     scale={0.001} // Initial scale specific for JAXON JVRC (usually very large)
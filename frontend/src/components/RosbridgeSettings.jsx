@@ -0,0 +1,86 @@
+// src/components/RosbridgeSettings.jsx
+import React, { useEffect, useState } from 'react';
+
+const STATE_LABELS = {
+    connected: { text: 'connected', dot: 'bg-green-400' },
+    connecting: { text: 'connecting...', dot: 'bg-yellow-400' },
+    disconnected: { text: 'disconnected, retrying', dot: 'bg-red-500' },
+    closed: { text: 'off', dot: 'bg-gray-500' },
+};
+
+// Text input that only reports its value when editing ends, so the connection isn't reopened per keystroke
+const CommitInput = ({ value, onCommit, ...props }) => {
+    const [draft, setDraft] = useState(value);
+    useEffect(() => setDraft(value), [value]);
+
+    return (
+        <input
+            {...props}
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={() => draft.trim() && draft !== value && onCommit(draft.trim())}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            className="w-full bg-gray-900 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+        />
+    );
+};
+
+/**
+ * Enables the rosbridge connection and edits its URL and topics (see hooks/useRosbridge).
+ * @param {object} props - Component props
+ * @param {object} props.rosbridge - The value returned by useRosbridge().
+ * @param {string} [props.className] - Extra classes for the outer element.
+ */
+const RosbridgeSettings = ({ rosbridge, className = '' }) => {
+    const { settings, updateSettings, connectionState, robotJointStates } = rosbridge;
+    const state = STATE_LABELS[connectionState] || STATE_LABELS.closed;
+
+    return (
+        <div className={`bg-gray-800/60 rounded-lg p-3 border border-gray-600 text-left text-sm text-gray-200 ${className}`}>
+            <div className="flex items-center justify-between gap-3">
+                <label className="flex items-center gap-2 font-semibold">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        onChange={(e) => updateSettings({ enabled: e.target.checked })}
+                    />
+                    ROS (rosbridge)
+                </label>
+                <span className="flex items-center gap-2 text-xs text-gray-300">
+                    <span className={`inline-block w-2.5 h-2.5 rounded-full ${state.dot}`} />
+                    {state.text}
+                    {robotJointStates && ' · mirroring joint states'}
+                </span>
+            </div>
+
+            {settings.enabled && (
+                <div className="mt-2 space-y-2">
+                    <CommitInput value={settings.url} onCommit={(url) => updateSettings({ url })} placeholder="ws://robot.local:9090" />
+                    <details>
+                        <summary className="cursor-pointer text-xs text-gray-400">Topics</summary>
+                        <div className="mt-2 grid grid-cols-[auto,1fr] items-center gap-2 text-xs">
+                            <span>Velocity (Twist)</span>
+                            <CommitInput value={settings.cmdVelTopic} onCommit={(cmdVelTopic) => updateSettings({ cmdVelTopic })} />
+                            <span>Joint commands</span>
+                            <CommitInput value={settings.jointCommandTopic} onCommit={(jointCommandTopic) => updateSettings({ jointCommandTopic })} />
+                            <span>Robot joint states</span>
+                            <CommitInput value={settings.jointStatesTopic} onCommit={(jointStatesTopic) => updateSettings({ jointStatesTopic })} />
+                            <span>ROS version</span>
+                            <select
+                                value={settings.rosVersion}
+                                onChange={(e) => updateSettings({ rosVersion: Number(e.target.value) })}
+                                className="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white"
+                            >
+                                <option value={2}>ROS 2</option>
+                                <option value={1}>ROS 1</option>
+                            </select>
+                        </div>
+                    </details>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RosbridgeSettings;
@@ -0,0 +1,139 @@
+// src/components/SensorGauges.jsx
+import React from 'react';
+import { SENSOR_RATES_HZ } from '../utils/phoneSensors';
+
+const ACCELERATION_RANGE = 20; // m/s², about 2 g either way
+const ROTATION_RATE_RANGE = 360; // deg/s
+
+/**
+ * A horizontal bar centred on zero.
+ * @param {object} props - Component props
+ * @param {string} props.label - Axis name.
+ * @param {number|null} props.value - Current reading.
+ * @param {number} props.range - The bar is full at ±range.
+ * @param {string} props.unit - Shown after the value.
+ */
+const Gauge = ({ label, value, range, unit }) => {
+    const fraction = typeof value === 'number' ? Math.max(-1, Math.min(1, value / range)) : 0;
+    return (
+        <div className="flex items-center gap-2 text-sm">
+            <span className="w-12 text-gray-400">{label}</span>
+            <div className="relative flex-1 h-3 rounded bg-gray-800 overflow-hidden">
+                <div className="absolute inset-y-0 left-1/2 w-px bg-gray-500" />
+                <div
+                    className={`absolute inset-y-0 ${fraction >= 0 ? 'bg-blue-500' : 'bg-orange-500'}`}
+                    style={fraction >= 0
+                        ? { left: '50%', width: `${fraction * 50}%` }
+                        : { right: '50%', width: `${-fraction * 50}%` }}
+                />
+            </div>
+            <span className="w-24 text-right font-mono text-gray-200">
+                {typeof value === 'number' ? `${value.toFixed(1)} ${unit}` : '–'}
+            </span>
+        </div>
+    );
+};
+
+/**
+ * A phone outline rotated in 3D to the DeviceOrientation angles, with the compass heading.
+ * @param {object} props - Component props
+ * @param {{ alpha: number, beta: number, gamma: number }} props.orientation
+ */
+const OrientationWidget = ({ orientation }) => {
+    const { alpha, beta, gamma } = orientation;
+    return (
+        <div className="flex flex-col items-center gap-2">
+            <div className="w-32 h-32 flex items-center justify-center" style={{ perspective: '400px' }}>
+                {/* CSS's y axis points down, so beta and gamma turn the opposite way to the device frame */}
+                <div
+                    className="w-12 h-20 rounded-lg border-2 border-blue-400 bg-gray-800 flex items-start justify-center transition-transform duration-100"
+                    style={{ transform: `rotateX(${beta || 0}deg) rotateY(${-(gamma || 0)}deg) rotateZ(${-(alpha || 0)}deg)` }}
+                >
+                    <div className="mt-1 w-4 h-1 rounded bg-blue-400" />
+                </div>
+            </div>
+            <span className="font-mono text-sm text-gray-300">
+                α {alpha?.toFixed(0) ?? '–'}° β {beta?.toFixed(0) ?? '–'}° γ {gamma?.toFixed(0) ?? '–'}°
+            </span>
+        </div>
+    );
+};
+
+/**
+ * Live motion, orientation and location readings streamed by the selected phone (see PhoneCam),
+ * plus the switch that tilts the URDF twin to match the phone.
+ * @param {object} props - Component props
+ * @param {object} props.sensors - Latest frame: { motion, orientation, location, rateHz, at }.
+ * @param {boolean} props.tiltTwin - Whether the twin follows the phone's pitch and roll.
+ * @param {function} props.onTiltTwinChange - (enabled) when the switch is toggled.
+ * @param {function} props.onZero - Takes the current orientation as level.
+ * @param {function} props.onRateChange - (rateHz) asks the phone to send at another rate.
+ */
+const SensorGauges = ({ sensors, tiltTwin, onTiltTwinChange, onZero, onRateChange }) => {
+    const { motion, orientation, location, rateHz, at } = sensors;
+    const acceleration = motion?.acceleration || {};
+    const rotationRate = motion?.rotationRate || {};
+
+    return (
+        <div className="mb-8 p-4 rounded-lg bg-gray-700 border border-gray-600 text-left">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <h3 className="text-xl font-bold text-gray-200">Phone Sensors</h3>
+                <div className="flex items-center gap-3 text-sm text-gray-300">
+                    <select
+                        value={rateHz}
+                        onChange={(e) => onRateChange(Number(e.target.value))}
+                        className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white"
+                    >
+                        {SENSOR_RATES_HZ.map((rate) => <option key={rate} value={rate}>{rate} Hz</option>)}
+                    </select>
+                    <span>updated {new Date(at).toLocaleTimeString()}</span>
+                </div>
+            </div>
+
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-[1fr,auto] gap-6">
+                <div className="space-y-1">
+                    <p className="text-sm font-semibold text-gray-300">Acceleration (incl. gravity)</p>
+                    {['x', 'y', 'z'].map((axis) => (
+                        <Gauge key={axis} label={axis} value={acceleration[axis]} range={ACCELERATION_RANGE} unit="m/s²" />
+                    ))}
+                    <p className="pt-2 text-sm font-semibold text-gray-300">Rotation rate</p>
+                    {['alpha', 'beta', 'gamma'].map((axis) => (
+                        <Gauge key={axis} label={axis} value={rotationRate[axis]} range={ROTATION_RATE_RANGE} unit="°/s" />
+                    ))}
+                </div>
+                {orientation ? <OrientationWidget orientation={orientation} /> : (
+                    <p className="text-sm text-gray-400 self-center">No orientation readings</p>
+                )}
+            </div>
+
+            {location && (
+                <p className="mt-4 text-sm font-mono text-gray-300">
+                    📍 {location.latitude}, {location.longitude} (±{location.accuracy} m)
+                    {typeof location.speed === 'number' && ` · ${location.speed} m/s`}
+                    {typeof location.heading === 'number' && ` · heading ${location.heading}°`}
+                </p>
+            )}
+
+            <div className="mt-4 flex flex-wrap items-center gap-4 text-sm text-gray-300">
+                <label className="flex items-center gap-2 font-semibold">
+                    <input
+                        type="checkbox"
+                        checked={tiltTwin}
+                        disabled={!orientation}
+                        onChange={(e) => onTiltTwinChange(e.target.checked)}
+                    />
+                    Tilt the twin to match the phone
+                </label>
+                <button
+                    onClick={onZero}
+                    disabled={!orientation}
+                    className="py-1 px-3 rounded-lg bg-gray-600 text-white font-semibold hover:bg-gray-800 disabled:opacity-50"
+                >
+                    Zero (robot is level)
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SensorGauges;
@@ -0,0 +1,86 @@
+// src/components/StreamStatsPanel.jsx
+import React from 'react';
+
+// Plotted series: sample field, label, unit and line colour
+const SERIES = [
+    { field: 'bitrateKbps', label: 'Bitrate', unit: 'kbps', color: '#60a5fa' },
+    { field: 'framesPerSecond', label: 'Framerate', unit: 'fps', color: '#34d399' },
+    { field: 'packetLossPercent', label: 'Packet loss', unit: '%', color: '#f87171' },
+    { field: 'jitterMs', label: 'Jitter', unit: 'ms', color: '#fbbf24' },
+    { field: 'rttMs', label: 'Round trip', unit: 'ms', color: '#c084fc' },
+];
+
+const CANDIDATE_LABELS = { host: 'host (direct)', srflx: 'srflx (STUN)', prflx: 'prflx (peer reflexive)', relay: 'relay (TURN)' };
+
+/**
+ * A small line chart of one field over the recent samples, scaled to its own maximum.
+ * @param {object} props - Component props
+ * @param {object[]} props.history - Samples, oldest first.
+ * @param {string} props.field - Sample field to plot.
+ * @param {string} props.color - Line colour.
+ */
+const Sparkline = ({ history, field, color }) => {
+    const values = history.map((sample) => sample[field]);
+    const max = Math.max(1, ...values.filter((value) => typeof value === 'number'));
+    const points = values
+        .map((value, i) => (typeof value === 'number' ? `${(i / Math.max(1, history.length - 1)) * 100},${30 - (value / max) * 28}` : null))
+        .filter(Boolean)
+        .join(' ');
+    return (
+        <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8">
+            <polyline points={points} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+        </svg>
+    );
+};
+
+/**
+ * WebRTC statistics of the incoming stream, shown over the video: current values, the last minute
+ * of history and export of the whole session's log (see hooks/useWebRtcStats).
+ * @param {object} props - Component props
+ * @param {object} props.stats - What useWebRtcStats returns.
+ * @param {function} props.onClose - Hides the panel.
+ */
+const StreamStatsPanel = ({ stats, onClose }) => {
+    const { latest, history, sessionStartedAt, exportLog } = stats;
+
+    return (
+        <div className="absolute top-2 left-2 w-72 max-w-[calc(100%-1rem)] max-h-[calc(100%-1rem)] overflow-y-auto p-3 rounded-lg bg-gray-900/85 text-left text-xs text-gray-200 shadow-lg">
+            <div className="flex items-center justify-between mb-2">
+                <span className="font-bold text-sm">Stream stats</span>
+                <button onClick={onClose} className="px-2 text-gray-400 hover:text-white" aria-label="Hide stream stats">✕</button>
+            </div>
+
+            {!latest ? (
+                <p className="text-gray-400">Waiting for the stream...</p>
+            ) : (
+                <>
+                    <p className="font-mono mb-2">
+                        {latest.width && latest.height ? `${latest.width}×${latest.height}` : 'no video yet'}
+                        {latest.framesDropped !== null && ` · ${latest.framesDropped} dropped`}
+                        <br />
+                        {latest.localCandidateType
+                            ? `${CANDIDATE_LABELS[latest.localCandidateType] || latest.localCandidateType} ↔ ${CANDIDATE_LABELS[latest.remoteCandidateType] || latest.remoteCandidateType} over ${latest.protocol}`
+                            : 'candidate pair unknown'}
+                    </p>
+                    {SERIES.map(({ field, label, unit, color }) => (
+                        <div key={field} className="mb-1">
+                            <div className="flex justify-between">
+                                <span style={{ color }}>{label}</span>
+                                <span className="font-mono">{latest[field] ?? '–'} {unit}</span>
+                            </div>
+                            <Sparkline history={history} field={field} color={color} />
+                        </div>
+                    ))}
+                </>
+            )}
+
+            <div className="mt-2 flex items-center gap-2">
+                <button onClick={() => exportLog('csv')} disabled={!latest} className="py-1 px-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50">Export CSV</button>
+                <button onClick={() => exportLog('json')} disabled={!latest} className="py-1 px-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50">Export JSON</button>
+                {sessionStartedAt && <span className="text-gray-400">since {new Date(sessionStartedAt).toLocaleTimeString()}</span>}
+            </div>
+        </div>
+    );
+};
+
+export default StreamStatsPanel;
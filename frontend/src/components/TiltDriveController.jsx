@@ -0,0 +1,317 @@
+// src/components/TiltDriveController.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { useCommandLink } from '../hooks/useCommandLink';
+import { requestSensorPermission, startPhoneSensors } from '../utils/phoneSensors';
+import {
+    TILT_OUTPUTS, loadTiltSettings, storeTiltSettings, readTilt, tiltToCommand, tiltToVelocity,
+} from '../utils/tiltDrive';
+
+const DRIVE_RATE_HZ = 10; // How often the tilt is read and velocities are sent
+const COMMAND_REPEAT_MS = 500; // A held tilt repeats its discrete command this often
+
+const ZERO_VELOCITY = { vx: 0, vy: 0, yawRate: 0 };
+
+/**
+ * PhoneCam's tilt-to-drive mode: the handheld phone's pitch and roll drive another of the user's
+ * devices (e.g. a robot agent) with discrete commands or continuous velocities.
+ * Driving takes the target's controller lock like ControlPanel does.
+ * @param {object} props - Component props
+ * @param {object|null} props.socket - PhoneCam's signaling socket; listeners move to a new one when it reconnects.
+ * @param {React.MutableRefObject} props.socketRef - Ref holding the same socket, for sending.
+ * @param {string} props.ownDeviceId - This phone, left out of the target list.
+ */
+const TiltDriveController = ({ socket, socketRef, ownDeviceId }) => {
+    const [targets, setTargets] = useState([]); // Other online devices from "available_phones"
+    const [targetId, setTargetId] = useState("");
+    const [settings, setSettings] = useState(loadTiltSettings);
+    const [sensorsReady, setSensorsReady] = useState(false);
+    const [neutral, setNeutral] = useState(null); // { beta, gamma } recorded by "Calibrate"
+    const [armed, setArmed] = useState(false);
+    const [tilt, setTilt] = useState({ pitch: 0, roll: 0 });
+    const [output, setOutput] = useState(null); // Last command or velocity sent, for the readout
+    const [error, setError] = useState(null);
+    const sensors = useRef(null);
+    const lastCommand = useRef({ cmd: null, sentAt: 0 });
+    const { sendAckedCommand, linkStats } = useCommandLink(socketRef, targetId);
+
+    const updateSettings = (changes) => {
+        const next = { ...settings, ...changes };
+        setSettings(next);
+        storeTiltSettings(next);
+    };
+
+    // Effect to list the devices this phone can drive and to hear about lock denials
+    useEffect(() => {
+        if (!socket) return;
+        const handlePhones = (phones) => setTargets(phones.filter((phone) => phone.online && phone.deviceId !== ownDeviceId));
+        const handleDenied = ({ phoneDeviceId, reason }) => {
+            if (phoneDeviceId !== targetId) return;
+            setArmed(false);
+            setError(reason);
+        };
+        socket.on("available_phones", handlePhones);
+        socket.on("control_denied", handleDenied);
+        socket.emit("get_available_phones");
+        return () => {
+            socket.off("available_phones", handlePhones);
+            socket.off("control_denied", handleDenied);
+        };
+    }, [socket, ownDeviceId, targetId]);
+
+    // Effect to read the orientation while the mode is open
+    useEffect(() => {
+        if (!sensorsReady) return;
+        sensors.current = startPhoneSensors({ onError: setError });
+        return () => {
+            sensors.current.stop();
+            sensors.current = null;
+        };
+    }, [sensorsReady]);
+
+    // Effect to turn the tilt into drive output at DRIVE_RATE_HZ
+    useEffect(() => {
+        if (!sensorsReady || !neutral) return;
+
+        const tick = () => {
+            const { orientation } = sensors.current ? sensors.current.read() : {};
+            if (!orientation) return;
+            const current = readTilt(orientation, neutral, settings);
+            setTilt(current);
+            if (!armed) return;
+
+            if (settings.output === 'velocity') {
+                const velocity = tiltToVelocity(current, settings);
+                if (socket && socket.connected) socket.emit("velocity", { targetPhoneId: targetId, ...velocity, at: Date.now() });
+                setOutput(`vx ${velocity.vx} m/s · yaw ${velocity.yawRate} rad/s`);
+                return;
+            }
+
+            // Discrete commands go out when the direction changes and repeat while it is held;
+            // returning to neutral sends "stop"
+            const cmd = tiltToCommand(current) || (lastCommand.current.cmd && lastCommand.current.cmd !== 'stop' ? 'stop' : null);
+            if (!cmd) return;
+            const now = Date.now();
+            if (cmd === lastCommand.current.cmd && (cmd === 'stop' || now - lastCommand.current.sentAt < COMMAND_REPEAT_MS)) return;
+            lastCommand.current = { cmd, sentAt: now };
+            setOutput(cmd);
+            sendAckedCommand(cmd, targetId, { source: 'tilt', sentAt: now }).then((ack) => {
+                if (!ack.ok) setError(ack.error || `"${cmd}" was not delivered.`);
+            });
+        };
+
+        const interval = setInterval(tick, 1000 / DRIVE_RATE_HZ);
+        return () => clearInterval(interval);
+    }, [sensorsReady, neutral, settings, armed, targetId, socket, sendAckedCommand]);
+
+    // Effect to bring the robot to rest and hand back the lock when driving ends or the mode is left
+    useEffect(() => {
+        if (!armed || !socket) return;
+        lastCommand.current = { cmd: null, sentAt: 0 };
+        socket.emit("acquire_control", { phoneDeviceId: targetId });
+        return () => {
+            if (!socket.connected) return;
+            socket.emit("velocity", { targetPhoneId: targetId, ...ZERO_VELOCITY, at: Date.now() });
+            socket.emit("release_control", { phoneDeviceId: targetId });
+        };
+    }, [armed, targetId, socket]);
+
+    const handleEnableSensors = async () => {
+        setError(null);
+        try {
+            if (await requestSensorPermission()) setSensorsReady(true);
+            else setError("Motion sensor access was denied or is not supported.");
+        } catch (err) {
+            setError(`Motion sensors unavailable: ${err.message}`);
+        }
+    };
+
+    const handleCalibrate = () => {
+        const { orientation } = sensors.current ? sensors.current.read() : {};
+        if (!orientation) return setError("No orientation reading yet; move the phone a little and try again.");
+        setError(null);
+        setNeutral({ beta: orientation.beta, gamma: orientation.gamma });
+    };
+
+    const handleStop = () => {
+        setArmed(false);
+        setOutput('stop');
+        if (!targetId) return;
+        const socket = socketRef.current;
+        if (socket && socket.connected) socket.emit("velocity", { targetPhoneId: targetId, ...ZERO_VELOCITY, at: Date.now() });
+        sendAckedCommand('stop', targetId, { source: 'tilt', sentAt: Date.now() });
+    };
+
+    // The dot shows the tilt past the dead zone: up is forward, right is a right turn
+    const dotStyle = {
+        ...styles.tiltDot,
+        left: `${50 + tilt.roll * 40}%`,
+        top: `${50 - tilt.pitch * 40}%`,
+        backgroundColor: tilt.pitch === 0 && tilt.roll === 0 ? '#6c757d' : '#007bff',
+    };
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.row}>
+                <label style={styles.label}>
+                    Drive{' '}
+                    <select value={targetId} onChange={(e) => { setArmed(false); setTargetId(e.target.value); }} style={styles.select}>
+                        <option value="">-- Select a robot --</option>
+                        {targets.map((target) => (
+                            <option key={target.deviceId} value={target.deviceId}>{target.name} ({target.model})</option>
+                        ))}
+                    </select>
+                </label>
+                <button onClick={() => socketRef.current && socketRef.current.emit("get_available_phones")} style={styles.smallButton}>
+                    Refresh
+                </button>
+            </div>
+
+            <div style={styles.row}>
+                <label style={styles.label}>
+                    Output{' '}
+                    <select value={settings.output} onChange={(e) => updateSettings({ output: e.target.value })} style={styles.select}>
+                        {Object.entries(TILT_OUTPUTS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </label>
+                <label style={styles.label}>
+                    Dead zone {settings.deadZoneDeg}°{' '}
+                    <input
+                        type="range"
+                        min={2}
+                        max={20}
+                        value={settings.deadZoneDeg}
+                        onChange={(e) => updateSettings({ deadZoneDeg: Number(e.target.value) })}
+                    />
+                </label>
+            </div>
+
+            {!sensorsReady ? (
+                <button onClick={handleEnableSensors} style={styles.smallButton}>Enable Tilt Sensors</button>
+            ) : (
+                <>
+                    <div style={styles.tiltPad}>
+                        <div style={styles.neutralMark} />
+                        <div style={dotStyle} />
+                    </div>
+                    <div style={styles.row}>
+                        <button onClick={handleCalibrate} style={styles.smallButton}>
+                            {neutral ? 'Recalibrate Neutral' : 'Calibrate Neutral'}
+                        </button>
+                        <button
+                            onClick={() => { setError(null); setArmed(true); }}
+                            disabled={!neutral || !targetId || armed}
+                            style={{ ...styles.smallButton, ...((!neutral || !targetId || armed) && styles.disabledButton) }}
+                        >
+                            {armed ? 'Driving...' : 'Start Driving'}
+                        </button>
+                    </div>
+                    {!neutral && <p style={styles.hint}>Hold the phone the way you want to drive from, then calibrate.</p>}
+                </>
+            )}
+
+            {output && (
+                <p style={styles.hint}>
+                    Sent: <strong>{output}</strong>
+                    {linkStats.lastRtt !== null && ` · ${linkStats.lastRtt} ms`}
+                </p>
+            )}
+            {error && <p style={styles.error}>{error}</p>}
+
+            <button onClick={handleStop} style={styles.stopButton}>STOP</button>
+        </div>
+    );
+};
+
+const styles = {
+    container: {
+        marginBottom: '20px',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+    },
+    row: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '10px',
+        flexWrap: 'wrap',
+    },
+    label: {
+        fontSize: '1em',
+        color: '#555',
+        fontWeight: 'bold',
+    },
+    select: {
+        padding: '8px 12px',
+        borderRadius: '8px',
+        border: '1px solid #a0a0a0',
+        backgroundColor: '#f9f9f9',
+        fontSize: '0.9em',
+    },
+    smallButton: {
+        padding: '8px 16px',
+        border: 'none',
+        borderRadius: '8px',
+        backgroundColor: '#007bff',
+        color: 'white',
+        fontSize: '0.9em',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
+    disabledButton: {
+        opacity: 0.5,
+        cursor: 'default',
+    },
+    tiltPad: {
+        position: 'relative',
+        width: '180px',
+        height: '180px',
+        borderRadius: '50%',
+        border: '2px solid #e0e0e0',
+        backgroundColor: '#f5f5f5',
+    },
+    neutralMark: {
+        position: 'absolute',
+        left: '50%',
+        top: '50%',
+        width: '32px',
+        height: '32px',
+        transform: 'translate(-50%, -50%)',
+        borderRadius: '50%',
+        border: '2px dashed #a0a0a0',
+    },
+    tiltDot: {
+        position: 'absolute',
+        width: '24px',
+        height: '24px',
+        borderRadius: '50%',
+        transform: 'translate(-50%, -50%)',
+        transition: 'left 0.1s, top 0.1s',
+    },
+    hint: {
+        fontSize: '0.9em',
+        color: '#555',
+        margin: 0,
+    },
+    error: {
+        fontSize: '0.9em',
+        color: '#dc3545',
+        margin: 0,
+    },
+    stopButton: {
+        width: '100%',
+        padding: '28px 0',
+        border: 'none',
+        borderRadius: '15px',
+        backgroundColor: '#dc3545',
+        color: 'white',
+        fontSize: '2em',
+        fontWeight: '800',
+        letterSpacing: '2px',
+        cursor: 'pointer',
+        boxShadow: '0 6px 18px rgba(220, 53, 69, 0.4)',
+    },
+};
+
+export default TiltDriveController;
@@ -0,0 +1,132 @@
+// src/components/VelocityJoystick.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { VELOCITY_RATE_HZ, ZERO_VELOCITY, joystickToVelocity } from '../utils/velocityControl';
+
+const CENTER = { x: 0, y: 0 };
+
+/**
+ * A pad whose knob follows the pointer while pressed and springs back to the center on release.
+ * @param {object} props - Component props
+ * @param {string} props.label - Shown under the pad.
+ * @param {boolean} [props.horizontalOnly] - Only the x axis moves (the turn stick).
+ * @param {function} props.onMove - ({ x, y }, pressed): deflection in -1..1 with y > 0 up; pressed is false on release.
+ * @param {boolean} props.disabled - Ignores presses.
+ */
+const Stick = ({ label, horizontalOnly, onMove, disabled }) => {
+    const [knob, setKnob] = useState(CENTER);
+    const pad = useRef(null);
+
+    const track = (event) => {
+        const rect = pad.current.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (event.clientX - rect.left - radius) / radius;
+        let y = horizontalOnly ? 0 : (rect.top + rect.height / 2 - event.clientY) / radius;
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        setKnob({ x, y });
+        onMove({ x, y }, true);
+    };
+
+    const handlePointerDown = (event) => {
+        if (disabled) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        track(event);
+    };
+
+    const handlePointerMove = (event) => {
+        if (event.currentTarget.hasPointerCapture(event.pointerId)) track(event);
+    };
+
+    const handleRelease = () => {
+        setKnob(CENTER);
+        onMove(CENTER, false);
+    };
+
+    return (
+        <div className="flex flex-col items-center gap-2">
+            <div
+                ref={pad}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handleRelease}
+                onPointerCancel={handleRelease}
+                className={`relative ${horizontalOnly ? 'w-40 h-14' : 'w-40 h-40'} rounded-full bg-gray-800 border-2 border-gray-600 touch-none select-none
+                    ${disabled ? 'opacity-50' : 'cursor-pointer'}`}
+            >
+                <div
+                    className="absolute w-12 h-12 rounded-full bg-blue-600 shadow-lg -translate-x-1/2 -translate-y-1/2 pointer-events-none"
+                    style={{ left: `${50 + knob.x * 40}%`, top: `${50 - knob.y * 40}%` }}
+                />
+            </div>
+            <span className="text-sm text-gray-300">{label}</span>
+        </div>
+    );
+};
+
+/**
+ * Hold-to-move velocity control: the left stick drives forward, backward and sideways, the right one turns.
+ * While a stick is held its velocity is sent VELOCITY_RATE_HZ times a second; letting go sends a single
+ * zero velocity, the stop message.
+ * @param {object} props - Component props
+ * @param {function} props.onVelocity - ({ vx, vy, yawRate }) in m/s and rad/s, robot frame.
+ * @param {function} [props.onStart] - Called when driving starts; returning false ignores the press.
+ * @param {boolean} props.disabled - E.g. while another operator holds control.
+ */
+const VelocityJoystick = ({ onVelocity, onStart, disabled }) => {
+    const sticks = useRef({ move: { value: CENTER, pressed: false }, turn: { value: CENTER, pressed: false } });
+    const onVelocityRef = useRef(onVelocity);
+    const [active, setActive] = useState(false);
+    const [velocity, setVelocity] = useState(ZERO_VELOCITY);
+
+    // The parent re-renders often; keep the latest callback without restarting the send loop
+    useEffect(() => {
+        onVelocityRef.current = onVelocity;
+    }, [onVelocity]);
+
+    // Effect to stream the velocity while a stick is held, and to stop the robot on release or unmount
+    useEffect(() => {
+        if (!active) return;
+
+        const send = () => {
+            const { move, turn } = sticks.current;
+            const next = joystickToVelocity(move.value, turn.value.x);
+            setVelocity(next);
+            onVelocityRef.current(next);
+        };
+        send();
+        const interval = setInterval(send, 1000 / VELOCITY_RATE_HZ);
+        return () => {
+            clearInterval(interval);
+            setVelocity(ZERO_VELOCITY);
+            onVelocityRef.current(ZERO_VELOCITY);
+        };
+    }, [active]);
+
+    const handleStick = (name) => (value, pressed) => {
+        const { move, turn } = sticks.current;
+        const wasActive = move.pressed || turn.pressed;
+        if (pressed && !wasActive && onStart && onStart() === false) return;
+
+        sticks.current = { ...sticks.current, [name]: { value, pressed } };
+        setActive(sticks.current.move.pressed || sticks.current.turn.pressed);
+    };
+
+    return (
+        <div className="mt-6 p-4 rounded-lg bg-gray-700 border border-gray-600">
+            <div className="flex flex-wrap items-end justify-center gap-8">
+                <Stick label="Move" onMove={handleStick('move')} disabled={disabled} />
+                <Stick label="Turn" horizontalOnly onMove={handleStick('turn')} disabled={disabled} />
+            </div>
+            <p className="mt-3 text-sm font-mono text-gray-300">
+                {active
+                    ? `vx ${velocity.vx} m/s · vy ${velocity.vy} m/s · yaw ${velocity.yawRate} rad/s`
+                    : 'Hold a stick to move; let go to stop.'}
+            </p>
+        </div>
+    );
+};
+
+export default VelocityJoystick;
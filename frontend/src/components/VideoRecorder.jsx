@@ -1,5 +1,7 @@
 // src/components/VideoRecorder.jsx
 import React, { useRef, useState, useCallback, useEffect } from 'react';
+import { useAuthContext } from '../hooks/useAuthContext';
+import { createRecordingUpload, resumeRecordingUpload, uploadJointStates } from '../utils/recordings';
 
 const VideoRecorder = ({
     recordingSourceRef, // This will be drawingCanvasRef from UrdfUploader
@@ -10,13 +12,21 @@ const VideoRecorder = ({
     setIsPlayingRecordedVideo,
     recordedJointStatesData,
     onPlayRecordedData,
-    recordedVideoPlayerRef // Ref to the playback video element in UrdfUploader
+    recordedVideoPlayerRef, // Ref to the playback video element in UrdfUploader
+    robotModel, // Name of the loaded robot, stored with server recordings
+    onRecordingSaved // Called with the recording's metadata once it is stored on the server
 }) => {
+    const { user } = useAuthContext();
     const mediaRecorderRef = useRef(null);
     const recordedChunksRef = useRef([]);
+    const recordingStartedAtRef = useRef(0);
+    const recordingDurationRef = useRef(null);
 
     const [isRecording, setIsRecording] = useState(false);
     const [localRecordedVideoBlob, setLocalRecordedVideoBlob] = useState(null);
+    const [recordingTitle, setRecordingTitle] = useState("");
+    // Server upload of the current blob: { id, chunkSize, uploaded, total, uploading, done, error }
+    const [upload, setUpload] = useState(null);
 
     const startRecording = useCallback(() => {
         console.log("[VideoRecorder] startRecording called.");
@@ -28,6 +38,7 @@ const VideoRecorder = ({
 
         recordedChunksRef.current = [];
         setLocalRecordedVideoBlob(null); // Clear any previous blob
+        setUpload(null);
         if (recordedVideoPlayerRef.current) {
             recordedVideoPlayerRef.current.src = ''; // Clear previous video src
             recordedVideoPlayerRef.current.load(); // Ensure video element updates
@@ -71,6 +82,7 @@ const VideoRecorder = ({
 
             mediaRecorderRef.current.onstop = () => {
                 console.log("[VideoRecorder] MediaRecorder onstop event fired. Final chunks count:", recordedChunksRef.current.length);
+                recordingDurationRef.current = Date.now() - recordingStartedAtRef.current;
                 const currentBlob = new Blob(recordedChunksRef.current, { type: mediaRecorderRef.current.mimeType });
                 
                 if (localRecordedVideoBlob) {
@@ -92,6 +104,8 @@ const VideoRecorder = ({
             };
 
             mediaRecorderRef.current.start();
+            recordingStartedAtRef.current = Date.now();
+            setRecordingTitle(`Recording ${new Date().toLocaleString()}`);
             setIsRecording(true);
             onRecordingStatusChange("Recording started...", true);
             console.log("[VideoRecorder] Recording started with mimeType:", mimeType);
@@ -165,6 +179,42 @@ const VideoRecorder = ({
         console.log("[VideoRecorder] Attempted to play video from blob URL:", videoUrl);
     }, [localRecordedVideoBlob, setIsPlayingRecordedVideo, onPlayRecordedData, recordedJointStatesData, recordedVideoPlayerRef, onRecordingStatusChange, isRecording]);
 
+    // Uploads the recorded video in resumable chunks, then attaches the joint-state frames.
+    // After a failure the same button resumes from the last byte the server stored.
+    const saveToServer = useCallback(async () => {
+        if (!localRecordedVideoBlob || !user) return;
+        let { id, chunkSize } = upload || {};
+        setUpload((current) => ({ ...current, uploading: true, error: null }));
+
+        try {
+            if (!id) {
+                const created = await createRecordingUpload(localRecordedVideoBlob, {
+                    token: user.token,
+                    title: recordingTitle.trim() || undefined,
+                    durationMs: recordingDurationRef.current,
+                    robotModel,
+                });
+                ({ id, chunkSize } = created);
+                setUpload((current) => ({ ...current, id, chunkSize }));
+            }
+
+            let recording = await resumeRecordingUpload(id, localRecordedVideoBlob, {
+                token: user.token,
+                chunkSize,
+                onProgress: (uploaded, total) => setUpload((current) => ({ ...current, uploaded, total })),
+            });
+            if (recordedJointStatesData.length > 0) {
+                recording = await uploadJointStates(id, recordedJointStatesData, user.token);
+            }
+
+            setUpload((current) => ({ ...current, uploading: false, done: true }));
+            if (onRecordingSaved) onRecordingSaved(recording);
+        } catch (error) {
+            console.error("[VideoRecorder] Upload failed:", error);
+            setUpload((current) => ({ ...current, uploading: false, error: error.message }));
+        }
+    }, [localRecordedVideoBlob, user, upload, recordingTitle, robotModel, recordedJointStatesData, onRecordingSaved]);
+
     useEffect(() => {
         // console.log("--- Current Button States ---");
         // console.log("Start Recording disabled:", isRecording || !isRobotLoaded || isPlayingRecordedVideo);
@@ -228,6 +278,36 @@ const VideoRecorder = ({
                     {recordedJointStatesData.length > 0 ? ` Joint frames: ${recordedJointStatesData.length}` : ' No joint data recorded.'}
                 </p>
             )}
+            {localRecordedVideoBlob && !isRecording && (
+                user ? (
+                    <div className="mt-3 flex flex-col space-y-2">
+                        <input
+                            type="text"
+                            value={recordingTitle}
+                            onChange={(e) => setRecordingTitle(e.target.value)}
+                            maxLength={120}
+                            disabled={Boolean(upload && upload.id)}
+                            placeholder="Recording title"
+                            className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white disabled:opacity-60"
+                        />
+                        <button
+                            onClick={saveToServer}
+                            disabled={Boolean(upload && (upload.uploading || upload.done))}
+                            className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 disabled:from-slate-600 disabled:to-slate-700 disabled:cursor-not-allowed px-6 py-3 rounded-xl font-semibold transition-all duration-300 shadow-lg"
+                        >
+                            {upload && upload.done ? 'Saved to Server' : upload && upload.uploading ? 'Uploading...' : upload && upload.error ? 'Resume Upload' : 'Save to Server'}
+                        </button>
+                        {upload && upload.total > 0 && !upload.done && (
+                            <div className="w-full bg-slate-700 rounded-full h-2">
+                                <div className="bg-purple-500 h-2 rounded-full" style={{ width: `${Math.round((upload.uploaded / upload.total) * 100)}%` }} />
+                            </div>
+                        )}
+                        {upload && upload.error && <p className="text-sm text-red-400">Upload failed: {upload.error}</p>}
+                    </div>
+                ) : (
+                    <p className="mt-3 text-sm text-slate-400">Log in to save recordings to your account.</p>
+                )
+            )}
         </div>
     );
 };
@@ -0,0 +1,140 @@
+// frontend/src/hooks/useCommandLink.jsx
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+const ACK_TIMEOUT_MS = 1500   // Per attempt; the server gives the phone 1000ms of it
+const CHANNEL_ACK_TIMEOUT_MS = 400 // Direct DataChannel replies; on timeout the attempt falls back to Socket.IO
+const MAX_ATTEMPTS = 3        // First send + 2 retries
+const PING_INTERVAL_MS = 2000
+const RTT_WINDOW = 10         // Samples kept for the moving average
+const DEGRADED_RTT_MS = 300
+
+const initialStats = {
+  lastRtt: null,
+  avgRtt: null,
+  lost: 0,       // Commands that were never acknowledged
+  retries: 0,
+  failedPings: 0, // Consecutive unanswered pings
+  quality: 'unknown', // 'good' | 'degraded' | 'down' | 'unknown'
+  transport: null // 'datachannel' | 'socket', whichever carried the last acknowledged message
+}
+
+// Unique enough for de-duplicating retries; crypto.randomUUID is unavailable on plain-http LAN pages
+const createCommandId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
+const rateQuality = (avgRtt, failedPings) => {
+  if (failedPings >= 3) return 'down'
+  if (failedPings > 0 || (avgRtt !== null && avgRtt > DEGRADED_RTT_MS)) return 'degraded'
+  return avgRtt === null ? 'unknown' : 'good'
+}
+
+/**
+ * Sends acknowledged control commands to a phone and keeps live round-trip statistics.
+ * Commands and pings go over the peer connection's control DataChannel while it is open
+ * and fall back to the Socket.IO relay otherwise.
+ * @param {React.MutableRefObject} socketRef - Ref holding the signaling socket.
+ * @param {string} targetPhoneId - Phone to ping while selected (pings stop when empty).
+ * @param {React.MutableRefObject} [channelRef] - Ref holding the wrapped control channel (see utils/controlChannel).
+ * @returns {{ sendAckedCommand: function, linkStats: object }}
+ */
+export const useCommandLink = (socketRef, targetPhoneId, channelRef) => {
+  const [linkStats, setLinkStats] = useState(initialStats)
+  const rttSamples = useRef([])
+
+  const recordRtt = useCallback((rtt, transport) => {
+    rttSamples.current = [...rttSamples.current, rtt].slice(-RTT_WINDOW)
+    const avgRtt = Math.round(rttSamples.current.reduce((sum, sample) => sum + sample, 0) / rttSamples.current.length)
+    setLinkStats((stats) => ({ ...stats, lastRtt: rtt, avgRtt, transport, quality: rateQuality(avgRtt, stats.failedPings) }))
+  }, [])
+
+  // Resolves with the phone's reply over the DataChannel, or null when the channel can't be used
+  const requestOverChannel = useCallback(async (type, phoneDeviceId, body) => {
+    const channel = channelRef && channelRef.current
+    if (!channel || channel.peerId !== phoneDeviceId || !channel.isOpen()) return null
+
+    const reply = await channel.request(type, body, CHANNEL_ACK_TIMEOUT_MS)
+    // notController: the phone hasn't seen our lock yet, so let the server grant or deny it
+    return reply && !reply.notController ? reply : null
+  }, [channelRef])
+
+  // Emits once and resolves with the server's relayed ack, or { ok: false } on timeout
+  const emitWithAck = useCallback((event, payload) => new Promise((resolve) => {
+    const socket = socketRef.current
+    if (!socket || !socket.connected) {
+      return resolve({ ok: false, error: 'Not connected to the server.' })
+    }
+    socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, response) => {
+      resolve(err ? { ok: false, error: 'No acknowledgement from the server.' } : response)
+    })
+  }), [socketRef])
+
+  /**
+   * Sends a control command, retrying with the same command ID until the phone acknowledges it.
+   * @param {string} cmd - The control command (e.g. 'forward').
+   * @param {string} phoneDeviceId - The target phone.
+   * @param {object} [extra] - Additional payload fields.
+   * @returns {Promise<object>} The final ack: { ok, commandId, applied, rtt, attempts } or { ok: false, error }.
+   */
+  const sendAckedCommand = useCallback(async (cmd, phoneDeviceId, extra = {}) => {
+    const commandId = createCommandId()
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const sentAt = performance.now()
+      const payload = { ...extra, cmd, targetPhoneId: phoneDeviceId, commandId }
+
+      const reply = await requestOverChannel('control', phoneDeviceId, { ...extra, cmd, commandId })
+      if (reply) {
+        const rtt = Math.round(performance.now() - sentAt)
+        recordRtt(rtt, 'datachannel')
+        const result = { ok: true, commandId, ...reply }
+        // The server never saw this command; report it so the audit log stays complete
+        socketRef.current?.emit('control_log', payload, { ...result, transport: 'datachannel' })
+        return { ...result, rtt, attempts: attempt, transport: 'datachannel' }
+      }
+
+      const response = await emitWithAck('control', payload)
+      if (response.ok) {
+        const rtt = Math.round(performance.now() - sentAt)
+        recordRtt(rtt, 'socket')
+        return { ...response, rtt, attempts: attempt, transport: 'socket' }
+      }
+      // Denied or offline: retrying won't help
+      if (response.denied || response.error === 'Phone is not online.') {
+        return response
+      }
+      if (attempt < MAX_ATTEMPTS) {
+        setLinkStats((stats) => ({ ...stats, retries: stats.retries + 1 }))
+      }
+    }
+
+    setLinkStats((stats) => ({ ...stats, lost: stats.lost + 1, quality: 'degraded' }))
+    return { ok: false, commandId, error: `No acknowledgement after ${MAX_ATTEMPTS} attempts.` }
+  }, [emitWithAck, recordRtt, requestOverChannel, socketRef])
+
+  // Periodic pings keep the readout live between commands
+  useEffect(() => {
+    rttSamples.current = []
+    setLinkStats(initialStats)
+    if (!targetPhoneId) return
+
+    const ping = async () => {
+      const sentAt = performance.now()
+      const reply = await requestOverChannel('ping', targetPhoneId, {})
+      const response = reply ? { ok: true } : await emitWithAck('link_ping', { targetPhoneId })
+      if (response.ok) {
+        setLinkStats((stats) => ({ ...stats, failedPings: 0 }))
+        recordRtt(Math.round(performance.now() - sentAt), reply ? 'datachannel' : 'socket')
+      } else {
+        setLinkStats((stats) => {
+          const failedPings = stats.failedPings + 1
+          return { ...stats, failedPings, quality: rateQuality(stats.avgRtt, failedPings) }
+        })
+      }
+    }
+
+    const interval = setInterval(ping, PING_INTERVAL_MS)
+    ping()
+    return () => clearInterval(interval)
+  }, [targetPhoneId, emitWithAck, recordRtt, requestOverChannel])
+
+  return { sendAckedCommand, linkStats }
+}
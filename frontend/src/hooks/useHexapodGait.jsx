@@ -0,0 +1,108 @@
+// frontend/src/hooks/useHexapodGait.jsx
+import { useEffect, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { GAIT_RATE_HZ, createGaitEngine } from '../utils/hexapodGait'
+import { loadHexapodModel } from '../utils/hexapodKinematics'
+import { VELOCITY_STALE_MS, ZERO_VELOCITY, integrateVelocity } from '../utils/velocityControl'
+
+const MAX_STEP_S = 0.1 // A long gap (e.g. a background tab) shouldn't make the legs or the twin jump
+
+/**
+ * Runs the hexapod gait engine (see utils/hexapodGait) on a timer, so it keeps walking whether or
+ * not a twin is rendered.
+ * @param {object} options
+ * @param {boolean} options.enabled - E.g. only while the hexapod is selected.
+ * @param {object|null} options.command - Latest { vx, vy, yawRate, at } with `at` the local time it was given.
+ *   It is followed for `duration` ms (default VELOCITY_STALE_MS), then the robot stops.
+ * @param {object} options.params - See DEFAULT_GAIT_PARAMS.
+ * @param {function} [options.onJoints] - Called with { [jointName]: angle } on every tick while walking, and
+ *   once more with the standing pose when the legs have settled.
+ * @returns {object} A ref whose current value is the last { joints, velocity, walking, phase }, for useGaitPose.
+ */
+export const useHexapodGait = ({ enabled, command, params, onJoints }) => {
+  const engine = useRef(null)
+  if (!engine.current) engine.current = createGaitEngine(params)
+  const output = useRef({ joints: null, velocity: ZERO_VELOCITY, walking: false, phase: 0 })
+  const latest = useRef({})
+
+  // The timer below always reads the latest command and callback
+  useEffect(() => {
+    latest.current = { command, onJoints }
+  })
+
+  useEffect(() => {
+    engine.current.setParams(params)
+  }, [params])
+
+  // Effect to walk with the leg geometry read from the URDF once it has loaded
+  useEffect(() => {
+    let cancelled = false
+    const gaitEngine = engine.current
+    loadHexapodModel()
+      .then((model) => !cancelled && gaitEngine.setModel(model))
+      .catch((error) => console.warn('Gait keeps the built-in leg geometry:', error.message))
+    return () => { cancelled = true }
+  }, [])
+
+  // Effect to tick the engine while enabled
+  useEffect(() => {
+    if (!enabled) return
+
+    const gaitEngine = engine.current
+    let last = performance.now()
+    const tick = () => {
+      const now = performance.now()
+      const dt = Math.min((now - last) / 1000, MAX_STEP_S)
+      last = now
+
+      const { command: current, onJoints: report } = latest.current
+      const active = current && Date.now() - current.at <= (current.duration ?? VELOCITY_STALE_MS)
+      const result = gaitEngine.update(dt, active ? current : ZERO_VELOCITY)
+      // At rest the last frame stays, so the twin is free to take other poses
+      if (!result.walking && !output.current.walking) return
+      output.current = result
+      if (report) report(result.joints)
+    }
+    const interval = setInterval(tick, 1000 / GAIT_RATE_HZ)
+    return () => {
+      clearInterval(interval)
+      output.current = { ...output.current, velocity: ZERO_VELOCITY, walking: false }
+    }
+  }, [enabled])
+
+  return output
+}
+
+/**
+ * Poses a URDF twin from useHexapodGait on every rendered frame: the joints follow the gait and the
+ * body glides by the velocity the gait walks. Must be called from a component inside a <Canvas>.
+ * @param {object|null} robot - The loaded URDF robot.
+ * @param {object|null} gait - The ref returned by useHexapodGait, or null to leave the twin alone.
+ * @param {boolean} enabled - E.g. only while the twin is shown.
+ */
+export const useGaitPose = (robot, gait, enabled) => {
+  const applied = useRef(null) // The joint frame last applied, so a resting gait stops overriding other poses
+
+  useFrame((state, delta) => {
+    if (!enabled || !robot || !gait) return
+    const { joints, velocity } = gait.current
+
+    if (joints && joints !== applied.current) {
+      applied.current = joints
+      Object.entries(joints).forEach(([name, angle]) => {
+        if (robot.joints[name]) robot.joints[name].setJointValue(angle)
+      })
+    }
+
+    if (velocity.vx === 0 && velocity.vy === 0 && velocity.yawRate === 0) return
+    const pose = integrateVelocity(
+      { x: robot.position.x, z: robot.position.z, yaw: robot.rotation.y },
+      velocity,
+      Math.min(delta, MAX_STEP_S),
+      robot.scale.x
+    )
+    robot.position.x = pose.x
+    robot.position.z = pose.z
+    robot.rotation.y = pose.yaw
+  })
+}
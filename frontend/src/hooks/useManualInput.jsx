@@ -0,0 +1,219 @@
+// frontend/src/hooks/useManualInput.jsx
+import { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  DEFAULT_GAMEPAD_BUTTONS,
+  DEFAULT_KEY_BINDINGS,
+  DRIVE_COMMANDS,
+  GAMEPAD_BUTTON_NAMES,
+  drivesToSticks,
+  readGamepadSticks
+} from '../utils/inputBindings'
+import { VELOCITY_RATE_HZ, ZERO_VELOCITY, joystickToVelocity } from '../utils/velocityControl'
+
+const isTyping = (target) => Boolean(target) && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable)
+
+const isDeflected = (sticks) => Boolean(sticks) && (sticks.move.x !== 0 || sticks.move.y !== 0 || sticks.turn !== 0)
+
+// The gamepad wins while its sticks are deflected
+const pickSticks = ({ keyboard, gamepad }) => (isDeflected(gamepad) ? gamepad : keyboard)
+
+const readGamepads = () => (navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [])
+
+/**
+ * Keyboard and gamepad control. Held drive keys and the gamepad's sticks stream velocities at
+ * VELOCITY_RATE_HZ, like the on-screen joystick, with a zero velocity once released; other bindings
+ * send one command per press. A 'stop' binding is an emergency stop: it zeroes the velocity and
+ * ignores driving until every drive input has been released.
+ * @param {object} options
+ * @param {boolean} options.enabled - Whether to listen at all.
+ * @param {object} [options.keyBindings] - KeyboardEvent.code -> command (see DEFAULT_KEY_BINDINGS).
+ * @param {object} [options.gamepadButtons] - Standard-mapping button index -> command.
+ * @param {function} options.onCommand - (cmd, source) with source 'keyboard' or 'gamepad'.
+ * @param {function} options.onVelocity - ({ vx, vy, yawRate }).
+ * @param {function} [options.onStart] - Called when driving starts; returning false ignores it until released.
+ * @param {function} [options.onGamepadChange] - (gamepad, connected) when a controller comes or goes.
+ * @returns {{ gamepads: object[], heldKeys: string[], pressedButtons: string[], velocity: object, driving: boolean, estopped: boolean }}
+ */
+export const useManualInput = ({
+  enabled,
+  keyBindings = DEFAULT_KEY_BINDINGS,
+  gamepadButtons = DEFAULT_GAMEPAD_BUTTONS,
+  onCommand,
+  onVelocity,
+  onStart,
+  onGamepadChange
+}) => {
+  const [gamepads, setGamepads] = useState([]) // { index, id } of the connected controllers
+  const [heldKeys, setHeldKeys] = useState([])
+  const [pressedButtons, setPressedButtons] = useState([])
+  const [driving, setDriving] = useState(false)
+  const [estopped, setEstopped] = useState(false)
+  const [velocity, setVelocity] = useState(ZERO_VELOCITY)
+  const callbacks = useRef({})
+  const sticks = useRef({ keyboard: null, gamepad: null })
+  const drive = useRef({ driving: false, blocked: false, estopped: false })
+
+  // The page re-renders often; the listeners below always call its latest callbacks
+  useEffect(() => {
+    callbacks.current = { onCommand, onVelocity, onStart, onGamepadChange }
+  })
+
+  // Starts or stops the velocity stream to match the inputs
+  const updateDrive = useCallback(() => {
+    const state = drive.current
+    const moving = isDeflected(sticks.current.gamepad) || isDeflected(sticks.current.keyboard)
+    if (!moving) {
+      state.blocked = false
+      if (state.estopped) {
+        state.estopped = false
+        setEstopped(false)
+      }
+    }
+
+    const next = moving && !state.blocked && !state.estopped
+    if (next && !state.driving && callbacks.current.onStart && callbacks.current.onStart() === false) {
+      state.blocked = true
+      return
+    }
+    if (next !== state.driving) {
+      state.driving = next
+      setDriving(next)
+    }
+  }, [])
+
+  const press = useCallback((cmd, source) => {
+    if (cmd === 'stop') {
+      drive.current.estopped = true
+      setEstopped(true)
+      if (drive.current.driving) {
+        drive.current.driving = false
+        setDriving(false)
+      } else {
+        callbacks.current.onVelocity(ZERO_VELOCITY)
+      }
+    }
+    callbacks.current.onCommand(cmd, source)
+  }, [])
+
+  // Effect to stream the velocity while driving, and to stop the robot when driving ends
+  useEffect(() => {
+    if (!driving) return
+
+    const send = () => {
+      const current = pickSticks(sticks.current)
+      const next = current ? joystickToVelocity(current.move, current.turn) : ZERO_VELOCITY
+      setVelocity(next)
+      callbacks.current.onVelocity(next)
+    }
+    send()
+    const interval = setInterval(send, 1000 / VELOCITY_RATE_HZ)
+    return () => {
+      clearInterval(interval)
+      setVelocity(ZERO_VELOCITY)
+      callbacks.current.onVelocity(ZERO_VELOCITY)
+    }
+  }, [driving])
+
+  // Effect to follow the keyboard
+  useEffect(() => {
+    if (!enabled) return
+
+    const held = new Set()
+    const sync = () => {
+      setHeldKeys([...held])
+      sticks.current.keyboard = drivesToSticks(new Set([...held].map((code) => keyBindings[code]).filter((cmd) => DRIVE_COMMANDS.includes(cmd))))
+      updateDrive()
+    }
+
+    const handleKeyDown = (event) => {
+      const cmd = keyBindings[event.code]
+      if (!cmd || isTyping(event.target) || event.ctrlKey || event.metaKey || event.altKey) return
+      event.preventDefault() // Space and the arrows would scroll the page
+      if (event.repeat) return
+      held.add(event.code)
+      if (!DRIVE_COMMANDS.includes(cmd)) press(cmd, 'keyboard')
+      sync()
+    }
+    const handleKeyUp = (event) => {
+      if (held.delete(event.code)) sync()
+    }
+    // Key releases are lost while the window is in the background: treat leaving it as letting go
+    const handleBlur = () => {
+      held.clear()
+      sticks.current.gamepad = null
+      sync()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('keyup', handleKeyUp)
+    window.addEventListener('blur', handleBlur)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('keyup', handleKeyUp)
+      window.removeEventListener('blur', handleBlur)
+      held.clear()
+      sync()
+    }
+  }, [enabled, keyBindings, press, updateDrive])
+
+  // Effect to track controllers coming and going, and to poll them every animation frame
+  useEffect(() => {
+    if (!enabled) return
+
+    const inputs = sticks.current
+    const previousButtons = {} // gamepad index -> pressed flags of the last poll
+    let shownButtons = ''
+    let frame = null
+
+    const listGamepads = () => setGamepads(readGamepads().map(({ index, id }) => ({ index, id })))
+    const handleConnected = (event) => {
+      listGamepads()
+      if (callbacks.current.onGamepadChange) callbacks.current.onGamepadChange(event.gamepad, true)
+    }
+    const handleDisconnected = (event) => {
+      delete previousButtons[event.gamepad.index]
+      listGamepads()
+      if (callbacks.current.onGamepadChange) callbacks.current.onGamepadChange(event.gamepad, false)
+    }
+
+    const poll = () => {
+      frame = requestAnimationFrame(poll)
+      let stick = null
+      const pressed = []
+      readGamepads().forEach((gamepad) => {
+        const before = previousButtons[gamepad.index] || []
+        gamepad.buttons.forEach((button, i) => {
+          if (!button.pressed) return
+          pressed.push(GAMEPAD_BUTTON_NAMES[i] || `Button ${i}`)
+          if (!before[i] && gamepadButtons[i]) press(gamepadButtons[i], 'gamepad')
+        })
+        previousButtons[gamepad.index] = gamepad.buttons.map((button) => button.pressed)
+        const reading = readGamepadSticks(gamepad)
+        if (!stick && isDeflected(reading)) stick = reading
+      })
+
+      // A controller that disconnects mid-drive simply stops deflecting, which stops the robot
+      inputs.gamepad = stick
+      updateDrive()
+      if (pressed.join() !== shownButtons) {
+        shownButtons = pressed.join()
+        setPressedButtons(pressed)
+      }
+    }
+
+    listGamepads()
+    window.addEventListener('gamepadconnected', handleConnected)
+    window.addEventListener('gamepaddisconnected', handleDisconnected)
+    frame = requestAnimationFrame(poll)
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('gamepadconnected', handleConnected)
+      window.removeEventListener('gamepaddisconnected', handleDisconnected)
+      inputs.gamepad = null
+      setPressedButtons([])
+      updateDrive()
+    }
+  }, [enabled, gamepadButtons, press, updateDrive])
+
+  return { gamepads, heldKeys, pressedButtons, velocity, driving, estopped }
+}
@@ -0,0 +1,107 @@
+// frontend/src/hooks/useRosbridge.jsx
+import { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  JOINT_STATE_TYPE,
+  TWIST_TYPE,
+  createRosbridgeClient,
+  jointStateMessage,
+  jointsFromMessage,
+  loadRosbridgeSettings,
+  storeRosbridgeSettings,
+  twistForCommand
+} from '../utils/rosbridge'
+
+const JOINT_PUBLISH_INTERVAL_MS = 50 // Pose tracking produces frames at camera rate; 20 Hz is plenty for ROS
+const JOINT_STATES_THROTTLE_MS = 50 // Asked of rosbridge for /joint_states
+const JOINT_STATES_STALE_MS = 1000 // After this long without /joint_states the twin goes back to local control
+
+/**
+ * Connects to a rosbridge server (when enabled in the settings) to publish velocity commands
+ * and joint positions, and to mirror the robot's /joint_states.
+ * Settings persist in localStorage and are shared by every page that uses this hook.
+ * @returns {{
+ *   settings: object, updateSettings: function, connectionState: string,
+ *   publishCommand: function, publishTwist: function, publishJointStates: function,
+ *   robotJointStates: object|null
+ * }} robotJointStates holds the latest /joint_states positions, or null when none arrived recently.
+ */
+export const useRosbridge = () => {
+  const [settings, setSettings] = useState(loadRosbridgeSettings)
+  const [connectionState, setConnectionState] = useState('closed')
+  const [robotJointStates, setRobotJointStates] = useState(null)
+  const clientRef = useRef(null)
+  const jointPublish = useRef({ lastAt: 0, timer: null, pending: null })
+
+  const { enabled, url, cmdVelTopic, jointCommandTopic, jointStatesTopic, rosVersion } = settings
+
+  // Effect to open the connection while enabled (and reopen it when the URL or topics change)
+  useEffect(() => {
+    if (!enabled || !url) return
+
+    const client = createRosbridgeClient(url, { onStateChange: setConnectionState })
+    client.advertise(cmdVelTopic, TWIST_TYPE)
+    client.advertise(jointCommandTopic, JOINT_STATE_TYPE)
+    clientRef.current = client
+
+    let staleTimer = null
+    const unsubscribe = client.subscribe(jointStatesTopic, JOINT_STATE_TYPE, (msg) => {
+      setRobotJointStates({ ...jointsFromMessage(msg), timestamp: Date.now() })
+      clearTimeout(staleTimer)
+      staleTimer = setTimeout(() => setRobotJointStates(null), JOINT_STATES_STALE_MS)
+    }, JOINT_STATES_THROTTLE_MS)
+
+    const publishState = jointPublish.current
+    return () => {
+      unsubscribe()
+      client.close()
+      clientRef.current = null
+      clearTimeout(staleTimer)
+      clearTimeout(publishState.timer)
+      publishState.timer = null
+      setRobotJointStates(null)
+      setConnectionState('closed')
+    }
+  }, [enabled, url, cmdVelTopic, jointCommandTopic, jointStatesTopic])
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((current) => {
+      const next = { ...current, ...changes }
+      storeRosbridgeSettings(next)
+      return next
+    })
+  }, [])
+
+  // Returns false when not connected, so callers know the robot didn't get it
+  const publishTwist = useCallback((twist) => {
+    const client = clientRef.current
+    return Boolean(client) && client.publish(cmdVelTopic, twist)
+  }, [cmdVelTopic])
+
+  // ControlPanel commands ('forward', 'left'...) as geometry_msgs/Twist; false for commands with no velocity
+  const publishCommand = useCallback((cmd) => {
+    const twist = twistForCommand(cmd)
+    return twist ? publishTwist(twist) : false
+  }, [publishTwist])
+
+  // Latest-wins at JOINT_PUBLISH_INTERVAL_MS: frames in between are replaced, never queued
+  const publishJointStates = useCallback((joints) => {
+    const client = clientRef.current
+    if (!client) return
+
+    const state = jointPublish.current
+    const send = () => {
+      state.timer = null
+      state.lastAt = Date.now()
+      if (clientRef.current) clientRef.current.publish(jointCommandTopic, jointStateMessage(state.pending, rosVersion))
+      state.pending = null
+    }
+
+    state.pending = joints
+    if (state.timer) return
+    const wait = state.lastAt + JOINT_PUBLISH_INTERVAL_MS - Date.now()
+    if (wait <= 0) send()
+    else state.timer = setTimeout(send, wait)
+  }, [jointCommandTopic, rosVersion])
+
+  return { settings, updateSettings, connectionState, publishCommand, publishTwist, publishJointStates, robotJointStates }
+}
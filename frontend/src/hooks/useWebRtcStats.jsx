@@ -0,0 +1,65 @@
+// frontend/src/hooks/useWebRtcStats.jsx
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { STATS_FIELDS, summarizeStats, statsToCsv, downloadText } from '../utils/webrtcStats'
+
+const STATS_INTERVAL_MS = 1000
+const HISTORY_LENGTH = 60 // Samples plotted: the last minute
+const MAX_LOG_LENGTH = 4 * 60 * 60 // Samples kept for export: four hours at one per second
+
+/**
+ * Polls getStats() on the current peer connection once a second while enabled.
+ * A new peer connection starts a new session log; ICE restarts keep the same one.
+ * @param {React.MutableRefObject} peerConnectionRef - Ref holding the RTCPeerConnection (or null).
+ * @param {boolean} enabled - Whether to poll, e.g. while a phone is selected.
+ * @returns {{ latest: object|null, history: object[], sessionStartedAt: number|null, exportLog: function }}
+ *   exportLog(format) downloads the session's samples as 'csv' or 'json'.
+ */
+export const useWebRtcStats = (peerConnectionRef, enabled) => {
+  const [history, setHistory] = useState([])
+  const [sessionStartedAt, setSessionStartedAt] = useState(null)
+  const log = useRef([])
+  const session = useRef({ pc: null, previous: null })
+
+  useEffect(() => {
+    if (!enabled) return
+
+    const poll = async () => {
+      const pc = peerConnectionRef.current
+      if (!pc || pc.connectionState === 'closed') return
+
+      if (session.current.pc !== pc) {
+        session.current = { pc, previous: null }
+        log.current = []
+        setHistory([])
+        setSessionStartedAt(Date.now())
+      }
+
+      try {
+        const report = await pc.getStats()
+        const sample = summarizeStats(report, session.current.previous)
+        session.current.previous = sample
+        // The first sample has no rates yet
+        if (sample.bitrateKbps === null) return
+        log.current = [...log.current, sample].slice(-MAX_LOG_LENGTH)
+        setHistory((current) => [...current, sample].slice(-HISTORY_LENGTH))
+      } catch (error) {
+        console.warn('getStats failed:', error)
+      }
+    }
+
+    const interval = setInterval(poll, STATS_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [peerConnectionRef, enabled])
+
+  const exportLog = useCallback((format) => {
+    const samples = log.current.map((sample) => Object.fromEntries(STATS_FIELDS.map((field) => [field, sample[field]])))
+    const name = `webrtc-stats-${new Date(sessionStartedAt || Date.now()).toISOString().replace(/[:.]/g, '-')}`
+    if (format === 'json') {
+      downloadText(`${name}.json`, JSON.stringify({ sessionStartedAt, samples }, null, 2), 'application/json')
+    } else {
+      downloadText(`${name}.csv`, statsToCsv(samples), 'text/csv')
+    }
+  }, [sessionStartedAt])
+
+  return { latest: history[history.length - 1] || null, history, sessionStartedAt, exportLog }
+}
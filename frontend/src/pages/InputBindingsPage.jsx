@@ -0,0 +1,254 @@
+// src/pages/InputBindingsPage.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuthContext } from '../hooks/useAuthContext';
+import {
+    COMMANDS,
+    DEFAULT_BINDINGS,
+    DRIVE_COMMANDS,
+    GAMEPAD_BUTTON_NAMES,
+    GESTURES,
+    describeKey,
+    loadInputBindings,
+    resetInputBindings,
+    saveInputBindings,
+} from '../utils/inputBindings';
+
+// Robot models whose bindings can be edited (the same keys as ControlPanel's ROBOT_MODELS)
+const ROBOT_MODELS = {
+    hexapod_robot: { name: "Hexapod Robot" },
+    jaxon_jvrc: { name: "JAXON JVRC" },
+};
+
+// Held down, these keys report ctrlKey/altKey/metaKey, which ControlPanel ignores
+const MODIFIER_KEYS = ['Control', 'Alt', 'Meta', 'OS'];
+
+// Command picker; an empty value means the input is unbound
+const CommandSelect = ({ value, onChange, allowNone = true }) => (
+    <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+    >
+        {allowNone && <option value="">— none —</option>}
+        {COMMANDS.map((cmd) => <option key={cmd} value={cmd}>{cmd}</option>)}
+    </select>
+);
+
+/**
+ * Lets the user map keys, gamepad buttons and hand gestures to ControlPanel commands, per robot model.
+ * Mappings are saved to the account through /api/bindings; ControlPanel loads them for the selected robot.
+ */
+const InputBindingsPage = () => {
+    const navigate = useNavigate();
+    const { user } = useAuthContext();
+    const [searchParams] = useSearchParams();
+
+    const [robotModel, setRobotModel] = useState(ROBOT_MODELS[searchParams.get('robot')] ? searchParams.get('robot') : 'hexapod_robot');
+    const [bindings, setBindings] = useState(null); // { keys, gamepadButtons, gestures, saved }
+    const [dirty, setDirty] = useState(false); // Edited since loading or saving
+    const [newKeyCommand, setNewKeyCommand] = useState('forward'); // Command for the next captured key
+    const [capturingKey, setCapturingKey] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Effect to load the bindings of the selected robot model
+    useEffect(() => {
+        let cancelled = false;
+        setBindings(null);
+        setDirty(false);
+        setError(null);
+        setMessage(null);
+        loadInputBindings(robotModel, user.token)
+            .then((loaded) => !cancelled && setBindings(loaded))
+            .catch((err) => !cancelled && setError(err.message));
+        return () => { cancelled = true; };
+    }, [robotModel, user.token]);
+
+    // Effect to bind the next key pressed while capturing
+    useEffect(() => {
+        if (!capturingKey) return;
+
+        const handleKeyDown = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (MODIFIER_KEYS.includes(event.key)) return;
+            setBindings((current) => ({ ...current, keys: { ...current.keys, [event.code]: newKeyCommand } }));
+            setDirty(true);
+            setCapturingKey(false);
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    }, [capturingKey, newKeyCommand]);
+
+    // Sets or (with a null command) removes one input of a binding map
+    const updateBinding = (kind, input, command) => {
+        setBindings((current) => {
+            const map = { ...current[kind] };
+            if (command) map[input] = command;
+            else delete map[input];
+            return { ...current, [kind]: map };
+        });
+        setDirty(true);
+        setMessage(null);
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            setBindings(await saveInputBindings(robotModel, bindings, user.token));
+            setDirty(false);
+            setMessage(`Saved. ControlPanel uses these bindings for the ${ROBOT_MODELS[robotModel].name}.`);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleReset = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            setBindings(await resetInputBindings(robotModel, user.token));
+            setDirty(false);
+            setMessage('Back to the default bindings.');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Keys grouped by command, in command order
+    const boundKeys = bindings ? Object.entries(bindings.keys).sort(([, a], [, b]) => COMMANDS.indexOf(a) - COMMANDS.indexOf(b)) : [];
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 p-4 sm:p-6 font-inter">
+            <div className="bg-gray-800 p-6 sm:p-8 rounded-xl shadow-2xl w-full max-w-5xl mx-auto border border-gray-700">
+                <div className="flex items-center justify-between mb-6">
+                    <h2 className="text-3xl sm:text-4xl font-extrabold text-white tracking-tight">Input Bindings</h2>
+                    <button
+                        onClick={() => navigate('/tools')}
+                        className="py-2 px-4 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 shadow-md"
+                    >
+                        Back to Robot Control
+                    </button>
+                </div>
+
+                <div className="mb-6 flex flex-wrap items-center gap-4">
+                    <label htmlFor="bindings-robot-select" className="text-lg text-gray-300 font-medium">Robot Model:</label>
+                    <select
+                        id="bindings-robot-select"
+                        value={robotModel}
+                        onChange={(e) => setRobotModel(e.target.value)}
+                        className="py-2 px-4 rounded-lg bg-gray-700 text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {Object.entries(ROBOT_MODELS).map(([key, value]) => (
+                            <option key={key} value={key}>{value.name}</option>
+                        ))}
+                    </select>
+                    {bindings && (
+                        <span className="text-sm text-gray-400">
+                            {bindings.saved ? 'Your saved bindings' : 'Default bindings'}{dirty && ' · unsaved changes'}
+                        </span>
+                    )}
+                </div>
+
+                {error && <p className="mb-4 py-2 px-4 rounded-lg bg-red-600 text-white">{error}</p>}
+                {message && <p className="mb-4 py-2 px-4 rounded-lg bg-green-700 text-white">{message}</p>}
+                {!bindings && !error && <p className="text-gray-400">Loading bindings...</p>}
+
+                {bindings && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-left">
+                        {/* Keyboard */}
+                        <div className="p-4 rounded-lg bg-gray-700 border border-gray-600">
+                            <h3 className="text-xl font-bold text-gray-200 mb-1">Keyboard</h3>
+                            <p className="text-xs text-gray-400 mb-3">
+                                Held {DRIVE_COMMANDS.join('/')} keys drive continuously; other keys send one command per press.
+                            </p>
+                            <ul className="space-y-2">
+                                {boundKeys.map(([code, cmd]) => (
+                                    <li key={code} className="flex items-center gap-2">
+                                        <span className="w-20 py-1 px-2 rounded bg-gray-800 font-mono text-xs text-gray-200 text-center">{describeKey(code)}</span>
+                                        <CommandSelect value={cmd} onChange={(next) => updateBinding('keys', code, next)} />
+                                        <button onClick={() => updateBinding('keys', code, null)} className="text-gray-400 hover:text-red-400" title="Remove">✕</button>
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="mt-4 flex items-center gap-2">
+                                <CommandSelect value={newKeyCommand} onChange={setNewKeyCommand} allowNone={false} />
+                                <button
+                                    onClick={() => setCapturingKey(!capturingKey)}
+                                    className={`py-1 px-3 rounded text-sm font-semibold ${capturingKey ? 'bg-yellow-500 text-gray-900' : 'bg-blue-600 text-white hover:bg-blue-700'}`}
+                                >
+                                    {capturingKey ? 'Press a key... (click to cancel)' : 'Add key'}
+                                </button>
+                            </div>
+                        </div>
+
+                        {/* Gamepad */}
+                        <div className="p-4 rounded-lg bg-gray-700 border border-gray-600">
+                            <h3 className="text-xl font-bold text-gray-200 mb-1">Gamepad</h3>
+                            <p className="text-xs text-gray-400 mb-3">The left stick moves and the right stick turns; buttons send one command per press.</p>
+                            <ul className="space-y-2">
+                                {GAMEPAD_BUTTON_NAMES.map((name, index) => (
+                                    <li key={name} className="flex items-center justify-between gap-2">
+                                        <span className="text-sm text-gray-300">{name}</span>
+                                        <CommandSelect value={bindings.gamepadButtons[index]} onChange={(next) => updateBinding('gamepadButtons', String(index), next)} />
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+
+                        {/* Gestures */}
+                        <div className="p-4 rounded-lg bg-gray-700 border border-gray-600">
+                            <h3 className="text-xl font-bold text-gray-200 mb-1">Hand Gestures</h3>
+                            <p className="text-xs text-gray-400 mb-3">Recognized on the camera feed; a held gesture repeats its command every half second.</p>
+                            <ul className="space-y-2">
+                                {Object.entries(GESTURES).map(([gesture, description]) => (
+                                    <li key={gesture} className="flex items-center justify-between gap-2">
+                                        <span className="text-sm text-gray-300">{description}</span>
+                                        <CommandSelect value={bindings.gestures[gesture]} onChange={(next) => updateBinding('gestures', gesture, next)} />
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    </div>
+                )}
+
+                {bindings && (
+                    <div className="mt-6 flex flex-wrap justify-end gap-3">
+                        <button
+                            onClick={() => { setBindings({ ...DEFAULT_BINDINGS, saved: bindings.saved }); setDirty(true); setMessage(null); }}
+                            disabled={isSaving}
+                            className="py-2 px-4 rounded-lg bg-gray-700 text-gray-300 border border-gray-600 hover:bg-gray-600 disabled:opacity-50"
+                        >
+                            Load Defaults
+                        </button>
+                        {bindings.saved && (
+                            <button
+                                onClick={handleReset}
+                                disabled={isSaving}
+                                className="py-2 px-4 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700 disabled:opacity-50"
+                            >
+                                Delete Saved Bindings
+                            </button>
+                        )}
+                        <button
+                            onClick={handleSave}
+                            disabled={isSaving || !dirty}
+                            className="py-2 px-4 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {isSaving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default InputBindingsPage;
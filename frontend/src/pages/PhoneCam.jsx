@@ -1,14 +1,35 @@
 // src/pages/PhoneCam.jsx
 import React, { useEffect, useRef, useState, Suspense, useCallback } from "react"; // Added useCallback
-import { io } from "socket.io-client";
 import { Canvas, useLoader } from "@react-three/fiber";
 import URDFLoader from 'urdf-loader';
 import { OrbitControls, Environment, Text } from "@react-three/drei";
 import * as THREE from 'three';
+import { useSearchParams } from 'react-router-dom';
+import { connectSignaling } from '../utils/signaling';
+import { useAuthContext } from '../hooks/useAuthContext';
+import { apiRequest } from '../utils/api';
+import { getIceConfig } from '../utils/iceServers';
+import { wrapControlChannel, CONTROL_CHANNEL_LABEL } from '../utils/controlChannel';
+import { getStoredDeviceId, storeDeviceId, clearStoredDeviceId, detectDeviceModel, readNetworkInfo } from '../utils/device';
+import TiltDriveController from '../components/TiltDriveController';
+import { useHexapodGait, useGaitPose } from '../hooks/useHexapodGait';
+import { DEFAULT_GAIT_PARAMS, sanitizeGaitParams, stepCommand } from '../utils/hexapodGait';
+import { applyCameraSettings, describeCamera } from '../utils/cameraControl';
+import { SENSOR_RATES_HZ, loadSensorRate, storeSensorRate, requestSensorPermission, startPhoneSensors } from '../utils/phoneSensors';
 
-// Node server URL for Socket.IO and WebRTC signaling
-const NODE_SERVER_URL = "https://backend-746d.onrender.com";
-const PHONE_DEVICE_ID = `phone-${Math.random().toString(36).substring(7)}`;
+const HEARTBEAT_INTERVAL_MS = 5000; // The server marks the phone offline after PHONE_STALE_MS (20 s) of silence
+const ICE_DISCONNECTED_GRACE_MS = 3000; // "disconnected" often recovers by itself; restart ICE only if it persists
+const ICE_RESTART_MIN_INTERVAL_MS = 5000; // Don't replace an unanswered restart offer sooner than this
+
+// Sends a message over every laptop's DataChannel; true only if each of them got it that way
+const sendOverChannels = (peers, type, data) => {
+    let all = peers.size > 0;
+    peers.forEach(({ channel }) => {
+        if (!channel || !channel.send(type, data)) all = false;
+    });
+    return all;
+};
+const countOpenChannels = (peers) => [...peers.values()].filter(({ channel }) => channel && channel.isOpen()).length;
 
 // Define robot configurations for both models
 const ROBOT_MODELS = {
@@ -33,8 +54,9 @@ const ROBOT_MODELS = {
  * @param {function} props.onRobotLoaded - Callback function when the robot model is loaded,
  * passing the loaded THREE.Object3D
  * @param {string} props.selectedRobotName - The key of the currently selected robot model (e.g., 'hexapod_robot')
+ * @param {object} props.gait - The hexapod gait from useHexapodGait, walking by the laptop's commands
  */
-const UrdfRobotModel = ({ jointStates, controlMode, onRobotLoaded, selectedRobotName }) => {
+const UrdfRobotModel = ({ jointStates, controlMode, onRobotLoaded, selectedRobotName, gait }) => {
     // Get the URDF and package paths based on the selected robot name
     const robotConfig = ROBOT_MODELS[selectedRobotName] || ROBOT_MODELS.hexapod_robot; // Default to hexapod_robot
 
@@ -67,11 +89,13 @@ const UrdfRobotModel = ({ jointStates, controlMode, onRobotLoaded, selectedRobot
         }
     }, [robot, onRobotLoaded, robotConfig.name]); // Depend on robot, callback, and config name
 
+    // Walk the twin: the gait moves the legs and glides the body (only the hexapod drives)
+    useGaitPose(robot, gait, selectedRobotName === 'hexapod_robot' && controlMode === 'urdf');
+
     // Effect to update robot joint states and position based on received commands
     useEffect(() => {
         // Apply commands ONLY if the selected robot is the 'hexapod_robot' AND a command is issued
         if (selectedRobotName === 'hexapod_robot' && robot && controlMode === 'urdf' && jointStates.cmd) {
-            const rotationAmount = 0.1; // Amount for joint rotation
             const liftAmount = 0.1;     // Amount for vertical lift (jump)
             const moveAmount = 0.5;     // Amount for translational movement
 
@@ -83,37 +107,8 @@ const UrdfRobotModel = ({ jointStates, controlMode, onRobotLoaded, selectedRobot
             };
 
             // Process different control commands for Hexapod Robot
-            if (jointStates.cmd === 'left') {
-                // Rotate right coxa joints positively and left coxa joints negatively for turning
-                ['coxa_joint_r1', 'coxa_joint_r2', 'coxa_joint_r3'].forEach(jointName => {
-                    const joint = robot.joints[jointName];
-                    if (joint) {
-                        joint.setJointValue(getJointValue(jointName) + rotationAmount);
-                    }
-                });
-                ['coxa_joint_l1', 'coxa_joint_l2', 'coxa_joint_l3'].forEach(jointName => {
-                    const joint = robot.joints[jointName];
-                    if (joint) {
-                        joint.setJointValue(getJointValue(jointName) - rotationAmount);
-                    }
-                });
-                console.log("Hexapod: Attempting 'left' turn.");
-            } else if (jointStates.cmd === 'right') {
-                // Rotate right coxa joints negatively and left coxa joints positively for turning
-                ['coxa_joint_r1', 'coxa_joint_r2', 'coxa_joint_r3'].forEach(jointName => {
-                    const joint = robot.joints[jointName];
-                    if (joint) {
-                        joint.setJointValue(getJointValue(jointName) - rotationAmount);
-                    }
-                });
-                ['coxa_joint_l1', 'coxa_joint_l2', 'coxa_joint_l3'].forEach(jointName => {
-                    const joint = robot.joints[jointName];
-                    if (joint) {
-                        joint.setJointValue(getJointValue(jointName) + rotationAmount);
-                    }
-                });
-                console.log("Hexapod: Attempting 'right' turn.");
-            } else if (jointStates.cmd === 'jump') {
+            // (forward, backward, left and right walk through the gait instead, see useHexapodGait)
+            if (jointStates.cmd === 'jump') {
                 const allFemurJoints = [
                     'femur_joint_r1', 'femur_joint_r2', 'femur_joint_r3',
                     'femur_joint_l1', 'femur_joint_l2', 'femur_joint_l3'
@@ -138,12 +133,6 @@ const UrdfRobotModel = ({ jointStates, controlMode, onRobotLoaded, selectedRobot
                 }, 300); // 300ms delay
 
                 console.log("Hexapod: Attempting 'jump'.");
-            } else if (jointStates.cmd === 'forward') {
-                robot.position.z -= moveAmount; // Move robot along the Z-axis
-                console.log("Hexapod: Moving forward. New Z:", robot.position.z);
-            } else if (jointStates.cmd === 'backward') {
-                robot.position.z += moveAmount; // Move robot along the Z-axis
-                console.log("Hexapod: Moving backward. New Z:", robot.position.z);
             } else if (jointStates.cmd === 'up') {
                 robot.position.y += moveAmount; // Move robot along the Y-axis (up)
                 console.log("Hexapod: Moving up. New Y:", robot.position.y);
@@ -167,10 +156,18 @@ const UrdfRobotModel = ({ jointStates, controlMode, onRobotLoaded, selectedRobot
  * and handle WebRTC and Socket.IO communication.
  */
 const PhoneCam = () => {
-    // Refs for video element, WebRTC peer connection, and Socket.IO instance
+    const { user } = useAuthContext(); // Logged-in user; its JWT authenticates the signaling socket
+    // Refs for video element, WebRTC peer connections, and Socket.IO instance
     const localVideoRef = useRef(null);
-    const peerConnection = useRef(null);
+    // One peer connection per laptop streaming from this phone (the controller and any read-only watchers):
+    // laptop socket ID -> { laptopSocketId, pc, channel, lastIceRestartAt }. channel is the wrapped
+    // DataChannel to that laptop (see utils/controlChannel).
+    const peers = useRef(new Map());
     const socket = useRef(null);
+    const [signalingSocket, setSignalingSocket] = useState(null); // socket.current, for children that subscribe to it
+    const handledCommandIds = useRef([]); // Recent command IDs, to ignore retried duplicates
+    const controllerSocketId = useRef(null); // Laptop holding the controller lock; only it may command over the DataChannel
+    const localStreamRef = useRef(null); // Same stream as localStream, for handlers created before it was set
     // Refs for Three.js camera and OrbitControls for dynamic adjustments
     const orbitControlsRef = useRef();
     const cameraRef = useRef();
@@ -178,15 +175,44 @@ const PhoneCam = () => {
     // State variables for UI and robot control
     const [status, setStatus] = useState("Connecting to server...");
     const [jointStates, setJointStates] = useState({});
+    const [gaitCommand, setGaitCommand] = useState(null); // What the twin walks, from the laptop: { vx, vy, yawRate, at, duration? }
     const [displayMode, setDisplayMode] = useState('video'); // Default to video feed
     const [callActive, setCallActive] = useState(false); // Indicates if a WebRTC call is active
     // New state for selected robot model
     const [selectedRobotName, setSelectedRobotName] = useState('hexapod_robot'); // Default to hexapod_robot
+    // The operator's gait settings, sent along with every drive command and velocity
+    const [gaitParams, setGaitParams] = useState(DEFAULT_GAIT_PARAMS);
+    // Walks the hexapod twin by the laptop's velocities and drive commands
+    const gait = useHexapodGait({
+        enabled: displayMode === 'urdf' && selectedRobotName === 'hexapod_robot',
+        command: gaitCommand,
+        params: gaitParams,
+    });
 
     // State to hold the loaded robot object for camera adjustments
     const [loadedRobot, setLoadedRobot] = useState(null);
     // State to hold the local media stream
     const [localStream, setLocalStream] = useState(null); // Managed separately
+    // This phone's entry in the device registry; its deviceId survives page reloads
+    const [device, setDevice] = useState(null);
+    const [deviceNameInput, setDeviceNameInput] = useState("");
+    const phoneDeviceId = device?.deviceId;
+
+    // Pairing with an operator's ControlPanel; the QR code opens this page with ?pair=<code>
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [pairingCode, setPairingCode] = useState(searchParams.get('pair') || "");
+    const [pairings, setPairings] = useState([]); // Active pairings on this device
+    const [pairingsVersion, setPairingsVersion] = useState(0); // Bumped when the server reports a pairing change
+    const autoClaimAttempted = useRef(false);
+    const [controllerEmail, setControllerEmail] = useState(null); // Operator currently holding the controller lock
+    const [openChannels, setOpenChannels] = useState(0); // DataChannels open to laptops; commands on these bypass the server
+    const channelOpen = openChannels > 0;
+    // Motion, orientation and location streamed to the laptop while a call is active (see utils/phoneSensors)
+    const [sensorsEnabled, setSensorsEnabled] = useState(false);
+    const [sensorRateHz, setSensorRateHz] = useState(loadSensorRate);
+    const [shareLocation, setShareLocation] = useState(false);
+    const [sensorError, setSensorError] = useState(null);
+    const [cameraState, setCameraState] = useState(null); // What the camera sends, reported to the laptop (see utils/cameraControl)
 
     // Callback when the URDF robot model finishes loading
     const handleRobotLoaded = (robotObject) => {
@@ -202,6 +228,7 @@ const PhoneCam = () => {
             if (localVideoRef.current) {
                 localVideoRef.current.srcObject = stream;
             }
+            localStreamRef.current = stream;
             setLocalStream(stream); // Store the stream in state
             return stream;
         } catch (err) {
@@ -222,19 +249,146 @@ const PhoneCam = () => {
         }
     }, [localStream]); // Dependency on localStream to ensure it doesn't try to get a new one if already available
 
-    // Effect for Socket.IO setup on component mount
+    // Effect to register this phone in the device registry, reusing the ID stored by previous visits
     useEffect(() => {
-        // Initialize Socket.IO connection
-        socket.current = io(NODE_SERVER_URL);
+        let cancelled = false;
 
+        const registerDevice = async () => {
+            const model = await detectDeviceModel();
+            const register = (deviceId) => apiRequest('/api/devices', {
+                token: user.token,
+                method: 'POST',
+                body: { deviceId, model }
+            });
+
+            try {
+                let registered;
+                try {
+                    registered = await register(getStoredDeviceId());
+                } catch (error) {
+                    // The stored ID belongs to another account (e.g. someone else logged in on this phone before)
+                    if (error.status !== 403) throw error;
+                    clearStoredDeviceId();
+                    registered = await register(null);
+                }
+                if (cancelled) return;
+                storeDeviceId(registered.deviceId);
+                setDevice(registered);
+                setDeviceNameInput(registered.name);
+            } catch (error) {
+                console.error("Device registration failed:", error);
+                if (!cancelled) setStatus(`Device registration failed: ${error.message}`);
+            }
+        };
+
+        registerDevice();
+        return () => { cancelled = true; };
+    }, [user.token]);
+
+    /**
+     * Switches the twin to the gait params the laptop sent; senders without any (the tilt controller) keep the current ones.
+     * @param {object} [params] - The operator's gait params, see DEFAULT_GAIT_PARAMS.
+     * @returns {object} The params the twin walks now.
+     */
+    const followOperatorGait = (params) => {
+        const usable = sanitizeGaitParams(params);
+        if (!usable) return gaitParams;
+        const unchanged = Object.keys(usable).every((key) => usable[key] === gaitParams[key]);
+        if (!unchanged) setGaitParams(usable);
+        return usable;
+    };
+
+    /**
+     * Applies a control command from either transport and returns the acknowledgement for the laptop.
+     * Retried commands reuse their commandId and are applied only once.
+     * @param {string} cmd - The control command (e.g. 'forward').
+     * @param {string} [commandId] - ID shared by all retries of the command.
+     * @param {object} [operatorGait] - The operator's gait params, walked by drive commands.
+     * @returns {{ applied: boolean, reason?: string, duplicate?: boolean }}
+     */
+    const applyControlCommand = (cmd, commandId, operatorGait) => {
+        if (commandId && handledCommandIds.current.includes(commandId)) {
+            return { applied: true, duplicate: true };
+        }
+        if (commandId) {
+            handledCommandIds.current = [...handledCommandIds.current, commandId].slice(-50);
+        }
+
+        setStatus(`Command received: ${cmd}`);
+        // Only update joint states if in URDF mode and for the hexapod robot
+        if (displayMode === 'urdf' && selectedRobotName === 'hexapod_robot') {
+            // Drive commands walk one gait cycle and 'stop' halts the gait; the rest animate the joints
+            const step = stepCommand(cmd, followOperatorGait(operatorGait));
+            if (step || cmd === 'stop') {
+                setGaitCommand(step);
+            } else {
+                setJointStates({ cmd: cmd, timestamp: Date.now() });
+            }
+            return { applied: true };
+        }
+        const reasons = { video: 'phone is showing the camera feed', drive: 'phone is being used as a tilt controller' };
+        return { applied: false, reason: reasons[displayMode] || 'only the Hexapod Robot supports movement' };
+    };
+
+    /**
+     * Applies camera and microphone changes requested by the laptop to the live tracks.
+     * @param {object} changes - See applyCameraSettings in utils/cameraControl.
+     * @returns {Promise<{ ok: boolean, errors: object, camera: object }>}
+     */
+    const handleCameraSettings = async (changes) => {
+        const pcs = [...peers.current.values()].map(({ pc }) => pc);
+        const result = await applyCameraSettings(localStreamRef.current, pcs, changes);
+        // A camera switch replaced the video track; point the preview at the stream again
+        if (localVideoRef.current && localStreamRef.current) {
+            localVideoRef.current.srcObject = localStreamRef.current;
+        }
+        if (result.camera) setCameraState(result.camera);
+        setStatus(result.ok ? "Camera settings updated." : `Some camera settings failed: ${Object.values(result.errors).join(', ')}`);
+        return result;
+    };
+
+    // Sends phone state to the laptops watching it: directly when all their DataChannels are open, else via the server
+    const sendTelemetry = useCallback((data) => {
+        const sentDirectly = sendOverChannels(peers.current, "telemetry", data);
+        if (!sentDirectly && socket.current && socket.current.connected) {
+            socket.current.emit("telemetry", data);
+        }
+    }, []);
+
+    // The socket and DataChannel handlers outlive the render that set them up; they call the latest
+    // versions of these (which read the current display mode, robot and device) through this ref
+    const handlers = useRef({});
+    useEffect(() => {
+        handlers.current = { applyControlCommand, followOperatorGait, handleCameraSettings, restartIce, setupPeerConnection, closePeer };
+    });
+
+    // Effect for Socket.IO setup once this phone has its registered device ID
+    useEffect(() => {
         // Request local stream immediately when the component mounts
         // This ensures the camera is active regardless of display mode.
         getLocalStream();
 
+        if (!phoneDeviceId) return;
+        const openPeers = peers.current; // The same Map for the component's lifetime
+
+        // Initialize an authenticated Socket.IO connection (the server verifies the JWT)
+        socket.current = connectSignaling(user.token);
+        setSignalingSocket(socket.current);
+        // Warm the ICE server cache so the first stream request doesn't wait on it
+        getIceConfig(user.token);
+
         // Socket.IO event listeners
         socket.current.on("connect", () => {
             setStatus("Connected to server. Registering phone...");
-            socket.current.emit("register_phone", PHONE_DEVICE_ID);
+            socket.current.emit("register_phone", phoneDeviceId, ({ ok } = {}) => {
+                // Reconnected after a network change: the old media paths are probably gone too
+                if (!ok) return;
+                peers.current.forEach(({ laptopSocketId, pc }) => {
+                    if (!['connected', 'completed'].includes(pc.iceConnectionState)) {
+                        handlers.current.restartIce(laptopSocketId, "signaling reconnected");
+                    }
+                });
+            });
         });
 
         socket.current.on("connect_error", (err) => {
@@ -248,7 +402,7 @@ const PhoneCam = () => {
             // Pass the localStream to setupPeerConnection
             const currentStream = await getLocalStream(); // Ensure stream is available
             if (currentStream) {
-                await setupPeerConnection(requestingLaptopSocketId, currentStream);
+                await handlers.current.setupPeerConnection(requestingLaptopSocketId, currentStream);
                 setCallActive(true);
             } else {
                 console.error("Cannot setup WebRTC: Local stream not available.");
@@ -256,49 +410,139 @@ const PhoneCam = () => {
             }
         });
 
-        socket.current.on("sdp_answer_from_laptop", async (sdpAnswer) => {
+        // Answers and candidates carry the laptop's socket ID, so each goes to that laptop's connection
+        socket.current.on("sdp_answer_from_laptop", async ({ sdpAnswer, fromLaptopSocketId } = {}) => {
             setStatus("Received SDP Answer. Establishing connection...");
-            if (peerConnection.current && peerConnection.current.remoteDescription === null) {
-                await peerConnection.current.setRemoteDescription(new RTCSessionDescription(sdpAnswer));
+            // Answers both the initial offer and ICE restart offers; stale answers are ignored
+            const peer = peers.current.get(fromLaptopSocketId);
+            if (peer && peer.pc.signalingState === 'have-local-offer') {
+                await peer.pc.setRemoteDescription(new RTCSessionDescription(sdpAnswer));
                 console.log("Phone: Remote description set (Answer).");
             }
         });
 
-        socket.current.on("ice_candidate_from_laptop", async (candidate) => {
-            if (peerConnection.current && candidate) {
-                await peerConnection.current.addIceCandidate(candidate);
+        socket.current.on("ice_candidate_from_laptop", async ({ candidate, fromLaptopSocketId } = {}) => {
+            const peer = peers.current.get(fromLaptopSocketId);
+            if (peer && candidate) {
+                await peer.pc.addIceCandidate(candidate);
                 console.log("Phone: Added remote ICE candidate.");
             }
         });
 
-        socket.current.on("control", (cmd) => {
-            setStatus(`Command received: ${cmd}`);
-            // Only update joint states if in URDF mode and for the hexapod robot
-            if (displayMode === 'urdf' && selectedRobotName === 'hexapod_robot') {
-                setJointStates({ cmd: cmd, timestamp: Date.now() });
+        // A laptop's stream broke, or its socket reconnected with a new ID (previousLaptopSocketId is the old one).
+        // Only that laptop's own connection is restarted; the other laptops' streams are left alone.
+        socket.current.on("ice_restart_requested", async ({ requestingLaptopSocketId, previousLaptopSocketId }) => {
+            let peer = peers.current.get(requestingLaptopSocketId);
+            if (!peer && previousLaptopSocketId && previousLaptopSocketId !== requestingLaptopSocketId) {
+                peer = peers.current.get(previousLaptopSocketId);
+                if (peer) {
+                    // Re-key the connection so answers, candidates and the lock check follow the laptop's new ID
+                    peers.current.delete(previousLaptopSocketId);
+                    peer.laptopSocketId = requestingLaptopSocketId;
+                    peers.current.set(requestingLaptopSocketId, peer);
+                }
+            }
+            if (!peer || peer.pc.connectionState === 'closed') {
+                // Nothing to restart (e.g. this page was reloaded): start a fresh connection to that laptop
+                handlers.current.closePeer(requestingLaptopSocketId);
+                const currentStream = await getLocalStream();
+                if (currentStream) {
+                    await handlers.current.setupPeerConnection(requestingLaptopSocketId, currentStream);
+                    setCallActive(true);
+                }
+                return;
             }
+            if (['connected', 'completed'].includes(peer.pc.iceConnectionState)) return;
+            handlers.current.restartIce(requestingLaptopSocketId, "requested by the laptop");
+        });
+
+        // Commands relayed by the server (the fallback when the DataChannel is down) carry { commandId, gait } and an ack callback
+        socket.current.on("control", (cmd, meta = {}, ack) => {
+            const result = handlers.current.applyControlCommand(cmd, meta.commandId, meta.gait);
+            if (typeof ack === 'function') ack(result);
+        });
+
+        // Joystick velocities, streamed by the lock holder while a stick is held and zeroed on release
+        socket.current.on("velocity", ({ vx, vy, yawRate, gait: operatorGait }) => {
+            handlers.current.followOperatorGait(operatorGait);
+            setGaitCommand({ vx, vy, yawRate, at: Date.now() });
+        });
+
+        // Camera changes relayed by the server; it has already checked the controller lock
+        socket.current.on("camera_settings", async (changes, ack) => {
+            const result = await handlers.current.handleCameraSettings(changes);
+            if (typeof ack === 'function') ack(result);
+        });
+
+        socket.current.on("link_ping", (ack) => {
+            if (typeof ack === 'function') ack({ receivedAt: Date.now() });
+        });
+
+        socket.current.on("stream_error", (message) => {
+            setStatus(`Error: ${message}`);
+            console.error("Stream Error:", message);
+        });
+
+        socket.current.on("control_lock", ({ holder }) => {
+            setControllerEmail(holder ? holder.email : null);
+            controllerSocketId.current = holder ? holder.socketId : null;
+        });
+
+        socket.current.on("pairing_claimed", () => {
+            setPairingsVersion((version) => version + 1);
+        });
+
+        socket.current.on("pairing_revoked", ({ operatorLaptopSocketIds = [] }) => {
+            setPairingsVersion((version) => version + 1);
+            // Stop streaming to the operator who just lost access
+            const revoked = operatorLaptopSocketIds.filter((laptopSocketId) => peers.current.has(laptopSocketId));
+            revoked.forEach((laptopSocketId) => handlers.current.closePeer(laptopSocketId));
+            if (revoked.length > 0) setStatus("Pairing revoked. Stream stopped.");
+        });
+
+        // The laptop closed our tile (e.g. removed this phone from its grid)
+        socket.current.on("stream_stopped", ({ laptopSocketId }) => {
+            if (peers.current.has(laptopSocketId)) {
+                handlers.current.closePeer(laptopSocketId);
+                setStatus("The laptop stopped the stream.");
+            }
+        });
+
+        // The server stopped hearing heartbeats (e.g. the tab was frozen in the background); come back online
+        socket.current.on("presence_expired", () => {
+            setStatus("Connection went stale. Registering phone again...");
+            socket.current.emit("register_phone", phoneDeviceId);
+        });
+
+        socket.current.on("device_removed", () => {
+            // Deleted from the registry (e.g. from another tab); a reload registers it as a new device
+            clearStoredDeviceId();
+            setStatus("This device was removed from your account. Reload the page to register it again.");
+            socket.current.disconnect();
         });
 
         socket.current.on("disconnect", () => {
-            setStatus("Disconnected from server.");
+            setStatus("Disconnected from server. Reconnecting...");
             console.log("Phone: Disconnected from server.");
-            setCallActive(false);
-            // Do NOT stop localStream here. Keep it active.
+            // Do NOT stop localStream or the peer connection here: media can survive a signaling blip,
+            // and if it doesn't, ICE is restarted once the socket is back.
         });
 
-        // Cleanup function for useEffect: close peer connection, disconnect socket
+        // Cleanup function for useEffect: close the peer connections, disconnect socket
         return () => {
-            if (peerConnection.current) {
-                peerConnection.current.close();
-                peerConnection.current = null;
-            }
+            openPeers.forEach(({ pc }) => pc.close());
+            openPeers.clear();
+            setCallActive(false);
+            setOpenChannels(0);
             // IMPORTANT: Do NOT stop localStream tracks here.
             // The localStream should persist across mode changes.
             if (socket.current) {
                 socket.current.disconnect();
             }
+            setSignalingSocket(null);
         };
-    }, [getLocalStream, displayMode, selectedRobotName]); // Added getLocalStream to dependencies
+        // The display mode and robot are read through handlers, so switching them keeps the socket and any stream
+    }, [getLocalStream, user.token, phoneDeviceId]);
 
     // Effect to adjust camera and orbit controls when the robot model is loaded in URDF mode
     useEffect(() => {
@@ -328,44 +572,128 @@ const PhoneCam = () => {
     }, [displayMode, loadedRobot]);
 
     /**
-     * Sets up the WebRTC peer connection.
+     * Renegotiates ICE on a laptop's existing peer connection (e.g. after switching from Wi-Fi to cellular),
+     * keeping the media tracks, the DataChannel and the laptop's controller lock. Other laptops' connections are left alone.
+     * @param {string} laptopSocketId - The laptop whose connection to restart.
+     * @param {string} reason - Shown in the status line and the console.
+     */
+    const restartIce = async (laptopSocketId, reason) => {
+        const peer = peers.current.get(laptopSocketId);
+        if (!peer || peer.pc.connectionState === 'closed') return;
+        if (!socket.current || !socket.current.connected) return; // Retried from the "connect" handler
+        const { pc } = peer;
+        // An earlier restart offer is still waiting for its answer
+        if (pc.signalingState === 'have-local-offer' && Date.now() - peer.lastIceRestartAt < ICE_RESTART_MIN_INTERVAL_MS) return;
+
+        peer.lastIceRestartAt = Date.now();
+        console.log(`Phone: restarting ICE (${reason}).`);
+        setStatus(`Connection interrupted (${reason}). Restarting ICE...`);
+        try {
+            if (pc.signalingState === 'have-local-offer') {
+                await pc.setLocalDescription({ type: 'rollback' });
+            }
+            const offer = await pc.createOffer({ iceRestart: true });
+            await pc.setLocalDescription(offer);
+            socket.current.emit("sdp_offer_from_phone", {
+                sdpOffer: offer,
+                phoneDeviceId,
+                requestingLaptopSocketId: peer.laptopSocketId,
+                iceRestart: true
+            });
+        } catch (error) {
+            console.error("Phone: ICE restart failed:", error);
+            setStatus(`ICE restart failed: ${error.message}`);
+        }
+    };
+
+    /**
+     * Closes the peer connection to one laptop, leaving the other laptops' streams alone.
+     * @param {string} laptopSocketId - The laptop's socket ID.
+     */
+    const closePeer = (laptopSocketId) => {
+        const peer = peers.current.get(laptopSocketId);
+        if (!peer) return;
+        peers.current.delete(laptopSocketId);
+        peer.pc.close();
+        setCallActive(peers.current.size > 0);
+        setOpenChannels(countOpenChannels(peers.current));
+    };
+
+    /**
+     * Sets up a WebRTC peer connection to one laptop. A laptop asking again replaces only its own connection.
      * @param {string} requestingLaptopSocketId - The socket ID of the laptop requesting the stream.
      * @param {MediaStream} stream - The local media stream to add to the peer connection.
      */
     const setupPeerConnection = async (requestingLaptopSocketId, stream) => {
-        if (peerConnection.current) {
-            peerConnection.current.close();
+        if (!stream) {
+            console.error("Phone: No stream provided to add to PeerConnection.");
+            setStatus("Error: No local stream to start WebRTC. Please allow camera permissions.");
+            return;
         }
+        // STUN/TURN servers come from the backend (prefetched when the socket connects)
+        const iceConfig = await getIceConfig(user.token);
 
-        const pc = new RTCPeerConnection({
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-            ]
-        });
-        peerConnection.current = pc;
+        closePeer(requestingLaptopSocketId);
+        const pc = new RTCPeerConnection(iceConfig);
+        const peer = { laptopSocketId: requestingLaptopSocketId, pc, channel: null, lastIceRestartAt: 0 };
+        peers.current.set(requestingLaptopSocketId, peer);
+        const isCurrent = () => peers.current.get(peer.laptopSocketId) === peer;
 
         pc.oniceconnectionstatechange = () => {
             console.log('Phone ICE connection state:', pc.iceConnectionState);
             setStatus(`ICE State: ${pc.iceConnectionState}`);
+            if (!isCurrent()) return;
+
+            if (pc.iceConnectionState === 'failed') {
+                handlers.current.restartIce(peer.laptopSocketId, "ICE failed");
+            } else if (pc.iceConnectionState === 'disconnected') {
+                setTimeout(() => {
+                    if (isCurrent() && pc.iceConnectionState === 'disconnected') {
+                        handlers.current.restartIce(peer.laptopSocketId, "network changed");
+                    }
+                }, ICE_DISCONNECTED_GRACE_MS);
+            }
         };
 
         // Add local video tracks to the peer connection only when setting up connection
-        if (stream) {
-            stream.getTracks().forEach(track => pc.addTrack(track, stream));
-            console.log("Phone: Local stream tracks added to PeerConnection.");
-        } else {
-            console.error("Phone: No stream provided to add to PeerConnection.");
-            setStatus("Error: No local stream to start WebRTC. Please allow camera permissions.");
-            return;
-        }
+        stream.getTracks().forEach(track => pc.addTrack(track, stream));
+        console.log("Phone: Local stream tracks added to PeerConnection.");
+
+        // The phone is the offerer, so it opens the control channel; the laptop receives it in ondatachannel
+        peer.channel = wrapControlChannel(pc.createDataChannel(CONTROL_CHANNEL_LABEL), {
+            peerId: requestingLaptopSocketId,
+            onRequest: (type, body = {}) => {
+                if (type === 'ping') return { receivedAt: Date.now() };
+                if (type === 'camera_settings') {
+                    if (controllerSocketId.current && controllerSocketId.current !== peer.laptopSocketId) {
+                        return { ok: false, denied: true, error: 'Another operator holds control of this phone.' };
+                    }
+                    return handlers.current.handleCameraSettings(body);
+                }
+                if (type === 'sensor_rate') {
+                    if (!SENSOR_RATES_HZ.includes(body.rateHz)) return { error: `Unsupported rate ${body.rateHz} Hz` };
+                    changeSensorRate(body.rateHz);
+                    return { rateHz: body.rateHz };
+                }
+                if (type !== 'control') return { error: `Unknown request "${type}"` };
+                // The server enforces the lock on the Socket.IO path; here the phone checks it itself.
+                // Only the controller's own channel may command; watchers' channels carry pings and telemetry.
+                if (controllerSocketId.current !== peer.laptopSocketId) return { notController: true };
+                return handlers.current.applyControlCommand(body.cmd, body.commandId, body.gait);
+            },
+            onStateChange: (open) => {
+                console.log(`Phone: control DataChannel to ${peer.laptopSocketId} ${open ? 'open' : 'closed'}.`);
+                setOpenChannels(countOpenChannels(peers.current));
+            },
+        });
 
         pc.onicecandidate = (event) => {
             if (event.candidate) {
                 console.log("Phone: Sending ICE candidate to laptop.");
                 socket.current.emit("ice_candidate_from_phone", {
                     candidate: event.candidate,
-                    phoneDeviceId: PHONE_DEVICE_ID,
-                    requestingLaptopSocketId: requestingLaptopSocketId
+                    phoneDeviceId,
+                    requestingLaptopSocketId: peer.laptopSocketId
                 });
             }
         };
@@ -376,7 +704,7 @@ const PhoneCam = () => {
             console.log("Phone: Sending SDP Offer to laptop.");
             socket.current.emit("sdp_offer_from_phone", {
                 sdpOffer: offer,
-                phoneDeviceId: PHONE_DEVICE_ID,
+                phoneDeviceId,
                 requestingLaptopSocketId: requestingLaptopSocketId
             });
             setStatus("Offer sent. Waiting for answer...");
@@ -386,11 +714,277 @@ const PhoneCam = () => {
         }
     };
 
+    // Effect to report what the phone is showing and the last command it applied
+    useEffect(() => {
+        sendTelemetry({
+            displayMode,
+            robotModel: selectedRobotName,
+            lastCommand: jointStates.cmd || null,
+            camera: cameraState,
+            at: Date.now(),
+        });
+    }, [sendTelemetry, displayMode, selectedRobotName, jointStates, openChannels, cameraState]);
+
+    // Effect to report the camera's settings and capabilities once a call starts
+    useEffect(() => {
+        if (!callActive || !localStream) return;
+        const [firstPeer] = peers.current.values();
+        describeCamera(localStream, firstPeer && firstPeer.pc).then(setCameraState);
+    }, [callActive, localStream]);
+
+    /**
+     * Sets how often sensor frames are sent; the laptop can also change it over the DataChannel.
+     * @param {number} rateHz - One of SENSOR_RATES_HZ.
+     */
+    const changeSensorRate = (rateHz) => {
+        setSensorRateHz(rateHz);
+        storeSensorRate(rateHz);
+    };
+
+    // Starts streaming sensors; on iOS the permission prompt needs this click
+    const handleToggleSensors = async () => {
+        if (sensorsEnabled) {
+            setSensorsEnabled(false);
+            return;
+        }
+        setSensorError(null);
+        try {
+            if (!(await requestSensorPermission())) {
+                setSensorError("Motion sensor access was denied or is not supported.");
+                return;
+            }
+            setSensorsEnabled(true);
+        } catch (error) {
+            console.error("Sensor permission failed:", error);
+            setSensorError(`Motion sensors unavailable: ${error.message}`);
+        }
+    };
+
+    // Effect to stream sensor frames at the chosen rate: over the DataChannel when open, else via the server
+    useEffect(() => {
+        if (!sensorsEnabled || !callActive) return;
+        const sensors = startPhoneSensors({ geolocation: shareLocation, onError: setSensorError });
+
+        const interval = setInterval(() => {
+            const frame = { ...sensors.read(), rateHz: sensorRateHz, at: Date.now() };
+            if (!frame.motion && !frame.orientation && !frame.location) return;
+            const sentDirectly = sendOverChannels(peers.current, "sensors", frame);
+            if (!sentDirectly && socket.current && socket.current.connected) {
+                socket.current.volatile.emit("sensors", frame);
+            }
+        }, 1000 / sensorRateHz);
+
+        return () => {
+            clearInterval(interval);
+            sensors.stop();
+        };
+    }, [sensorsEnabled, callActive, sensorRateHz, shareLocation]);
+
+    // Effect to send heartbeats: battery, network, page visibility and stream status.
+    // Re-runs (and beats right away) whenever the stream status changes.
+    useEffect(() => {
+        if (!phoneDeviceId) return;
+        let battery = null;
+        let cancelled = false;
+
+        const beat = () => {
+            if (!socket.current || !socket.current.connected) return;
+            // The controller's connection, or any watcher's when nobody holds the lock
+            const [firstPeer] = peers.current.values();
+            const peer = peers.current.get(controllerSocketId.current) || firstPeer;
+            socket.current.emit("heartbeat", {
+                battery: battery && { level: battery.level, charging: battery.charging },
+                network: readNetworkInfo(),
+                visibility: document.visibilityState,
+                stream: {
+                    cameraActive: Boolean(localStream && localStream.active),
+                    streaming: callActive,
+                    iceState: peer ? peer.pc.iceConnectionState : null,
+                    channelOpen,
+                },
+            });
+        };
+
+        // Battery Status API is missing on iOS and Firefox; heartbeats just omit it there
+        if (navigator.getBattery) {
+            navigator.getBattery()
+                .then((batteryManager) => {
+                    if (cancelled) return;
+                    battery = batteryManager;
+                    beat();
+                })
+                .catch((err) => console.warn("Battery status unavailable:", err));
+        }
+
+        const interval = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+        document.addEventListener("visibilitychange", beat);
+        beat();
+        return () => {
+            cancelled = true;
+            clearInterval(interval);
+            document.removeEventListener("visibilitychange", beat);
+        };
+    }, [phoneDeviceId, localStream, callActive, channelOpen]);
+
+    // Effect to load the operators this phone is paired with
+    useEffect(() => {
+        if (!phoneDeviceId) return;
+        apiRequest('/api/pairings', { token: user.token })
+            .then((all) => setPairings(all.filter((pairing) =>
+                pairing.role === 'device' && pairing.deviceId === phoneDeviceId && pairing.status === 'active')))
+            .catch((error) => console.error("Failed to load pairings:", error));
+    }, [phoneDeviceId, user.token, pairingsVersion]);
+
+    /**
+     * Links this phone to the operator who is showing the given pairing code.
+     * @param {string} code - The 6-digit pairing code.
+     */
+    const claimPairing = useCallback(async (code) => {
+        if (!phoneDeviceId || !code) return;
+        try {
+            const pairing = await apiRequest('/api/pairings/claim', {
+                token: user.token,
+                method: 'POST',
+                body: { code: code.trim(), deviceId: phoneDeviceId }
+            });
+            setStatus(`Paired with ${pairing.operatorEmail}.`);
+            setPairingCode("");
+            setPairingsVersion((version) => version + 1);
+        } catch (error) {
+            console.error("Pairing failed:", error);
+            setStatus(`Pairing failed: ${error.message}`);
+        }
+    }, [phoneDeviceId, user.token]);
+
+    // Effect to claim the code from a scanned QR link once the device is registered
+    useEffect(() => {
+        const code = searchParams.get('pair');
+        if (!code || !phoneDeviceId || autoClaimAttempted.current) return;
+        autoClaimAttempted.current = true;
+        claimPairing(code);
+        setSearchParams({}, { replace: true }); // Don't re-claim on reload
+    }, [searchParams, setSearchParams, phoneDeviceId, claimPairing]);
+
+    const handleClaimPairing = (e) => {
+        e.preventDefault();
+        claimPairing(pairingCode);
+    };
+
+    const handleRevokePairing = async (id) => {
+        try {
+            await apiRequest(`/api/pairings/${id}`, { token: user.token, method: 'DELETE' });
+            setPairingsVersion((version) => version + 1);
+        } catch (error) {
+            console.error("Revoking pairing failed:", error);
+            setStatus(`Revoking pairing failed: ${error.message}`);
+        }
+    };
+
+    /**
+     * Saves the friendly name shown for this phone in the ControlPanel device picker.
+     * @param {Event} e - The form submit event.
+     */
+    const handleRenameDevice = async (e) => {
+        e.preventDefault();
+        const name = deviceNameInput.trim();
+        if (!phoneDeviceId || !name || name === device.name) return;
+        try {
+            const renamed = await apiRequest(`/api/devices/${encodeURIComponent(phoneDeviceId)}`, {
+                token: user.token,
+                method: 'PATCH',
+                body: { name }
+            });
+            setDevice(renamed);
+            setStatus(`Device renamed to "${renamed.name}".`);
+        } catch (error) {
+            console.error("Rename failed:", error);
+            setStatus(`Rename failed: ${error.message}`);
+        }
+    };
+
     return (
         <div style={styles.container}>
             <h2 style={styles.heading}>📱 Phone Camera & Robot</h2>
             <p style={styles.statusText}>Status: <span style={styles.statusValue}>{status}</span></p>
-            <p style={styles.deviceIdText}>Your Device ID: <strong style={styles.deviceIdValue}>{PHONE_DEVICE_ID}</strong></p>
+            <p style={styles.statusText}>Controlled by: <span style={styles.statusValue}>{controllerEmail || 'nobody'}</span></p>
+            <p style={styles.statusText}>Control link: <span style={styles.statusValue}>{channelOpen ? 'direct (DataChannel)' : 'via server'}</span></p>
+            {device ? (
+                <>
+                    <p style={styles.deviceIdText}>
+                        This device: <strong style={styles.deviceIdValue}>{device.name}</strong> · {device.model}
+                        <br />ID: {device.deviceId}
+                    </p>
+                    <form onSubmit={handleRenameDevice} style={styles.renameForm}>
+                        <input
+                            type="text"
+                            value={deviceNameInput}
+                            onChange={(e) => setDeviceNameInput(e.target.value)}
+                            maxLength={60}
+                            placeholder="Device name"
+                            style={styles.input}
+                        />
+                        <button type="submit" style={styles.smallButton}>Rename</button>
+                    </form>
+
+                    {/* Pair with an operator's ControlPanel */}
+                    <form onSubmit={handleClaimPairing} style={styles.renameForm}>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            pattern="[0-9]{6}"
+                            value={pairingCode}
+                            onChange={(e) => setPairingCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                            placeholder="6-digit pairing code"
+                            style={styles.input}
+                        />
+                        <button type="submit" style={styles.smallButton} disabled={pairingCode.length !== 6}>Pair</button>
+                    </form>
+                    {pairings.length > 0 && (
+                        <ul style={styles.pairingList}>
+                            {pairings.map((pairing) => (
+                                <li key={pairing.id} style={styles.pairingItem}>
+                                    Paired with <strong>{pairing.operatorEmail}</strong> until {new Date(pairing.expiresAt).toLocaleTimeString()}
+                                    <button onClick={() => handleRevokePairing(pairing.id)} style={styles.revokeButton}>Revoke</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </>
+            ) : (
+                <p style={styles.deviceIdText}>Registering this device...</p>
+            )}
+
+            {/* Sensor streaming to the laptop */}
+            <div style={styles.sensorContainer}>
+                <button
+                    onClick={handleToggleSensors}
+                    style={{ ...styles.modeButton, ...(sensorsEnabled && styles.modeButtonActive) }}
+                >
+                    {sensorsEnabled ? 'Stop Sharing Sensors' : 'Share Motion Sensors'}
+                </button>
+                <label style={styles.label}>
+                    Rate{' '}
+                    <select
+                        value={sensorRateHz}
+                        onChange={(e) => changeSensorRate(Number(e.target.value))}
+                        style={styles.select}
+                    >
+                        {SENSOR_RATES_HZ.map((rate) => <option key={rate} value={rate}>{rate} Hz</option>)}
+                    </select>
+                </label>
+                <label style={styles.label}>
+                    <input
+                        type="checkbox"
+                        checked={shareLocation}
+                        onChange={(e) => setShareLocation(e.target.checked)}
+                    />
+                    {' '}Location
+                </label>
+            </div>
+            {sensorsEnabled && !callActive && (
+                <p style={styles.statusText}>Sensors are sent once a laptop starts the stream.</p>
+            )}
+            {sensorError && <p style={styles.errorText}>{sensorError}</p>}
 
             {/* Mode Toggle Buttons */}
             <div style={styles.modeToggleContainer}>
@@ -406,8 +1000,19 @@ const PhoneCam = () => {
                 >
                     Show URDF Robot
                 </button>
+                <button
+                    onClick={() => setDisplayMode('drive')}
+                    style={{ ...styles.modeButton, ...(displayMode === 'drive' && styles.modeButtonActive) }}
+                >
+                    Tilt to Drive
+                </button>
             </div>
 
+            {/* Handheld controller: this phone's tilt drives another device */}
+            {displayMode === 'drive' && phoneDeviceId && (
+                <TiltDriveController socket={signalingSocket} socketRef={socket} ownDeviceId={phoneDeviceId} />
+            )}
+
             {/* Robot Model Selection (only visible in URDF mode) */}
             {displayMode === 'urdf' && (
                 <div style={styles.robotSelectContainer}>
@@ -451,6 +1056,7 @@ const PhoneCam = () => {
                                 controlMode={displayMode}
                                 onRobotLoaded={handleRobotLoaded}
                                 selectedRobotName={selectedRobotName}
+                                gait={gait}
                             />
                         </Suspense>
                         {/* OrbitControls for interactive camera manipulation */}
@@ -502,6 +1108,30 @@ const styles = {
     deviceIdValue: {
         color: '#34495e',
     },
+    renameForm: {
+        display: 'flex',
+        justifyContent: 'center',
+        gap: '8px',
+        marginBottom: '20px',
+    },
+    input: {
+        padding: '8px 12px',
+        borderRadius: '8px',
+        border: '1px solid #a0a0a0',
+        fontSize: '0.9em',
+        outline: 'none',
+        minWidth: 0,
+    },
+    smallButton: {
+        padding: '8px 16px',
+        border: 'none',
+        borderRadius: '8px',
+        backgroundColor: '#007bff',
+        color: 'white',
+        fontSize: '0.9em',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
     modeToggleContainer: {
         marginBottom: '20px',
         display: 'flex',
@@ -559,6 +1189,44 @@ const styles = {
         backgroundSize: '12px',
         paddingRight: '30px',
     },
+    sensorContainer: {
+        marginBottom: '20px',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '10px',
+        flexWrap: 'wrap',
+    },
+    errorText: {
+        fontSize: '0.9em',
+        color: '#dc3545',
+        marginBottom: '12px',
+    },
+    pairingList: {
+        listStyle: 'none',
+        padding: 0,
+        margin: '0 0 20px',
+        fontSize: '0.9em',
+        color: '#555',
+    },
+    pairingItem: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '8px',
+        flexWrap: 'wrap',
+        marginBottom: '6px',
+    },
+    revokeButton: {
+        padding: '4px 12px',
+        border: 'none',
+        borderRadius: '8px',
+        backgroundColor: '#dc3545',
+        color: 'white',
+        fontSize: '0.85em',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
     videoContainer: {
         border: '2px solid #e0e0e0',
         borderRadius: '10px',
@@ -0,0 +1,130 @@
+// src/pages/SessionHistory.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate } from 'react-router-dom';
+import { useAuthContext } from '../hooks/useAuthContext';
+import { apiRequest } from '../utils/api';
+
+const STATUS_COLORS = {
+    acknowledged: 'text-green-400',
+    unacknowledged: 'text-red-400',
+    denied: 'text-yellow-400',
+    sent: 'text-gray-400',
+};
+
+const formatTime = (date) => date ? new Date(date).toLocaleTimeString() : '–';
+
+/**
+ * Lists past control sessions and the commands an operator sent during each one.
+ * Data comes from GET /api/sessions and GET /api/sessions/:id/commands.
+ */
+const SessionHistory = () => {
+    const navigate = useNavigate();
+    const { user } = useAuthContext();
+
+    const [sessions, setSessions] = useState([]);
+    const [selectedSessionId, setSelectedSessionId] = useState(null);
+    const [commands, setCommands] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Effect to load the session list
+    useEffect(() => {
+        apiRequest('/api/sessions', { token: user.token })
+            .then((list) => {
+                setSessions(list);
+                if (list.length > 0) setSelectedSessionId(list[0].id);
+            })
+            .catch((err) => setError(err.message))
+            .finally(() => setIsLoading(false));
+    }, [user.token]);
+
+    // Effect to load the commands of the selected session
+    useEffect(() => {
+        if (!selectedSessionId) return;
+        setCommands([]);
+        apiRequest(`/api/sessions/${selectedSessionId}/commands`, { token: user.token })
+            .then(setCommands)
+            .catch((err) => setError(err.message));
+    }, [selectedSessionId, user.token]);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 p-4 sm:p-6 font-inter">
+            <div className="bg-gray-800 p-6 sm:p-8 rounded-xl shadow-2xl w-full max-w-5xl mx-auto border border-gray-700">
+                <div className="flex items-center justify-between mb-6">
+                    <h2 className="text-3xl sm:text-4xl font-extrabold text-white tracking-tight">Command History</h2>
+                    <button
+                        onClick={() => navigate('/tools')}
+                        className="py-2 px-4 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 shadow-md"
+                    >
+                        Back to Robot Control
+                    </button>
+                </div>
+
+                {error && <p className="mb-4 py-2 px-4 rounded-lg bg-red-600 text-white">{error}</p>}
+                {isLoading && <p className="text-gray-400">Loading sessions...</p>}
+                {!isLoading && sessions.length === 0 && <p className="text-gray-400">No control sessions recorded yet.</p>}
+
+                {sessions.length > 0 && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        {/* Session list */}
+                        <ul className="space-y-2 md:max-h-[70vh] overflow-y-auto">
+                            {sessions.map((session) => (
+                                <li key={session.id}>
+                                    <button
+                                        onClick={() => setSelectedSessionId(session.id)}
+                                        className={`w-full text-left py-2 px-3 rounded-lg border transition
+                                            ${session.id === selectedSessionId ? 'bg-blue-600 border-blue-500 text-white' : 'bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600'}`}
+                                    >
+                                        <span className="block font-semibold">{session.deviceName || session.deviceId}</span>
+                                        <span className="block text-sm">{new Date(session.startedAt).toLocaleString()}</span>
+                                        <span className="block text-xs opacity-80">
+                                            {session.operatorEmail} · {session.commandCount} commands{!session.endedAt && ' · in progress'}
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+
+                        {/* Commands of the selected session */}
+                        <div className="md:col-span-2 overflow-x-auto">
+                            {commands.length === 0 ? (
+                                <p className="text-gray-400">No commands in this session.</p>
+                            ) : (
+                                <table className="w-full text-sm text-left text-gray-300">
+                                    <thead className="text-gray-400 border-b border-gray-600">
+                                        <tr>
+                                            <th className="py-2 pr-3">Sent</th>
+                                            <th className="py-2 pr-3">Command</th>
+                                            <th className="py-2 pr-3">Source</th>
+                                            <th className="py-2 pr-3">Robot</th>
+                                            <th className="py-2 pr-3">Status</th>
+                                            <th className="py-2 pr-3">Attempts</th>
+                                            <th className="py-2">Acked</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {commands.map((command) => (
+                                            <tr key={command.id} className="border-b border-gray-700">
+                                                <td className="py-1 pr-3 font-mono">{formatTime(command.sentAt || command.receivedAt)}</td>
+                                                <td className="py-1 pr-3 font-semibold text-white">{command.cmd}</td>
+                                                <td className="py-1 pr-3">{command.source}{command.transport === 'datachannel' && ' · direct'}</td>
+                                                <td className="py-1 pr-3">{command.robotModel || '–'}</td>
+                                                <td className={`py-1 pr-3 ${STATUS_COLORS[command.status]}`}>
+                                                    {command.status}{command.applied === false && ' (not applied)'}
+                                                </td>
+                                                <td className="py-1 pr-3">{command.attempts}</td>
+                                                <td className="py-1 font-mono">{formatTime(command.ackedAt)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SessionHistory;
@@ -7,6 +7,9 @@ import { Holistic } from '@mediapipe/holistic';
 import { Camera } from '@mediapipe/camera_utils';
 import { UrdfRobotModel, CameraUpdater } from '../components/UrdfRobotModel';
 import VideoRecorder from '../components/VideoRecorder'; // Keep VideoRecorder
+import RecordingLibrary from '../components/RecordingLibrary';
+import RosbridgeSettings from '../components/RosbridgeSettings';
+import { useRosbridge } from '../hooks/useRosbridge';
 
 const ROBOT_MODELS = {
     hexapod_robot: {
@@ -33,6 +36,7 @@ const UrdfUploader = () => {
     const [isPlayingRecordedVideo, setIsPlayingRecordedVideo] = useState(false); // Controls playback video element visibility
     const [recordedJointStatesSequence, setRecordedJointStatesSequence] = useState([]); 
     const [isRecording, setIsRecording] = useState(false); // State for recording status (from VideoRecorder)
+    const [savedRecordingsVersion, setSavedRecordingsVersion] = useState(0); // Bumped to refresh RecordingLibrary
 
     // MediaPipe and Robot control states
     const [poseLandmarks, setPoseLandmarks] = useState(null); // MediaPipe landmarks
@@ -662,7 +666,17 @@ if (results.rightHandLandmarks && results.poseLandmarks?.[12] && results.poseLan
         console.log("[UrdfUploader] All files and states cleared.");
     }, []);
 
-    const currentRobotJointStates = robotJointStates;
+    // With rosbridge connected, tracked poses are published as sensor_msgs/JointState
+    // and the twin shows the real robot's /joint_states while they keep arriving
+    const rosbridge = useRosbridge();
+    const { publishJointStates } = rosbridge;
+    useEffect(() => {
+        if (Object.keys(robotJointStates).length > 0) {
+            publishJointStates(robotJointStates);
+        }
+    }, [robotJointStates, publishJointStates]);
+
+    const currentRobotJointStates = rosbridge.robotJointStates || robotJointStates;
 
     return (
         <div className="min-h-screen bg-gradient-to-br from-slate-950 via-purple-950 to-slate-900 text-white">
@@ -770,8 +784,14 @@ if (results.rightHandLandmarks && results.poseLandmarks?.[12] && results.poseLan
                             onPlayRecordedData={handlePlayRecordedData}
                             recordedVideoPlayerRef={recordedVideoPlayerRef}
                             isRecording={isRecording} // Pass recording status
+                            robotModel={urdfFile ? urdfFile.name : undefined}
+                            onRecordingSaved={() => setSavedRecordingsVersion((version) => version + 1)}
                         />
 
+                        <RecordingLibrary refreshKey={savedRecordingsVersion} />
+
+                        <RosbridgeSettings rosbridge={rosbridge} className="mb-6" />
+
                         <div className="bg-gradient-to-br from-purple-800/20 to-cyan-800/20 backdrop-blur-sm rounded-xl p-4 border border-purple-500/20">
                             <h3 className="text-sm font-semibold mb-3 text-purple-300">Body Controls:</h3>
                             <ul className="text-xs space-y-2 text-slate-300">
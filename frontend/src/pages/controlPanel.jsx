@@ -1,19 +1,48 @@
 // src/pages/controlPanel.jsx
-import React, { useEffect, useRef, useState, Suspense, useCallback } from "react";
-import { io } from "socket.io-client";
+import React, { useEffect, useMemo, useRef, useState, Suspense, useCallback } from "react";
 import { Canvas, useLoader } from "@react-three/fiber";
 import URDFLoader from 'urdf-loader';
 import { OrbitControls, Environment, Text } from "@react-three/drei";
 import * as THREE from 'three';
+import { connectSignaling } from '../utils/signaling';
+import { useAuthContext } from '../hooks/useAuthContext';
+import { formatLastSeen } from '../utils/device';
+import { getIceConfig } from '../utils/iceServers';
+import { wrapControlChannel, CONTROL_CHANNEL_LABEL } from '../utils/controlChannel';
+import PairingPanel from '../components/PairingPanel';
+import PhonePresenceList from '../components/PhonePresenceList';
+import RosbridgeSettings from '../components/RosbridgeSettings';
+import MqttPanel from '../components/MqttPanel';
+import SensorGauges from '../components/SensorGauges';
+import CameraSettingsPanel from '../components/CameraSettingsPanel';
+import StreamStatsPanel from '../components/StreamStatsPanel';
+import VelocityJoystick from '../components/VelocityJoystick';
+import GaitSettings from '../components/GaitSettings';
+import LegIkPanel from '../components/LegIkPanel';
+import InputIndicator from '../components/InputIndicator';
+import { orientationToTilt } from '../utils/phoneSensors';
+import { useCommandLink } from '../hooks/useCommandLink';
+import { useRosbridge } from '../hooks/useRosbridge';
+import { useWebRtcStats } from '../hooks/useWebRtcStats';
+import { useHexapodGait, useGaitPose } from '../hooks/useHexapodGait';
+import { useManualInput } from '../hooks/useManualInput';
+import { twistForVelocity } from '../utils/rosbridge';
+import { DEFAULT_BINDINGS, loadInputBindings } from '../utils/inputBindings';
+import { DEFAULT_GAIT_PARAMS, stepCommand } from '../utils/hexapodGait';
 import { useNavigate } from 'react-router-dom';
 
 // Import MediaPipe Hands and CameraUtil
 import { Hands } from '@mediapipe/hands';
 import { Camera } from '@mediapipe/camera_utils';
 
-// Node server URL for Socket.IO and WebRTC signaling
-// Assuming your local backend is running on http://localhost:3001
-const NODE_SERVER_URL = "https://backend-746d.onrender.com";
+// Phones send a heartbeat every 5 s; warn the operator once the streaming phone misses two
+const SILENT_AFTER_MS = 12000;
+// While the stream is broken, ask the phone for an ICE restart this often, and give up after a while
+const RESUME_RETRY_MS = 5000;
+const RESUME_GIVE_UP_MS = 45000;
+const ICE_DISCONNECTED_GRACE_MS = 3000;
+const CHANNEL_REQUEST_TIMEOUT_MS = 2000; // Settings requests to the phone over the DataChannel
+const CAMERA_SETTINGS_TIMEOUT_MS = 6000; // A camera switch reopens getUserMedia on the phone
 
 // Define robot configurations for both models
 const ROBOT_MODELS = {
@@ -36,8 +65,10 @@ const ROBOT_MODELS = {
  * @param {object} props.jointStates - Object containing robot joint commands (e.g., { cmd: 'forward' })
  * @param {string} props.controlMode - Current display mode ('video' or 'urdf')
  * @param {string} props.selectedRobotName - The key of the currently selected robot model (e.g., 'hexapod_robot')
+ * @param {object} props.gait - The hexapod gait from useHexapodGait, or null while the twin mirrors the real robot
+ * @param {object|null} props.ikTarget - The leg IK panel's foot target, { position: { x, y, z }, reachable }, marked on the twin
  */
-const UrdfRobotModel = ({ jointStates, controlMode, selectedRobotName }) => {
+const UrdfRobotModel = ({ jointStates, controlMode, selectedRobotName, gait, ikTarget }) => {
     // Get the URDF and package paths based on the selected robot name
     const robotConfig = ROBOT_MODELS[selectedRobotName] || ROBOT_MODELS.hexapod_robot; // Default to hexapod_robot if name is invalid
 
@@ -65,11 +96,30 @@ const UrdfRobotModel = ({ jointStates, controlMode, selectedRobotName }) => {
         }
     }, [robot, robotConfig.name]); // Depend on robot and robotConfig.name to re-run on model change
 
+    // Walk the twin: the gait moves the legs and glides the body (only the hexapod drives)
+    useGaitPose(robot, gait, selectedRobotName === 'hexapod_robot' && controlMode === 'urdf');
+
+    // Sphere marking the IK foot target: green when the leg reaches it, red when it can't
+    const ikMarker = useMemo(() => new THREE.Mesh(new THREE.SphereGeometry(0.008, 16, 16), new THREE.MeshStandardMaterial()), []);
+    useEffect(() => () => {
+        ikMarker.geometry.dispose();
+        ikMarker.material.dispose();
+    }, [ikMarker]);
+
+    // Effect to show the marker in the thorax frame, the frame IK targets are given in
+    useEffect(() => {
+        const thorax = robot?.links?.thorax;
+        if (!thorax || !ikTarget || selectedRobotName !== 'hexapod_robot') return;
+        ikMarker.position.set(ikTarget.position.x, ikTarget.position.y, ikTarget.position.z);
+        ikMarker.material.color.set(ikTarget.reachable ? '#22c55e' : '#ef4444');
+        thorax.add(ikMarker);
+        return () => { thorax.remove(ikMarker); };
+    }, [robot, ikTarget, ikMarker, selectedRobotName]);
+
     // Effect to update robot joint states and position based on received commands
     useEffect(() => {
         // Apply commands ONLY if the selected robot is the 'hexapod_robot' AND a command is issued
         if (selectedRobotName === 'hexapod_robot' && robot && controlMode === 'urdf' && jointStates.cmd) {
-            const rotationAmount = 0.1; // Amount for joint rotation
             const liftAmount = 0.1;     // Amount for vertical lift (jump)
             const moveAmount = 0.5;     // Amount for translational movement
 
@@ -81,29 +131,8 @@ const UrdfRobotModel = ({ jointStates, controlMode, selectedRobotName }) => {
             };
 
             // Process different control commands for Hexapod Robot
-            if (jointStates.cmd === 'left') {
-                // Rotate all coxa joints positively for a general "left" movement/turn
-                // You may need to fine-tune which joints to move for a desired effect.
-                // For a "left" motion, typically all coxa joints rotate in one direction.
-                ['coxa_joint_r1', 'coxa_joint_r2', 'coxa_joint_r3',
-                'coxa_joint_l1', 'coxa_joint_l2', 'coxa_joint_l3'].forEach(jointName => {
-                    const joint = robot.joints[jointName];
-                    if (joint) {
-                        joint.setJointValue(getJointValue(jointName) + rotationAmount);
-                    }
-                });
-                console.log("Hexapod: Attempting 'left' (all joints).");
-            } else if (jointStates.cmd === 'right') {
-                // Rotate all coxa joints negatively for a general "right" movement/turn
-                ['coxa_joint_r1', 'coxa_joint_r2', 'coxa_joint_r3',
-                'coxa_joint_l1', 'coxa_joint_l2', 'coxa_joint_l3'].forEach(jointName => {
-                    const joint = robot.joints[jointName];
-                    if (joint) {
-                        joint.setJointValue(getJointValue(jointName) - rotationAmount);
-                    }
-                });
-                console.log("Hexapod: Attempting 'right' (all joints).");
-            } else if (jointStates.cmd === 'jump') {
+            // (forward, backward, left and right walk through the gait instead, see useHexapodGait)
+            if (jointStates.cmd === 'jump') {
                 const allFemurJoints = [
                     'femur_joint_r1', 'femur_joint_r2', 'femur_joint_r3',
                     'femur_joint_l1', 'femur_joint_l2', 'femur_joint_l3'
@@ -128,12 +157,6 @@ const UrdfRobotModel = ({ jointStates, controlMode, selectedRobotName }) => {
                 }, 300); // 300ms delay
 
                 console.log("Hexapod: Attempting 'jump'.");
-            } else if (jointStates.cmd === 'forward') {
-                robot.position.z -= moveAmount; // Move robot along the Z-axis
-                console.log("Hexapod: Moving forward. New Z:", robot.position.z);
-            } else if (jointStates.cmd === 'backward') {
-                robot.position.z += moveAmount; // Move robot along the Z-axis
-                console.log("Hexapod: Moving backward. New Z:", robot.position.z);
             } else if (jointStates.cmd === 'up') {
                 robot.position.y += moveAmount; // Move robot along the Y-axis (up)
                 console.log("Hexapod: Moving up. New Y:", robot.position.y);
@@ -147,6 +170,17 @@ const UrdfRobotModel = ({ jointStates, controlMode, selectedRobotName }) => {
         }
     }, [jointStates, robot, controlMode, selectedRobotName]); // Depend on relevant states for re-evaluation
 
+    // Effect to apply named joint positions, e.g. the real robot's /joint_states received over rosbridge
+    useEffect(() => {
+        if (!robot || controlMode !== 'urdf' || jointStates.cmd) return;
+        Object.entries(jointStates).forEach(([jointName, position]) => {
+            const joint = robot.joints[jointName];
+            if (joint && typeof position === 'number') {
+                joint.setJointValue(position);
+            }
+        });
+    }, [jointStates, robot, controlMode]);
+
     // Render the loaded robot model
     return <primitive object={robot} />;
 };
@@ -158,28 +192,93 @@ const UrdfRobotModel = ({ jointStates, controlMode, selectedRobotName }) => {
  */
 const ControlPanel = () => {
     const navigate = useNavigate(); // Hook for programmatically navigating
-    // Refs for video element, WebRTC peer connection, and Socket.IO instance
+    const { user } = useAuthContext(); // Logged-in user; its JWT authenticates the signaling socket
+    // Refs for video element, WebRTC peer connection, and Socket.IO instance.
+    // remoteVideoRef, peerConnection and controlChannel point at the primary tile's stream, which
+    // gestures, commands, stats and camera settings act on.
     const remoteVideoRef = useRef(null);
     const peerConnection = useRef(null);
     const socket = useRef(null);
+    const controlChannel = useRef(null); // DataChannel the phone opens on the peer connection (see utils/controlChannel)
+    // One stream per open tile: phoneDeviceId -> { pc, channel, mediaStream, resume: { startedAt, timer } | null }
+    const streams = useRef(new Map());
+    const primaryPhoneId = useRef(null); // selectedPhoneId, readable from the socket handlers
+    const videoElements = useRef({}); // phoneDeviceId -> the tile's <video>
+    const gridViewOn = useRef(false); // Mirrors gridView for the socket handlers
+    const lastHeartbeatAt = useRef({}); // deviceId -> local time the last heartbeat arrived (immune to clock skew)
+    const lastSocketId = useRef(null); // Socket ID before a reconnect, so the server can hand over our locks and sessions
+    const pendingPose = useRef(null); // Leg pose sent while taking the lock, sent again once it is ours: { phoneDeviceId, joints }
 
     // MediaPipe Hands specific refs and state
     const hands = useRef(null);
     const camera = useRef(null);
     const [handGesture, setHandGesture] = useState('None'); // State to store recognized hand gesture
     const lastCommandTime = useRef(0); // To debounce commands
+    const gestureBindings = useRef(DEFAULT_BINDINGS.gestures); // Gesture -> command, read by the hand tracking callback
 
     // State variables for UI and connection management
-    const [availablePhones, setAvailablePhones] = useState([]); // List of connected phones
-    const [selectedPhoneId, setSelectedPhoneId] = useState(""); // Currently selected phone for control/stream
+    const [availablePhones, setAvailablePhones] = useState([]); // Registered phones: { deviceId, name, model, lastSeen, online, status }
+    const [silentPhoneId, setSilentPhoneId] = useState(null); // Selected phone that is online but stopped sending heartbeats
+    const [selectedPhoneId, setSelectedPhoneId] = useState(""); // Currently selected phone for control/stream (the primary tile)
+    const [gridPhoneIds, setGridPhoneIds] = useState([]); // Phones with an open tile, in the order they were opened
+    const [gridView, setGridView] = useState(false); // Selecting a phone adds a tile instead of replacing the stream
+    const [tileSettings, setTileSettings] = useState({}); // phoneDeviceId -> { muted, paused }
     const [status, setStatus] = useState("Connecting to server..."); // Connection status message
     const [overlayOn, setOverlayOn] = useState(false); // Controls video overlay visibility
     const [localJointStates, setLocalJointStates] = useState({}); // Stores local joint commands for URDF mode
+    const [gaitCommand, setGaitCommand] = useState(null); // What the hexapod gait walks: { vx, vy, yawRate, at, duration? }
+    const [gaitParams, setGaitParams] = useState(DEFAULT_GAIT_PARAMS); // { gait, stepHeight, strideLength, cycleTime }
+    const [gaitStreaming, setGaitStreaming] = useState(false); // Send the gait's (and leg IK's) joint angles to the robot
+    const [ikTarget, setIkTarget] = useState(null); // Foot target posed from LegIkPanel: { position, reachable }
     const [displayMode, setDisplayMode] = useState('video'); // 'video' or 'urdf' for display
     const [showModal, setShowModal] = useState(false); // State for custom modal
     const [modalMessage, setModalMessage] = useState(""); // Message for custom modal
     // New state for selected robot model
     const [selectedRobotName, setSelectedRobotName] = useState('hexapod_robot'); // Default to hexapod_robot
+    const [pairingsVersion, setPairingsVersion] = useState(0); // Bumped when the server reports a pairing change
+    // Controller locks of the streaming phones: deviceId -> { phoneDeviceId, holder: { socketId, email, since, disconnected } | null }
+    const [lockStates, setLockStates] = useState({});
+    const [handoverRequest, setHandoverRequest] = useState(null); // Another operator asking for our lock
+    const [mySocketId, setMySocketId] = useState(null);
+    const [telemetryByPhone, setTelemetryByPhone] = useState({}); // deviceId -> { phoneDeviceId, displayMode, robotModel, lastCommand, camera, at }
+    const [mqttTelemetry, setMqttTelemetry] = useState({}); // deviceId -> { [topic]: { payload, at } }
+    const [phoneSensors, setPhoneSensors] = useState(null); // Latest sensor frame of the primary phone: { phoneDeviceId, motion, orientation, location, rateHz, at }
+    const [tiltTwin, setTiltTwin] = useState(false); // Tilt the URDF twin to the phone's pitch and roll
+    const [sensorZero, setSensorZero] = useState({ beta: 0, gamma: 0 }); // Orientation reading taken as level
+    const [showStats, setShowStats] = useState(false); // WebRTC stats overlay on the video
+    const [manualInputOn, setManualInputOn] = useState(true); // Keyboard and gamepad control
+    const [inputBindings, setInputBindings] = useState(DEFAULT_BINDINGS); // The user's key, gamepad and gesture bindings for the selected robot
+    const controlLock = lockStates[selectedPhoneId] || null;
+    const phoneTelemetry = telemetryByPhone[selectedPhoneId] || null;
+    const hasControl = Boolean(controlLock?.holder) && controlLock.holder.socketId === mySocketId;
+    const isReadOnly = Boolean(controlLock?.holder) && !hasControl;
+    const selectedSensors = phoneSensors && phoneSensors.phoneDeviceId === selectedPhoneId ? phoneSensors : null;
+    const twinTilt = tiltTwin && selectedSensors?.orientation ? orientationToTilt(selectedSensors.orientation, sensorZero) : null;
+    // Acknowledged commands and live round-trip latency to the selected phone
+    const { sendAckedCommand, linkStats } = useCommandLink(socket, selectedPhoneId, controlChannel);
+    // Optional connection to a ROS robot: commands publish on cmd_vel, and /joint_states drives the twin
+    const rosbridge = useRosbridge();
+    // getStats() of the stream, polled for the whole session so its log can be exported
+    const streamStats = useWebRtcStats(peerConnection, Boolean(selectedPhoneId));
+    // WASD/arrows and gamepads drive like the joystick; the handlers are declared further down
+    const manualInput = useManualInput({
+        enabled: manualInputOn && selectedRobotName === 'hexapod_robot',
+        keyBindings: inputBindings.keys,
+        gamepadButtons: inputBindings.gamepadButtons,
+        onCommand: (cmd, source) => sendCommand(cmd, source),
+        onVelocity: (velocity) => sendVelocity(velocity),
+        onStart: () => startVelocityControl(),
+        onGamepadChange: (gamepad, connected) => setStatus(`Gamepad ${connected ? 'connected' : 'disconnected'}: ${gamepad.id}`),
+    });
+    // Walks the hexapod twin, and the robot itself when streaming joint angles
+    const gait = useHexapodGait({
+        enabled: selectedRobotName === 'hexapod_robot',
+        command: gaitCommand,
+        params: gaitParams,
+        onJoints: (joints) => streamJointAngles(joints),
+    });
+    // The selected phone always has a tile, even before its stream is requested
+    const tilePhoneIds = selectedPhoneId && !gridPhoneIds.includes(selectedPhoneId) ? [selectedPhoneId, ...gridPhoneIds] : gridPhoneIds;
 
     // Function to show custom modal
     const showCustomModal = (message) => {
@@ -257,10 +356,48 @@ const ControlPanel = () => {
     }, []);
 
 
-    // Effect for Socket.IO and MediaPipe setup on component mount
+    /**
+     * Recognizes the hand MediaPipe found in the primary stream and sends the command bound to the gesture.
+     * @param {object} results - The MediaPipe Hands results for one frame.
+     */
+    const handleHandResults = (results) => {
+        if (displayMode === 'video' && remoteVideoRef.current && results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+            const landmarks = results.multiHandLandmarks[0]; // Get landmarks for the first detected hand
+            const gesture = recognizeGesture(landmarks);
+            setHandGesture(gesture); // Update state with the recognized gesture
+
+            // Debounce commands to avoid sending too many too quickly
+            const now = Date.now();
+            if (now - lastCommandTime.current > 500) { // 500ms debounce
+                // The user's gesture bindings for this robot (see pages/InputBindingsPage)
+                const commandToSend = gestureBindings.current[gesture] || null;
+
+                if (commandToSend && selectedRobotName === 'hexapod_robot') { // Only send if hexapod is selected
+                    sendCommand(commandToSend, 'gesture'); // Indicate command came from gesture
+                    lastCommandTime.current = now;
+                }
+            }
+        } else {
+            setHandGesture('None'); // No hand detected or not in video mode
+        }
+    };
+
+    // The socket and MediaPipe handlers outlive the render that set them up; they call the latest
+    // versions of these (which read the current phone, lock, robot and gait settings) through this ref
+    const handlers = useRef({});
+    useEffect(() => {
+        handlers.current = {
+            handleHandResults, closeStream, startResuming, requestResume, answerIceRestart, setupPeerConnection, selectPhone, resendPendingPose,
+        };
+    });
+
+    // Effect for Socket.IO and MediaPipe setup, once per login
     useEffect(() => {
-        // Initialize Socket.IO connection
-        socket.current = io(NODE_SERVER_URL);
+        const openStreams = streams.current; // The same Map for the component's lifetime
+        // Initialize an authenticated Socket.IO connection (the server verifies the JWT)
+        socket.current = connectSignaling(user.token);
+        // Warm the ICE server cache so answering the phone's offer doesn't wait on it
+        getIceConfig(user.token);
 
         // Initialize MediaPipe Hands
         hands.current = new Hands({
@@ -276,47 +413,23 @@ const ControlPanel = () => {
             minTrackingConfidence: 0.7
         });
 
-        hands.current.onResults((results) => {
-            if (displayMode === 'video' && remoteVideoRef.current && results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-                const landmarks = results.multiHandLandmarks[0]; // Get landmarks for the first detected hand
-                const gesture = recognizeGesture(landmarks);
-                setHandGesture(gesture); // Update state with the recognized gesture
-
-                // Debounce commands to avoid sending too many too quickly
-                const now = Date.now();
-                if (now - lastCommandTime.current > 500) { // 500ms debounce
-                    let commandToSend = null;
-                    // UPDATED GESTURE MAPPING FOR OPEN_PALM_UP AND OPEN_PALM
-                    if (gesture === 'Open_Palm_Up') {
-                        commandToSend = 'left'; // Map Open_Palm_Up to 'left'
-                    } else if (gesture === 'Open_Palm') {
-                        commandToSend = 'right'; // Map Open_Palm to 'right'
-                    }
-                    // You can add more mappings here if other gestures become reliable
-                    else if (gesture === 'Point_Up') {
-                        commandToSend = 'up'; // Example: Point_Up for 'up' movement
-                    }
-                    else if (gesture === 'Fist') {
-                        // commandToSend = 'stop'; // Example for 'stop'
-                    }
-
-
-                    if (commandToSend && selectedRobotName === 'hexapod_robot') { // Only send if hexapod is selected
-                        sendCommand(commandToSend, 'gesture'); // Indicate command came from gesture
-                        lastCommandTime.current = now;
-                    }
-                }
-            } else {
-                setHandGesture('None'); // No hand detected or not in video mode
-            }
-        });
+        hands.current.onResults((results) => handlers.current.handleHandResults(results));
 
 
         // Socket.IO event listeners
         socket.current.on("connect", () => {
+            const previousSocketId = lastSocketId.current;
+            lastSocketId.current = socket.current.id;
+            setMySocketId(socket.current.id);
             setStatus("Connected to server. Registering laptop...");
             socket.current.emit("register_laptop"); // Register as a laptop device
             socket.current.emit("get_available_phones"); // Request list of available phones
+            // Reconnected mid-stream (e.g. after a network change): take our locks and sessions along
+            if (previousSocketId && previousSocketId !== socket.current.id) {
+                streams.current.forEach((entry, phoneDeviceId) => {
+                    socket.current.emit("resume_stream", { phoneDeviceId, previousSocketId });
+                });
+            }
         });
 
         socket.current.on("connect_error", (err) => {
@@ -327,26 +440,121 @@ const ControlPanel = () => {
         socket.current.on("available_phones", (phones) => {
             console.log("Available phones:", phones);
             setAvailablePhones(phones);
-            // Automatically select the first available phone if none is selected
-            if (!selectedPhoneId && phones.length > 0) {
-                setSelectedPhoneId(phones[0]);
+            phones.forEach((phone) => {
+                if (phone.online && !lastHeartbeatAt.current[phone.deviceId]) {
+                    lastHeartbeatAt.current[phone.deviceId] = Date.now();
+                } else if (!phone.online) {
+                    delete lastHeartbeatAt.current[phone.deviceId];
+                }
+            });
+            streams.current.forEach((entry, phoneDeviceId) => {
+                const streamingPhone = phones.find((phone) => phone.deviceId === phoneDeviceId);
+                if (!streamingPhone) {
+                    // Stop showing a stream we no longer have access to (pairing revoked or device deleted)
+                    handlers.current.closeStream(phoneDeviceId);
+                    setStatus("The streaming phone is no longer available.");
+                    showCustomModal("The streaming phone is no longer available. The stream was stopped.");
+                } else if (!streamingPhone.online) {
+                    // Probably switching networks; keep the peer connection and wait for it to come back
+                    handlers.current.startResuming(phoneDeviceId, `${streamingPhone.name} went offline`);
+                } else if (entry.resume) {
+                    handlers.current.requestResume(phoneDeviceId); // Back online: don't wait for the next retry
+                }
+            });
+            // Automatically select the first online phone if none is selected
+            const firstOnline = phones.find((phone) => phone.online);
+            if (!primaryPhoneId.current && firstOnline) {
+                setSelectedPhoneId(firstOnline.deviceId);
             }
         });
 
-        socket.current.on("sdp_offer_from_phone", async ({ sdpOffer, phoneDeviceId }) => {
+        // Live status of a phone we can see; the silence watcher below relies on these arriving
+        socket.current.on("phone_heartbeat", ({ deviceId, lastSeen, status }) => {
+            lastHeartbeatAt.current[deviceId] = Date.now();
+            setAvailablePhones((phones) => phones.map((phone) =>
+                phone.deviceId === deviceId ? { ...phone, online: true, lastSeen, status } : phone));
+        });
+
+        socket.current.on("sdp_offer_from_phone", async ({ sdpOffer, phoneDeviceId, iceRestart }) => {
+            const entry = streams.current.get(phoneDeviceId);
+            // A tile we closed; stop_stream tells the phone
+            if (!entry) return;
+            if (iceRestart && entry.pc && entry.pc.connectionState !== 'closed') {
+                await handlers.current.answerIceRestart(entry.pc, phoneDeviceId, sdpOffer);
+                return;
+            }
             setStatus(`Received SDP Offer from ${phoneDeviceId}. Setting up WebRTC...`);
             // Set up WebRTC peer connection and send SDP answer
-            await setupPeerConnection(phoneDeviceId, sdpOffer);
+            await handlers.current.setupPeerConnection(phoneDeviceId, sdpOffer);
         });
 
-        socket.current.on("ice_candidate_from_phone", async (candidate) => {
-            // Add remote ICE candidate to peer connection
-            if (peerConnection.current && candidate) {
-                await peerConnection.current.addIceCandidate(candidate);
+        socket.current.on("ice_candidate_from_phone", async (candidate, phoneDeviceId) => {
+            // Add remote ICE candidate to that phone's peer connection
+            const entry = streams.current.get(phoneDeviceId);
+            if (entry && entry.pc && candidate) {
+                await entry.pc.addIceCandidate(candidate);
                 console.log("Laptop: Added remote ICE candidate.");
             }
         });
 
+        socket.current.on("pairing_claimed", ({ deviceId, laptopSocketId }) => {
+            setPairingsVersion((version) => version + 1);
+            // Switch straight to the phone that was just paired from this ControlPanel
+            if (laptopSocketId === socket.current.id) {
+                handlers.current.selectPhone(deviceId);
+            }
+        });
+
+        socket.current.on("pairing_revoked", ({ deviceId }) => {
+            setPairingsVersion((version) => version + 1);
+            // The phone drops our stream too; don't try to resume it
+            if (deviceId && streams.current.has(deviceId)) {
+                handlers.current.closeStream(deviceId);
+                setStatus("Pairing revoked. Stream stopped.");
+            }
+        });
+
+        socket.current.on("control_lock", (lockState) => {
+            setLockStates((current) => ({ ...current, [lockState.phoneDeviceId]: lockState }));
+            if (lockState.holder && lockState.holder.socketId === socket.current.id) {
+                handlers.current.resendPendingPose(lockState.phoneDeviceId);
+            }
+        });
+
+        socket.current.on("control_denied", ({ reason, ...lockState }) => {
+            pendingPose.current = null;
+            setLockStates((current) => ({ ...current, [lockState.phoneDeviceId]: lockState }));
+            setStatus(`Read-only: ${reason}`);
+        });
+
+        socket.current.on("handover_requested", (request) => {
+            setHandoverRequest(request);
+        });
+
+        socket.current.on("handover_response", ({ accepted, responderEmail }) => {
+            showCustomModal(accepted
+                ? `${responderEmail} handed control over to you.`
+                : `${responderEmail} declined your handover request.`);
+        });
+
+        // Telemetry relayed by the server while the DataChannel is down
+        socket.current.on("telemetry", (data) => {
+            setTelemetryByPhone((current) => ({ ...current, [data.phoneDeviceId]: data }));
+        });
+
+        // Sensor frames relayed by the server while the DataChannel is down (only the primary phone's are shown)
+        socket.current.on("sensors", (frame) => {
+            if (frame.phoneDeviceId === primaryPhoneId.current) setPhoneSensors(frame);
+        });
+
+        // Messages on the MQTT telemetry topics of our devices (see backend/mqtt/bridge.js)
+        socket.current.on("mqtt_telemetry", ({ deviceId, topic, payload, at }) => {
+            setMqttTelemetry((current) => ({
+                ...current,
+                [deviceId]: { ...current[deviceId], [topic]: { payload, at } },
+            }));
+        });
+
         socket.current.on("stream_error", (message) => {
             setStatus(`Stream Error: ${message}`);
             console.error("Stream Error:", message);
@@ -354,19 +562,26 @@ const ControlPanel = () => {
         });
 
         socket.current.on("disconnect", () => {
-            setStatus("Disconnected from server.");
+            setStatus(streams.current.size > 0 ? "Disconnected from server. Reconnecting..." : "Disconnected from server.");
             console.log("Laptop: Disconnected from server.");
             if (camera.current) {
                 camera.current.stop(); // Stop MediaPipe Camera when socket disconnects
             }
         });
 
-        // Cleanup function for useEffect: close peer connection, disconnect socket, stop MediaPipe Camera
+        // Cleanup function for useEffect: close peer connections, disconnect socket, stop MediaPipe Camera.
+        // The tiles stay open; the next socket resumes their streams.
         return () => {
-            if (peerConnection.current) {
-                peerConnection.current.close();
-                peerConnection.current = null;
-            }
+            openStreams.forEach((entry, phoneDeviceId) => {
+                stopResuming(phoneDeviceId);
+                if (entry.pc) {
+                    entry.pc.close();
+                    entry.pc = null;
+                    entry.channel = null;
+                }
+            });
+            peerConnection.current = null;
+            controlChannel.current = null;
             if (socket.current) {
                 socket.current.disconnect();
             }
@@ -377,7 +592,41 @@ const ControlPanel = () => {
                 hands.current.close();
             }
         };
-    }, [displayMode, selectedRobotName, recognizeGesture]); // Add recognizeGesture to dependencies
+    }, [user.token]);
+
+    // Effect to load the user's input bindings for the selected robot model
+    useEffect(() => {
+        let cancelled = false;
+        loadInputBindings(selectedRobotName, user.token)
+            .then((bindings) => {
+                if (cancelled) return;
+                setInputBindings(bindings);
+                gestureBindings.current = bindings.gestures;
+            })
+            .catch((err) => !cancelled && setStatus(`Could not load your input bindings: ${err.message}`));
+        return () => { cancelled = true; };
+    }, [selectedRobotName, user.token]);
+
+    // Effect to alert the operator when the selected phone stops sending heartbeats
+    useEffect(() => {
+        setSilentPhoneId(null);
+        if (!selectedPhoneId) return;
+
+        const check = () => {
+            const heardAt = lastHeartbeatAt.current[selectedPhoneId];
+            setSilentPhoneId(heardAt && Date.now() - heardAt > SILENT_AFTER_MS ? selectedPhoneId : null);
+        };
+        const interval = setInterval(check, 1000);
+        return () => clearInterval(interval);
+    }, [selectedPhoneId]);
+
+    // Effect to point the primary refs at the selected phone's stream
+    useEffect(() => {
+        primaryPhoneId.current = selectedPhoneId || null;
+        const entry = selectedPhoneId ? streams.current.get(selectedPhoneId) : null;
+        peerConnection.current = entry ? entry.pc : null;
+        controlChannel.current = entry ? entry.channel : null;
+    }, [selectedPhoneId]);
 
     // Effect to run MediaPipe Camera when a video stream is active
     useEffect(() => {
@@ -389,7 +638,8 @@ const ControlPanel = () => {
             // Initialize new Camera instance with the remote video stream
             camera.current = new Camera(remoteVideoRef.current, {
                 onFrame: async () => {
-                    if (remoteVideoRef.current && remoteVideoRef.current.readyState === 4) { // Ensure video is ready
+                    // Ensure video is ready; a paused tile would keep repeating its last frame's gesture
+                    if (remoteVideoRef.current && remoteVideoRef.current.readyState === 4 && !remoteVideoRef.current.paused) {
                         await hands.current.send({ image: remoteVideoRef.current });
                     }
                 },
@@ -405,27 +655,110 @@ const ControlPanel = () => {
         }
     }, [displayMode, selectedPhoneId]); // Depend on displayMode and selectedPhoneId to re-init camera
 
+    const stopResuming = (phoneDeviceId) => {
+        const entry = streams.current.get(phoneDeviceId);
+        if (entry && entry.resume) {
+            clearInterval(entry.resume.timer);
+            entry.resume = null;
+        }
+    };
+
+    // Asks the phone, through the server, to restart ICE on its stream
+    const requestResume = (phoneDeviceId) => {
+        if (!streams.current.has(phoneDeviceId) || !socket.current || !socket.current.connected) return;
+        socket.current.emit("resume_stream", {
+            phoneDeviceId,
+            previousSocketId: lastSocketId.current
+        }, ({ ok } = {}) => {
+            if (!ok && streams.current.get(phoneDeviceId)?.resume) setStatus("Waiting for the phone to come back online...");
+        });
+    };
+
+    /**
+     * Keeps requesting an ICE restart until the stream recovers, so a network change on either side
+     * doesn't force the operator to re-select the phone. Gives up after RESUME_GIVE_UP_MS.
+     * @param {string} phoneDeviceId - The phone whose stream broke.
+     * @param {string} reason - Shown in the status line.
+     */
+    const startResuming = (phoneDeviceId, reason) => {
+        const entry = streams.current.get(phoneDeviceId);
+        if (!entry || entry.resume) return;
+        setStatus(`Connection lost (${reason}). Reconnecting...`);
+
+        const retry = () => {
+            if (!entry.resume) return;
+            if (Date.now() - entry.resume.startedAt > RESUME_GIVE_UP_MS) {
+                closeStream(phoneDeviceId);
+                setStatus("Could not restore the stream.");
+                showCustomModal("Lost the connection to the phone and could not restore it. Select the phone again once it is back online.");
+                return;
+            }
+            requestResume(phoneDeviceId);
+        };
+        entry.resume = { startedAt: Date.now(), timer: setInterval(retry, RESUME_RETRY_MS) };
+        requestResume(phoneDeviceId);
+    };
+
+    // Applies the phone's ICE restart offer to the existing connection, keeping the video element and DataChannel
+    const answerIceRestart = async (pc, phoneDeviceId, sdpOffer) => {
+        try {
+            await pc.setRemoteDescription(new RTCSessionDescription(sdpOffer));
+            const answer = await pc.createAnswer();
+            await pc.setLocalDescription(answer);
+            socket.current.emit("sdp_answer_from_laptop", { sdpAnswer: answer, phoneDeviceId });
+            setStatus("Restarting ICE...");
+        } catch (error) {
+            console.error("Laptop: ICE restart failed:", error);
+            setStatus(`ICE restart failed: ${error.message}`);
+        }
+    };
+
     /**
      * Sets up the WebRTC peer connection.
      * @param {string} phoneDeviceId - The ID of the phone device.
      * @param {RTCSessionDescriptionInit} [sdpOffer=null] - The SDP offer received from the phone.
      */
     const setupPeerConnection = async (phoneDeviceId, sdpOffer = null) => {
+        // STUN/TURN servers (and TURN credentials) come from the backend; cached after the first call
+        const iceConfig = await getIceConfig(user.token);
+        const entry = streams.current.get(phoneDeviceId);
+        if (!entry) return; // The tile was closed meanwhile
+
         // Close existing peer connection if any
-        if (peerConnection.current) {
-            peerConnection.current.close();
+        if (entry.pc) {
+            entry.pc.close();
         }
 
         // Create a new RTCPeerConnection instance
-        const pc = new RTCPeerConnection({
-            iceServers: [{ urls: 'stun:stun.l.google.com:19302' }], // Google's public STUN server
-        });
-        peerConnection.current = pc;
+        const pc = new RTCPeerConnection(iceConfig);
+        entry.pc = pc;
+        entry.channel = null;
+        if (phoneDeviceId === primaryPhoneId.current) {
+            peerConnection.current = pc;
+            controlChannel.current = null;
+        }
+        // A new connection plays again even if the tile was paused
+        setTileSettings((current) => ({ ...current, [phoneDeviceId]: { ...current[phoneDeviceId], paused: false } }));
 
         // Event listener for ICE connection state changes
         pc.oniceconnectionstatechange = () => {
             console.log('Laptop ICE connection state:', pc.iceConnectionState);
             setStatus(`ICE State: ${pc.iceConnectionState}`);
+            if (pc !== entry.pc) return;
+
+            if (['connected', 'completed'].includes(pc.iceConnectionState)) {
+                if (entry.resume) setStatus("Streaming live! (connection restored)");
+                stopResuming(phoneDeviceId);
+            } else if (pc.iceConnectionState === 'failed') {
+                startResuming(phoneDeviceId, "ICE failed");
+            } else if (pc.iceConnectionState === 'disconnected') {
+                // Often recovers on its own; the phone restarts ICE from its side too
+                setTimeout(() => {
+                    if (pc === entry.pc && pc.iceConnectionState === 'disconnected') {
+                        startResuming(phoneDeviceId, "network changed");
+                    }
+                }, ICE_DISCONNECTED_GRACE_MS);
+            }
         };
 
         // Event listener for ICE candidates (network information)
@@ -439,21 +772,33 @@ const ControlPanel = () => {
             }
         };
 
+        // The phone opens the control channel; commands and pings prefer it over the Socket.IO relay
+        pc.ondatachannel = (event) => {
+            if (event.channel.label !== CONTROL_CHANNEL_LABEL) return;
+            entry.channel = wrapControlChannel(event.channel, {
+                peerId: phoneDeviceId,
+                onEvent: (type, body) => {
+                    if (type === 'telemetry') setTelemetryByPhone((current) => ({ ...current, [phoneDeviceId]: { ...body, phoneDeviceId } }));
+                    if (type === 'sensors' && phoneDeviceId === primaryPhoneId.current) setPhoneSensors({ ...body, phoneDeviceId });
+                },
+                onStateChange: (open) => console.log(`Laptop: control DataChannel to ${phoneDeviceId} ${open ? 'open' : 'closed'}.`),
+            });
+            if (phoneDeviceId === primaryPhoneId.current) controlChannel.current = entry.channel;
+        };
+
         // Event listener for remote tracks being added to the peer connection (video/audio from phone)
         pc.ontrack = (event) => {
-            if (remoteVideoRef.current && event.streams && event.streams[0]) {
-                remoteVideoRef.current.srcObject = event.streams[0];
-                remoteVideoRef.current.play().catch(e => console.error("Video auto-play failed:", e));
+            if (event.streams && event.streams[0]) {
+                entry.mediaStream = event.streams[0];
+                attachVideo(phoneDeviceId);
                 setStatus("Streaming live!");
             }
         };
         // Fallback for older browsers (onaddstream is deprecated)
         pc.onaddstream = (event) => {
-            if (remoteVideoRef.current) {
-                remoteVideoRef.current.srcObject = event.stream;
-                remoteVideoRef.current.play().catch(e => console.error("Video auto-play failed (onaddstream):", e));
-                setStatus("Streaming live!");
-            }
+            entry.mediaStream = event.stream;
+            attachVideo(phoneDeviceId);
+            setStatus("Streaming live!");
         };
 
         // If an SDP offer is provided, set remote description and create/send answer
@@ -476,33 +821,198 @@ const ControlPanel = () => {
         }
     };
 
+    /**
+     * Asks the streaming phone to send sensor frames at another rate (DataChannel only).
+     * @param {number} rateHz - One of SENSOR_RATES_HZ.
+     */
+    const changeSensorRate = async (rateHz) => {
+        const reply = controlChannel.current && await controlChannel.current.request('sensor_rate', { rateHz }, CHANNEL_REQUEST_TIMEOUT_MS);
+        if (!reply || reply.error) {
+            setStatus(`Could not change the sensor rate: ${reply ? reply.error : 'no direct link to the phone'}`);
+        }
+    };
+
+    /**
+     * Asks the selected phone to change its camera or microphone, over the DataChannel when open
+     * and through the server otherwise.
+     * @param {object} changes - See applyCameraSettings in utils/cameraControl.
+     * @returns {Promise<object>} The phone's reply { ok, errors, camera }, or { ok: false, error }.
+     */
+    const requestCameraSettings = async (changes) => {
+        const channel = controlChannel.current;
+        if (channel && channel.peerId === selectedPhoneId && channel.isOpen()) {
+            const reply = await channel.request('camera_settings', changes, CAMERA_SETTINGS_TIMEOUT_MS);
+            if (reply) return reply;
+        }
+        return new Promise((resolve) => {
+            if (!socket.current || !socket.current.connected) {
+                return resolve({ ok: false, error: 'Not connected to the server.' });
+            }
+            socket.current.timeout(CAMERA_SETTINGS_TIMEOUT_MS).emit('camera_settings', { targetPhoneId: selectedPhoneId, changes }, (err, reply) => {
+                resolve(err ? { ok: false, error: 'The phone did not answer in time.' } : reply);
+            });
+        });
+    };
+
+    /**
+     * Shows a phone's stream in its tile. The tile may render after the track arrives; registerVideo
+     * attaches it then.
+     * @param {string} phoneDeviceId - The phone whose stream to show.
+     */
+    const attachVideo = (phoneDeviceId) => {
+        const video = videoElements.current[phoneDeviceId];
+        const entry = streams.current.get(phoneDeviceId);
+        if (!video || !entry || !entry.mediaStream || video.srcObject === entry.mediaStream) return;
+        video.srcObject = entry.mediaStream;
+        video.play().catch(e => console.error("Video auto-play failed:", e));
+    };
+
+    /**
+     * Ref callback of a tile's video element. The primary tile's element is also remoteVideoRef,
+     * so gesture processing follows the primary tile.
+     * @param {string} phoneDeviceId - The tile's phone.
+     * @param {HTMLVideoElement|null} video - The element, or null when it unmounts.
+     */
+    const registerVideo = (phoneDeviceId, video) => {
+        if (video) {
+            videoElements.current[phoneDeviceId] = video;
+            video.muted = Boolean(tileSettings[phoneDeviceId]?.muted);
+            attachVideo(phoneDeviceId);
+        } else {
+            delete videoElements.current[phoneDeviceId];
+        }
+        if (phoneDeviceId === selectedPhoneId) {
+            remoteVideoRef.current = video;
+        }
+    };
+
+    /**
+     * Opens a tile for a phone and requests its stream.
+     * @param {string} phoneDeviceId - The device ID of the phone.
+     */
+    const openStream = (phoneDeviceId) => {
+        streams.current.set(phoneDeviceId, { pc: null, channel: null, mediaStream: null, resume: null });
+        setGridPhoneIds([...streams.current.keys()]);
+        // Only one tile plays its audio unless the operator unmutes another
+        setTileSettings((current) => ({ ...current, [phoneDeviceId]: { muted: streams.current.size > 1, paused: false } }));
+        setStatus(`Requesting stream from ${phoneDeviceId}...`);
+        if (socket.current) {
+            socket.current.emit("request_stream", {
+                phoneDeviceId,
+                laptopSocketId: socket.current.id
+            });
+        }
+    };
+
+    /**
+     * Closes a phone's peer connection and its tile. The next tile, if any, becomes the primary one.
+     * @param {string} phoneDeviceId - The device ID of the phone.
+     */
+    const closeStream = (phoneDeviceId) => {
+        const entry = streams.current.get(phoneDeviceId);
+        // The auto-selected phone has a tile before its stream is requested
+        if (entry) {
+            stopResuming(phoneDeviceId);
+            if (entry.pc) {
+                entry.pc.close();
+            }
+            streams.current.delete(phoneDeviceId);
+            setGridPhoneIds([...streams.current.keys()]);
+            // The server stops relaying the phone's lock and telemetry, releases our lock and tells the phone
+            if (socket.current && socket.current.connected) {
+                socket.current.emit("stop_stream", { phoneDeviceId });
+            }
+        }
+        const dropPhone = (current) => {
+            const rest = { ...current };
+            delete rest[phoneDeviceId];
+            return rest;
+        };
+        setTelemetryByPhone(dropPhone);
+        setLockStates(dropPhone);
+        setTileSettings(dropPhone);
+        if (videoElements.current[phoneDeviceId]) {
+            videoElements.current[phoneDeviceId].srcObject = null;
+        }
+        if (phoneDeviceId === primaryPhoneId.current) {
+            peerConnection.current = null;
+            controlChannel.current = null;
+            setPhoneSensors(null);
+            setSelectedPhoneId([...streams.current.keys()][0] || "");
+        }
+    };
+
     /**
      * Handles selection of a phone device from the dropdown.
      * @param {Event} e - The change event from the select element.
      */
     const handleSelectPhone = (e) => {
-        const id = e.target.value;
+        selectPhone(e.target.value);
+    };
+
+    /**
+     * Selects a phone as the primary one and requests its stream if it has no tile yet.
+     * Outside the grid view, the phone replaces the one being streamed.
+     * @param {string} id - The device ID of the phone.
+     */
+    const selectPhone = (id) => {
+        // Don't keep other operators locked out of the phone we are leaving
+        if (socket.current && primaryPhoneId.current && primaryPhoneId.current !== id) {
+            socket.current.emit("release_control", { phoneDeviceId: primaryPhoneId.current });
+        }
+        if (!gridViewOn.current) {
+            [...streams.current.keys()].filter((phoneDeviceId) => phoneDeviceId !== id).forEach(closeStream);
+        }
         setSelectedPhoneId(id);
-        if (id) {
-            setStatus(`Requesting stream from ${id}...`);
-            if (socket.current) {
-                // Request stream from the selected phone
-                socket.current.emit("request_stream", {
-                    phoneDeviceId: id,
-                    laptopSocketId: socket.current.id
-                });
-                // Clear existing video stream while new one is connecting
-                if (remoteVideoRef.current) {
-                    remoteVideoRef.current.srcObject = null;
-                }
-            }
+        if (id && !streams.current.has(id)) {
+            openStream(id);
+        }
+    };
+
+    /**
+     * Turns the grid view on or off. Turning it off keeps only the primary tile.
+     * @param {boolean} on - Whether selecting a phone adds a tile.
+     */
+    const changeGridView = (on) => {
+        gridViewOn.current = on;
+        setGridView(on);
+        if (!on) {
+            [...streams.current.keys()].filter((phoneDeviceId) => phoneDeviceId !== selectedPhoneId).forEach(closeStream);
         }
     };
 
+    /**
+     * Mutes or unmutes a tile's audio.
+     * @param {string} phoneDeviceId - The tile's phone.
+     */
+    const toggleTileMuted = (phoneDeviceId) => {
+        setTileSettings((current) => ({ ...current, [phoneDeviceId]: { ...current[phoneDeviceId], muted: !current[phoneDeviceId]?.muted } }));
+    };
+
+    /**
+     * Pauses or resumes a tile: its video stops rendering, and gesture processing stops if it is the primary tile.
+     * @param {string} phoneDeviceId - The tile's phone.
+     */
+    const toggleTilePaused = (phoneDeviceId) => {
+        const paused = !tileSettings[phoneDeviceId]?.paused;
+        const entry = streams.current.get(phoneDeviceId);
+        if (entry && entry.pc) {
+            entry.pc.getReceivers().forEach(({ track }) => {
+                if (track && track.kind === 'video') track.enabled = !paused;
+            });
+        }
+        const video = videoElements.current[phoneDeviceId];
+        if (video) {
+            if (paused) video.pause();
+            else video.play().catch(e => console.error("Video play failed:", e));
+        }
+        setTileSettings((current) => ({ ...current, [phoneDeviceId]: { ...current[phoneDeviceId], paused } }));
+    };
+
     /**
      * Sends a control command to the selected phone or updates local URDF.
      * @param {string} cmd - The control command (e.g., 'forward', 'jump').
-     * @param {string} source - 'button' or 'gesture' to indicate command origin.
+     * @param {string} source - 'button', 'gesture', 'keyboard' or 'gamepad' to indicate command origin.
      */
     const sendCommand = (cmd, source = 'button') => {
         // Only allow commands if Hexapod Robot is selected
@@ -513,24 +1023,153 @@ const ControlPanel = () => {
             return;
         }
 
+        // With rosbridge connected, the command also goes to the ROS robot as a geometry_msgs/Twist
+        const publishedToRos = rosbridge.publishCommand(cmd);
+        // Drive commands walk one gait cycle; 'stop' halts the gait
+        const step = stepCommand(cmd, gaitParams);
+
         if (displayMode === 'urdf') {
-            // If in URDF mode, update local joint states to animate the robot locally
-            setLocalJointStates({ cmd: cmd, timestamp: Date.now() }); // Use timestamp to ensure effect re-runs
+            // If in URDF mode, walk the twin or update local joint states to animate the robot locally
+            if (step || cmd === 'stop') {
+                setGaitCommand(step);
+            } else {
+                setLocalJointStates({ cmd: cmd, timestamp: Date.now() }); // Use timestamp to ensure effect re-runs
+            }
         } else {
             // If in video mode, send command to the selected phone
             if (!selectedPhoneId) {
-                if (source === 'button') { // Only show modal for button clicks
+                if (publishedToRos && (step || cmd === 'stop')) {
+                    setGaitCommand(step);
+                } else if (source === 'button' && !publishedToRos) { // Only show modal for button clicks
                     showCustomModal("Please select a phone to control.");
                 }
                 return;
             }
-            if (socket.current) {
-                socket.current.emit("control", { cmd, targetPhoneId: selectedPhoneId });
-                console.log(`Command "${cmd}" sent to ${selectedPhoneId}`);
+            if (isReadOnly) {
+                if (source === 'button') {
+                    showCustomModal(`Read-only: ${controlLock.holder.email} has control of this phone. Request a handover to take over.`);
+                }
+                return;
+            }
+            if (step || cmd === 'stop') {
+                setGaitCommand(step);
+            }
+            // The phone's twin walks drive commands with the operator's gait settings
+            sendAckedCommand(cmd, selectedPhoneId, { source, robotModel: selectedRobotName, gait: gaitParams, sentAt: Date.now() }).then((ack) => {
+                if (ack.ok) {
+                    console.log(`Command "${cmd}" acknowledged by ${selectedPhoneId} in ${ack.rtt} ms (attempt ${ack.attempts})`);
+                    if (ack.applied === false) {
+                        setStatus(`Phone received "${cmd}" but did not apply it: ${ack.reason}`);
+                    }
+                } else if (!ack.denied) {
+                    setStatus(`Command "${cmd}" failed: ${ack.error}`);
+                }
+            });
+        }
+    };
+
+    /**
+     * Called when a joystick stick is pressed: checks there is something to drive and takes the
+     * selected phone's controller lock if it is free (velocities from anyone else are dropped by the server).
+     * @returns {boolean} False to ignore the press.
+     */
+    const startVelocityControl = () => {
+        if (displayMode === 'urdf') return true;
+        if (!selectedPhoneId) {
+            if (rosbridge.connectionState === 'connected') return true;
+            showCustomModal("Please select a phone to control.");
+            return false;
+        }
+        if (isReadOnly) {
+            showCustomModal(`Read-only: ${controlLock.holder.email} has control of this phone. Request a handover to take over.`);
+            return false;
+        }
+        if (!hasControl && socket.current) {
+            socket.current.emit("acquire_control", { phoneDeviceId: selectedPhoneId });
+        }
+        return true;
+    };
+
+    /**
+     * Sends a joystick velocity to the gait (which walks the twin) and the selected phone, and to ROS when connected.
+     * @param {{ vx: number, vy: number, yawRate: number }} velocity - m/s and rad/s in the robot frame.
+     */
+    const sendVelocity = (velocity) => {
+        rosbridge.publishTwist(twistForVelocity(velocity));
+        setGaitCommand({ ...velocity, at: Date.now() });
+        if (displayMode === 'video' && selectedPhoneId && socket.current && socket.current.connected) {
+            socket.current.emit("velocity", { targetPhoneId: selectedPhoneId, ...velocity, gait: gaitParams, at: Date.now() });
+        }
+    };
+
+    /**
+     * Sends a frame of joint angles (from the gait or the leg IK) to the robot when streaming is on: as ROS
+     * joint commands, and in video mode to the selected device (a robot agent forwards them to the servos).
+     * @param {object} joints - { [jointName]: angle } in radians.
+     */
+    const streamJointAngles = (joints) => {
+        if (!gaitStreaming) return;
+        rosbridge.publishJointStates(joints);
+        if (displayMode === 'video' && selectedPhoneId && !isReadOnly && socket.current && socket.current.connected) {
+            socket.current.emit("joint_states", { targetPhoneId: selectedPhoneId, joints, at: Date.now() });
+        }
+    };
+
+    /**
+     * Poses one hexapod leg from LegIkPanel. Reachable targets move the twin's leg (URDF mode) and are
+     * streamed like gait frames; unreachable ones only move the marker. Streaming to a phone takes its
+     * controller lock if it is free, like a joystick press, and sends the pose again once the lock is
+     * granted (the server drops frames from anyone else).
+     * @param {{ target: object, solution: object }} pose - The foot target and its solveLegIK result.
+     */
+    const poseLeg = ({ target, solution }) => {
+        setIkTarget({ position: target, reachable: solution.reachable });
+        if (!solution.reachable) return;
+        setLocalJointStates(solution.joints);
+        if (gaitStreaming && displayMode === 'video' && selectedPhoneId && !hasControl && !isReadOnly && socket.current) {
+            pendingPose.current = { phoneDeviceId: selectedPhoneId, joints: solution.joints };
+            socket.current.emit("acquire_control", { phoneDeviceId: selectedPhoneId });
+        }
+        streamJointAngles(solution.joints);
+    };
+
+    /**
+     * Sends the leg pose posed while the lock was being taken, now that it is ours.
+     * @param {string} phoneDeviceId - The phone whose lock was granted.
+     */
+    const resendPendingPose = (phoneDeviceId) => {
+        const pose = pendingPose.current;
+        if (!pose || pose.phoneDeviceId !== phoneDeviceId) return;
+        pendingPose.current = null;
+        if (phoneDeviceId === selectedPhoneId && socket.current && socket.current.connected) {
+            socket.current.emit("joint_states", { targetPhoneId: phoneDeviceId, joints: pose.joints, at: Date.now() });
+        }
+    };
+
+    /**
+     * Takes, releases or asks for the controller lock of the selected phone.
+     * @param {'acquire_control'|'release_control'|'request_handover'} action - The lock event to emit.
+     */
+    const emitLockAction = (action) => {
+        if (socket.current && selectedPhoneId) {
+            socket.current.emit(action, { phoneDeviceId: selectedPhoneId });
+            if (action === 'request_handover') {
+                setStatus(`Handover requested from ${controlLock?.holder?.email}...`);
             }
         }
     };
 
+    /**
+     * Answers another operator's handover request.
+     * @param {boolean} accept - Whether to hand over the lock.
+     */
+    const respondToHandover = (accept) => {
+        if (socket.current && handoverRequest) {
+            socket.current.emit("respond_handover", { ...handoverRequest, accept });
+        }
+        setHandoverRequest(null);
+    };
+
     return (
         <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 flex items-center justify-center p-4 sm:p-6 font-inter">
             <meta name="viewport" content="width=device-width, initial-scale=1.0" />
@@ -546,6 +1185,24 @@ const ControlPanel = () => {
                 >
                     Status: <span className="font-mono">{status}</span>
                 </p>
+                {selectedPhoneId && (
+                    <p className={`-mt-4 mb-6 py-1 px-4 rounded-lg text-sm font-semibold text-white
+                        ${linkStats.quality === 'good' ? 'bg-green-700' : linkStats.quality === 'degraded' ? 'bg-yellow-700' : linkStats.quality === 'down' ? 'bg-red-700' : 'bg-gray-700'}`}
+                    >
+                        Link: <span className="font-mono">
+                            {linkStats.quality === 'down' ? 'no response from phone' : `${linkStats.lastRtt ?? '–'} ms (avg ${linkStats.avgRtt ?? '–'} ms)`}
+                        </span>
+                        {linkStats.transport && ` via ${linkStats.transport === 'datachannel' ? 'DataChannel' : 'server'}`}
+                        {' '}· {linkStats.retries} retried · {linkStats.lost} lost
+                        {linkStats.quality === 'degraded' && ' · degraded'}
+                        {phoneTelemetry && phoneTelemetry.phoneDeviceId === selectedPhoneId && (
+                            <span className="block font-normal">
+                                Phone: {{ urdf: `${phoneTelemetry.robotModel} model`, drive: 'tilt controller' }[phoneTelemetry.displayMode] || 'camera feed'}
+                                {phoneTelemetry.lastCommand && ` · last applied "${phoneTelemetry.lastCommand}"`}
+                            </span>
+                        )}
+                    </p>
+                )}
 
                 {/* Phone Selection */}
                 <div className="mb-8 flex flex-col sm:flex-row items-center justify-center gap-4">
@@ -560,9 +1217,11 @@ const ControlPanel = () => {
                             className="block w-full py-2 px-4 pr-10 rounded-lg bg-gray-700 text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent cursor-pointer appearance-none"
                         >
                             <option value="">-- Select a phone --</option>
-                            {availablePhones.length === 0 && <option value="" disabled>No phones online</option>}
-                            {availablePhones.map((id) => (
-                                <option key={id} value={id}>{id}</option>
+                            {!availablePhones.some((phone) => phone.online) && <option value="" disabled>No phones online</option>}
+                            {availablePhones.map((phone) => (
+                                <option key={phone.deviceId} value={phone.deviceId} disabled={!phone.online}>
+                                    {phone.name} ({phone.model}){phone.paired && ' [paired]'} — {phone.online ? 'online' : `last seen ${formatLastSeen(phone.lastSeen)}`}
+                                </option>
                             ))}
                         </select>
                         <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-400">
@@ -570,6 +1229,56 @@ const ControlPanel = () => {
                         </div>
                     </div>
                 </div>
+                <label className="-mt-4 mb-8 flex items-center justify-center gap-2 text-sm text-gray-300">
+                    <input type="checkbox" checked={gridView} onChange={(e) => changeGridView(e.target.checked)} />
+                    Grid view: selecting a phone adds its feed next to the others
+                </label>
+
+                <PhonePresenceList
+                    phones={availablePhones}
+                    selectedPhoneId={selectedPhoneId}
+                    silentPhoneId={silentPhoneId}
+                    onSelect={selectPhone}
+                />
+
+                {silentPhoneId && (
+                    <p role="alert" className="-mt-4 mb-6 py-2 px-4 rounded-lg bg-yellow-600 text-white font-semibold shadow-md animate-pulse">
+                        {availablePhones.find((phone) => phone.deviceId === silentPhoneId)?.name || 'The selected phone'} has stopped responding
+                        {' '}(no heartbeat for {Math.round((Date.now() - lastHeartbeatAt.current[silentPhoneId]) / 1000)} s). Commands may not arrive.
+                    </p>
+                )}
+
+                {/* Pair a phone by QR code or 6-digit code */}
+                <PairingPanel
+                    token={user.token}
+                    getLaptopSocketId={() => socket.current && socket.current.id}
+                    refreshKey={pairingsVersion}
+                />
+
+                <RosbridgeSettings rosbridge={rosbridge} className="mb-8" />
+
+                {selectedPhoneId && (
+                    <MqttPanel
+                        deviceId={selectedPhoneId}
+                        token={user.token}
+                        canConfigure={availablePhones.some((phone) => phone.deviceId === selectedPhoneId && !phone.paired)}
+                        telemetry={mqttTelemetry[selectedPhoneId]}
+                    />
+                )}
+
+                {phoneTelemetry && phoneTelemetry.phoneDeviceId === selectedPhoneId && (
+                    <CameraSettingsPanel camera={phoneTelemetry.camera} onApply={requestCameraSettings} disabled={isReadOnly} />
+                )}
+
+                {selectedSensors && (
+                    <SensorGauges
+                        sensors={selectedSensors}
+                        tiltTwin={tiltTwin}
+                        onTiltTwinChange={setTiltTwin}
+                        onZero={() => setSensorZero({ beta: selectedSensors.orientation.beta || 0, gamma: selectedSensors.orientation.gamma || 0 })}
+                        onRateChange={changeSensorRate}
+                    />
+                )}
 
                 {/* Display Mode & Navigation Buttons */}
                 <div className="mb-8 grid grid-cols-1 sm:grid-cols-3 gap-4">
@@ -593,6 +1302,18 @@ const ControlPanel = () => {
                     >
                         Go to Phone Camera Page
                     </button>
+                    <button
+                        onClick={() => navigate('/sessions')}
+                        className="py-3 px-6 rounded-lg text-lg font-semibold bg-gray-700 text-gray-300 border border-gray-600 shadow-lg transition duration-300 ease-in-out hover:bg-gray-600 hover:text-white transform hover:scale-105"
+                    >
+                        Command History
+                    </button>
+                    <button
+                        onClick={() => navigate(`/bindings?robot=${selectedRobotName}`)}
+                        className="py-3 px-6 rounded-lg text-lg font-semibold bg-gray-700 text-gray-300 border border-gray-600 shadow-lg transition duration-300 ease-in-out hover:bg-gray-600 hover:text-white transform hover:scale-105"
+                    >
+                        Input Bindings
+                    </button>
                 </div>
 
                 {/* Robot Model Selection (only visible in URDF mode) */}
@@ -622,26 +1343,101 @@ const ControlPanel = () => {
                 {/* Video / URDF Display Area */}
                 {displayMode === 'video' && (
                     <>
-                        {selectedPhoneId ? (
-                            <div className="relative w-full aspect-video bg-gray-700 rounded-lg overflow-hidden shadow-inner mb-6 border border-gray-600">
-                                {/* The video element for the remote stream */}
-                                <video
-                                    ref={remoteVideoRef}
-                                    autoPlay
-                                    playsInline
-                                    className="w-full h-full object-contain block"
-                                    style={{ transform: 'scaleX(-1)' }} // Mirror the video for intuitive hand tracking
-                                />
-                                {overlayOn && (
-                                    <div className="absolute inset-0 bg-gray-900 bg-opacity-95 text-white text-xl font-bold flex items-center justify-center rounded-lg">
-                                        Stream Paused
-                                    </div>
-                                )}
+                        {tilePhoneIds.length > 0 ? (
+                            <div className={`mb-6 grid gap-2 ${tilePhoneIds.length > 1 ? 'grid-cols-2' : 'grid-cols-1'}`}>
+                                {tilePhoneIds.map((phoneDeviceId) => {
+                                    const isPrimary = phoneDeviceId === selectedPhoneId;
+                                    const { muted, paused } = tileSettings[phoneDeviceId] || {};
+                                    const lockHolder = lockStates[phoneDeviceId]?.holder;
+                                    return (
+                                        <div
+                                            key={phoneDeviceId}
+                                            className={`relative w-full aspect-video bg-gray-700 rounded-lg overflow-hidden shadow-inner
+                                                ${isPrimary && tilePhoneIds.length > 1 ? 'border-2 border-blue-500' : 'border border-gray-600'}`}
+                                        >
+                                            {/* The video element for the phone's stream */}
+                                            <video
+                                                ref={(video) => registerVideo(phoneDeviceId, video)}
+                                                autoPlay
+                                                playsInline
+                                                className="w-full h-full object-contain block"
+                                                style={{ transform: 'scaleX(-1)' }} // Mirror the video for intuitive hand tracking
+                                            />
+                                            {((isPrimary && overlayOn) || paused) && (
+                                                <div className="absolute inset-0 bg-gray-900 bg-opacity-95 text-white text-xl font-bold flex items-center justify-center rounded-lg">
+                                                    Stream Paused
+                                                </div>
+                                            )}
+                                            {isPrimary && (showStats ? (
+                                                <StreamStatsPanel stats={streamStats} onClose={() => setShowStats(false)} />
+                                            ) : (
+                                                <button
+                                                    onClick={() => setShowStats(true)}
+                                                    className="absolute top-2 left-2 py-1 px-3 rounded-lg bg-gray-900/70 text-white text-sm font-semibold hover:bg-gray-900"
+                                                >
+                                                    📊 Stats
+                                                </button>
+                                            ))}
+                                            {/* Per-tile controls */}
+                                            <div className="absolute bottom-2 inset-x-2 flex items-center justify-between gap-2 text-sm text-white">
+                                                <span className="py-1 px-2 rounded-lg bg-gray-900/70 font-semibold truncate">
+                                                    {isPrimary && tilePhoneIds.length > 1 && '★ '}
+                                                    {availablePhones.find((phone) => phone.deviceId === phoneDeviceId)?.name || phoneDeviceId}
+                                                    {lockHolder && ` · 🔒 ${lockHolder.socketId === mySocketId ? 'you' : lockHolder.email}`}
+                                                </span>
+                                                <div className="flex gap-1">
+                                                    {!isPrimary && (
+                                                        <button onClick={() => selectPhone(phoneDeviceId)} className="py-1 px-2 rounded-lg bg-blue-600 font-semibold hover:bg-blue-700">
+                                                            Make Primary
+                                                        </button>
+                                                    )}
+                                                    <button onClick={() => toggleTileMuted(phoneDeviceId)} className="py-1 px-2 rounded-lg bg-gray-900/70 hover:bg-gray-900" aria-label={muted ? 'Unmute' : 'Mute'}>
+                                                        {muted ? '🔇' : '🔊'}
+                                                    </button>
+                                                    <button onClick={() => toggleTilePaused(phoneDeviceId)} className="py-1 px-2 rounded-lg bg-gray-900/70 hover:bg-gray-900" aria-label={paused ? 'Resume' : 'Pause'}>
+                                                        {paused ? '▶' : '⏸'}
+                                                    </button>
+                                                    <button onClick={() => closeStream(phoneDeviceId)} className="py-1 px-2 rounded-lg bg-gray-900/70 hover:bg-red-700" aria-label="Close stream">
+                                                        ✕
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
                             </div>
                         ) : (
                             <p className="text-gray-400 text-lg my-6">Please select a phone to view its live feed.</p>
                         )}
 
+                        {/* Controller lock: one operator controls, everyone else watches read-only */}
+                        {selectedPhoneId && controlLock && (
+                            <div className={`mb-4 py-2 px-4 rounded-lg flex flex-col sm:flex-row items-center justify-between gap-3 text-white
+                                ${hasControl ? 'bg-green-700' : isReadOnly ? 'bg-yellow-700' : 'bg-gray-700'}`}
+                            >
+                                <span className="font-semibold">
+                                    {hasControl && "You have control of this phone."}
+                                    {isReadOnly && `Read-only: ${controlLock.holder.email} has control${controlLock.holder.disconnected ? ' (disconnected)' : ''}.`}
+                                    {!controlLock.holder && "Nobody is controlling this phone."}
+                                </span>
+                                {hasControl && (
+                                    <button onClick={() => emitLockAction('release_control')} className="py-1 px-3 rounded-lg bg-gray-800 text-sm font-semibold hover:bg-gray-900">
+                                        Release Control
+                                    </button>
+                                )}
+                                {isReadOnly && (
+                                    <button onClick={() => emitLockAction('request_handover')} className="py-1 px-3 rounded-lg bg-gray-800 text-sm font-semibold hover:bg-gray-900">
+                                        Request Handover
+                                    </button>
+                                )}
+                                {!controlLock.holder && (
+                                    <button onClick={() => emitLockAction('acquire_control')} className="py-1 px-3 rounded-lg bg-green-600 text-sm font-semibold hover:bg-green-700">
+                                        Take Control
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
                         {selectedPhoneId && (
                             <button
                                 onClick={() => setOverlayOn(!overlayOn)}
@@ -665,8 +1461,11 @@ const ControlPanel = () => {
                             <directionalLight position={[-2, -5, -2]} intensity={0.5} />
                             <Environment preset="studio" />
                             <Suspense fallback={<Text color="white" anchorX="center" anchorY="middle">Loading Robot...</Text>}>
-                                {/* Pass selectedRobotName to UrdfRobotModel */}
-                                <UrdfRobotModel jointStates={localJointStates} controlMode={displayMode} selectedRobotName={selectedRobotName} />
+                                {/* Pitch about x and roll about z, to match the phone mounted on the robot */}
+                                <group rotation={twinTilt ? [twinTilt.pitch, 0, -twinTilt.roll] : [0, 0, 0]}>
+                                    {/* Pass selectedRobotName to UrdfRobotModel */}
+                                    <UrdfRobotModel jointStates={rosbridge.robotJointStates || localJointStates} controlMode={displayMode} selectedRobotName={selectedRobotName} gait={rosbridge.robotJointStates ? null : gait} ikTarget={ikTarget} />
+                                </group>
                             </Suspense>
                             <OrbitControls />
                         </Canvas>
@@ -731,6 +1530,26 @@ const ControlPanel = () => {
                                     <span className="text-2xl mr-2">🤸</span> Jump
                                 </button>
                             </div>
+                            {/* Hold-to-move: streams velocities instead of single commands */}
+                            <VelocityJoystick
+                                onVelocity={sendVelocity}
+                                onStart={startVelocityControl}
+                                disabled={displayMode === 'video' && isReadOnly}
+                            />
+                            <GaitSettings
+                                params={gaitParams}
+                                onChange={(changes) => setGaitParams((current) => ({ ...current, ...changes }))}
+                                streaming={gaitStreaming}
+                                onStreamingChange={setGaitStreaming}
+                            />
+                            <LegIkPanel onPose={poseLeg} disabled={displayMode === 'video' && isReadOnly} />
+                            <InputIndicator
+                                input={manualInput}
+                                enabled={manualInputOn}
+                                onEnabledChange={setManualInputOn}
+                                keyBindings={inputBindings.keys}
+                                gamepadButtons={inputBindings.gamepadButtons}
+                            />
                         </>
                     ) : (
                         <p className="text-gray-400 text-md">
@@ -740,6 +1559,31 @@ const ControlPanel = () => {
                 </div>
             </div>
 
+            {/* Handover request from another operator */}
+            {handoverRequest && (
+                <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50">
+                    <div className="bg-gray-800 p-8 rounded-lg shadow-xl border border-gray-700 text-center max-w-sm">
+                        <p className="text-white text-lg mb-6">
+                            {handoverRequest.requesterEmail} is asking to take control of this phone.
+                        </p>
+                        <div className="flex justify-center gap-4">
+                            <button
+                                onClick={() => respondToHandover(true)}
+                                className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                            >
+                                Hand Over
+                            </button>
+                            <button
+                                onClick={() => respondToHandover(false)}
+                                className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                            >
+                                Decline
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Custom Modal for Alerts */}
             {showModal && (
                 <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50">
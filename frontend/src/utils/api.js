@@ -0,0 +1,34 @@
+// src/utils/api.js
+
+// REST calls go to the same backend as the signaling socket. When VITE_NODE_SERVER_URL is unset
+// requests stay relative ("/api/...") and the Vite dev server proxies them to the backend.
+export const API_BASE_URL = import.meta.env.VITE_NODE_SERVER_URL || '';
+
+/**
+ * Calls an authenticated backend route and returns its parsed JSON body.
+ * @param {string} path - Route path starting with /api (e.g. '/api/devices').
+ * @param {object} options
+ * @param {string} options.token - The logged-in user's JWT.
+ * @param {string} [options.method='GET'] - HTTP method.
+ * @param {object} [options.body] - JSON payload for POST/PATCH requests.
+ * @returns {Promise<any>} The response JSON.
+ * @throws {Error} With the server's `error` message (and the HTTP `status`) when the response is not ok.
+ */
+export const apiRequest = async (path, { token, method = 'GET', body } = {}) => {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(json.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return json;
+};
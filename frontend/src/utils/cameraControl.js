@@ -0,0 +1,172 @@
+// src/utils/cameraControl.js
+// Camera and microphone settings ControlPanel can change on a streaming phone. PhoneCam applies them
+// to the live tracks: resolution, framerate, torch and zoom through applyConstraints, the bitrate
+// through the RTCRtpSender, and a camera switch through replaceTrack, so no renegotiation is needed.
+
+export const RESOLUTIONS = {
+    low: { label: '640×360', width: 640, height: 360 },
+    medium: { label: '1280×720', width: 1280, height: 720 },
+    high: { label: '1920×1080', width: 1920, height: 1080 },
+};
+
+export const FRAME_RATES = [15, 24, 30, 60];
+
+// bits per second; 0 lets the browser's congestion control decide
+export const MAX_BITRATES = [0, 250000, 500000, 1000000, 2500000];
+
+export const formatBitrate = (bps) => {
+    if (!bps) return 'Auto';
+    return bps >= 1000000 ? `${bps / 1000000} Mbps` : `${bps / 1000} kbps`;
+};
+
+const getCapabilities = (track) => (track && typeof track.getCapabilities === 'function' ? track.getCapabilities() : {});
+
+const getSender = (pc, kind) => (pc ? pc.getSenders().find((sender) => sender.track && sender.track.kind === kind) : null);
+
+/**
+ * What the phone is sending and what its camera supports, for ControlPanel's camera panel.
+ * @param {MediaStream} stream - PhoneCam's local stream.
+ * @param {RTCPeerConnection} [pc] - A peer connection the stream is sent on (they all share its settings).
+ * @returns {Promise<object>} { facingMode, width, height, frameRate, maxBitrate, micMuted, torch, zoom, capabilities }
+ */
+export const describeCamera = async (stream, pc) => {
+    const videoTrack = stream && stream.getVideoTracks()[0];
+    const audioTrack = stream && stream.getAudioTracks()[0];
+    const settings = videoTrack ? videoTrack.getSettings() : {};
+    const capabilities = getCapabilities(videoTrack);
+    const sender = getSender(pc, 'video');
+    const encoding = sender ? (sender.getParameters().encodings || [])[0] : null;
+
+    let cameraCount = 0;
+    try {
+        cameraCount = (await navigator.mediaDevices.enumerateDevices()).filter((device) => device.kind === 'videoinput').length;
+    } catch (error) {
+        console.warn('Could not list cameras:', error);
+    }
+
+    return {
+        facingMode: settings.facingMode || null,
+        width: settings.width || null,
+        height: settings.height || null,
+        frameRate: settings.frameRate ? Math.round(settings.frameRate) : null,
+        maxBitrate: (encoding && encoding.maxBitrate) || 0,
+        micMuted: audioTrack ? !audioTrack.enabled : true,
+        torch: Boolean(settings.torch),
+        zoom: settings.zoom ?? null,
+        capabilities: {
+            canSwitchCamera: cameraCount > 1,
+            torch: Boolean(capabilities.torch),
+            zoom: capabilities.zoom ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step } : null,
+        },
+    };
+};
+
+// Opens the camera facing facingMode (any camera if null) and swaps it into the stream and every peer connection
+const switchCamera = async (stream, pcs, facingMode, { width, height, frameRate }) => {
+    const oldTrack = stream.getVideoTracks()[0];
+    // Many phones can't open a second camera while one is running
+    if (oldTrack) oldTrack.stop();
+
+    const size = {
+        ...(width && { width: { ideal: width } }),
+        ...(height && { height: { ideal: height } }),
+        ...(frameRate && { frameRate: { ideal: frameRate } }),
+    };
+    let newStream;
+    try {
+        newStream = await navigator.mediaDevices.getUserMedia({
+            video: facingMode ? { facingMode: { exact: facingMode }, ...size } : true,
+        });
+    } catch (error) {
+        // Reopen whichever camera we can rather than leave the laptop with a stopped track
+        if (facingMode) await switchCamera(stream, pcs, null, {});
+        throw error;
+    }
+    const newTrack = newStream.getVideoTracks()[0];
+
+    if (oldTrack) stream.removeTrack(oldTrack);
+    stream.addTrack(newTrack);
+    await Promise.all(pcs.map((pc) => {
+        const sender = getSender(pc, 'video') || pc.getSenders().find((candidate) => !candidate.track);
+        return sender ? sender.replaceTrack(newTrack) : null;
+    }));
+    return newTrack;
+};
+
+const setMaxBitrate = async (pcs, maxBitrate) => {
+    const senders = pcs.map((pc) => getSender(pc, 'video')).filter(Boolean);
+    if (senders.length === 0) throw new Error('not streaming');
+    await Promise.all(senders.map((sender) => {
+        const parameters = sender.getParameters();
+        if (!parameters.encodings || parameters.encodings.length === 0) parameters.encodings = [{}];
+        if (maxBitrate) parameters.encodings[0].maxBitrate = maxBitrate;
+        else delete parameters.encodings[0].maxBitrate;
+        return sender.setParameters(parameters);
+    }));
+};
+
+/**
+ * Applies the requested changes to the live tracks. Each change is tried on its own,
+ * so an unsupported one (e.g. torch on a front camera) doesn't block the rest.
+ * @param {MediaStream} stream - PhoneCam's local stream (changed in place on a camera switch).
+ * @param {RTCPeerConnection[]} pcs - The peer connections the stream is sent on, one per watching laptop.
+ * @param {object} changes - Any of { facingMode, resolution, frameRate, maxBitrate, micMuted, torch, zoom }.
+ * @returns {Promise<{ ok: boolean, errors: object, camera: object }>} errors maps each failed setting to its reason.
+ */
+export const applyCameraSettings = async (stream, pcs, changes = {}) => {
+    const errors = {};
+    if (!stream) return { ok: false, errors: { stream: 'camera is not running' }, camera: null };
+
+    const resolution = RESOLUTIONS[changes.resolution];
+    const attempt = async (key, apply) => {
+        if (changes[key] === undefined) return;
+        try {
+            await apply();
+        } catch (error) {
+            errors[key] = error.message || String(error);
+        }
+    };
+
+    await attempt('facingMode', async () => {
+        if (!['user', 'environment'].includes(changes.facingMode)) throw new Error('unknown camera');
+        const current = stream.getVideoTracks()[0];
+        if (current && current.getSettings().facingMode === changes.facingMode) return;
+        const settings = current ? current.getSettings() : {};
+        await switchCamera(stream, pcs, changes.facingMode, settings);
+    });
+
+    await attempt('resolution', async () => {
+        if (!resolution) throw new Error('unknown resolution');
+        await stream.getVideoTracks()[0].applyConstraints({ width: { ideal: resolution.width }, height: { ideal: resolution.height } });
+    });
+
+    await attempt('frameRate', async () => {
+        if (!FRAME_RATES.includes(changes.frameRate)) throw new Error('unsupported framerate');
+        await stream.getVideoTracks()[0].applyConstraints({ frameRate: { ideal: changes.frameRate } });
+    });
+
+    await attempt('maxBitrate', () => {
+        if (!MAX_BITRATES.includes(changes.maxBitrate)) throw new Error('unsupported bitrate');
+        return setMaxBitrate(pcs, changes.maxBitrate);
+    });
+
+    await attempt('micMuted', async () => {
+        stream.getAudioTracks().forEach((track) => { track.enabled = !changes.micMuted; });
+    });
+
+    await attempt('torch', async () => {
+        const track = stream.getVideoTracks()[0];
+        if (!getCapabilities(track).torch) throw new Error('this camera has no torch');
+        await track.applyConstraints({ advanced: [{ torch: Boolean(changes.torch) }] });
+    });
+
+    await attempt('zoom', async () => {
+        const track = stream.getVideoTracks()[0];
+        const { zoom } = getCapabilities(track);
+        if (!zoom) throw new Error('this camera cannot zoom');
+        const value = Math.max(zoom.min, Math.min(zoom.max, Number(changes.zoom)));
+        await track.applyConstraints({ advanced: [{ zoom: value }] });
+    });
+
+    return { ok: Object.keys(errors).length === 0, errors, camera: await describeCamera(stream, pcs[0]) };
+};
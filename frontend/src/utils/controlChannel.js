@@ -0,0 +1,87 @@
+// src/utils/controlChannel.js
+// Control commands, link pings and telemetry over an RTCDataChannel on the video peer connection.
+// Messages are JSON { type, body }: requests also carry an `id`, replies carry `replyTo` instead,
+// and anything else is a one-way event (e.g. telemetry).
+
+// The phone creates the channel with this label; the laptop picks it up in ondatachannel
+export const CONTROL_CHANNEL_LABEL = "control";
+
+/**
+ * Wraps an RTCDataChannel with request/reply matching.
+ * @param {RTCDataChannel} channel - The data channel (open or still connecting).
+ * @param {object} [options]
+ * @param {string} [options.peerId] - Which peer the channel leads to (phone device ID or laptop socket ID).
+ * @param {function} [options.onRequest] - (type, body) => reply body, or a promise of it.
+ * @param {function} [options.onEvent] - (type, body) for one-way messages.
+ * @param {function} [options.onStateChange] - (isOpen) whenever the channel opens or closes.
+ * @returns {{ peerId: string, isOpen: function, request: function, send: function, close: function }}
+ */
+export const wrapControlChannel = (channel, { peerId, onRequest, onEvent, onStateChange } = {}) => {
+    const pending = new Map(); // request id -> { resolve, timer }
+    let nextId = 1;
+
+    const isOpen = () => channel.readyState === "open";
+
+    const sendRaw = (message) => {
+        if (!isOpen()) return false;
+        try {
+            channel.send(JSON.stringify(message));
+            return true;
+        } catch (err) {
+            console.error("Control channel send failed:", err);
+            return false;
+        }
+    };
+
+    const settle = (id, reply) => {
+        const entry = pending.get(id);
+        if (!entry) return;
+        pending.delete(id);
+        clearTimeout(entry.timer);
+        entry.resolve(reply);
+    };
+
+    channel.onmessage = async (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch {
+            console.warn("Control channel: ignoring malformed message");
+            return;
+        }
+        const { id, replyTo, type, body } = message;
+
+        if (replyTo) {
+            settle(replyTo, body);
+        } else if (id) {
+            const reply = onRequest ? await onRequest(type, body) : { error: `Unhandled request "${type}"` };
+            sendRaw({ replyTo: id, body: reply });
+        } else if (onEvent) {
+            onEvent(type, body);
+        }
+    };
+
+    channel.onopen = () => onStateChange && onStateChange(true);
+    channel.onclose = () => {
+        // Nobody will answer now; let callers fall back to Socket.IO right away
+        [...pending.keys()].forEach((id) => settle(id, null));
+        if (onStateChange) onStateChange(false);
+    };
+
+    return {
+        peerId,
+        isOpen,
+        /**
+         * Sends a request and waits for the peer's reply.
+         * @returns {Promise<object|null>} The reply body, or null if the channel is down or the peer didn't answer in time.
+         */
+        request: (type, body, timeoutMs) => new Promise((resolve) => {
+            const id = nextId++;
+            if (!sendRaw({ id, type, body })) return resolve(null);
+            pending.set(id, { resolve, timer: setTimeout(() => settle(id, null), timeoutMs) });
+        }),
+        // Fire-and-forget; returns false when the channel is down so the caller can use Socket.IO instead
+        send: (type, body) => sendRaw({ type, body }),
+        close: () => channel.close(),
+    };
+};
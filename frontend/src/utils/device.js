@@ -0,0 +1,61 @@
+// src/utils/device.js
+// Helpers for giving this browser a stable identity in the device registry (/api/devices).
+
+const DEVICE_ID_KEY = 'phoneDeviceId';
+
+export const getStoredDeviceId = () => localStorage.getItem(DEVICE_ID_KEY);
+
+export const storeDeviceId = (deviceId) => localStorage.setItem(DEVICE_ID_KEY, deviceId);
+
+export const clearStoredDeviceId = () => localStorage.removeItem(DEVICE_ID_KEY);
+
+/**
+ * Best-effort description of the hardware this page runs on, e.g. "Pixel 7 (Android 14)".
+ * Uses User-Agent Client Hints where available and falls back to parsing the user agent string.
+ * @returns {Promise<string>}
+ */
+export const detectDeviceModel = async () => {
+    try {
+        if (navigator.userAgentData?.getHighEntropyValues) {
+            const { model, platform, platformVersion } = await navigator.userAgentData.getHighEntropyValues(['model', 'platformVersion']);
+            const os = [platform, platformVersion].filter(Boolean).join(' ');
+            if (model) return `${model} (${os})`;
+            if (os) return os;
+        }
+    } catch (error) {
+        console.warn('User-Agent Client Hints unavailable:', error);
+    }
+
+    // e.g. "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) ..." -> "iPhone; CPU iPhone OS 17_0 like Mac OS X"
+    const match = navigator.userAgent.match(/\(([^)]+)\)/);
+    return match ? match[1] : 'Unknown device';
+};
+
+/**
+ * Short "last seen" label for the device picker.
+ * @param {string|Date} lastSeen
+ * @returns {string} e.g. "just now", "5 min ago", "3 h ago" or a date.
+ */
+export const formatLastSeen = (lastSeen) => {
+    if (!lastSeen) return 'never';
+    const seconds = Math.round((Date.now() - new Date(lastSeen).getTime()) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+    return new Date(lastSeen).toLocaleDateString();
+};
+
+/**
+ * Network details from the Network Information API (Chromium-based browsers only).
+ * @returns {{ type: string|null, effectiveType: string|null, downlinkMbps: number|null, rttMs: number|null } | null}
+ */
+export const readNetworkInfo = () => {
+    const connection = navigator.connection;
+    if (!connection) return null;
+    return {
+        type: connection.type || null, // e.g. 'wifi', 'cellular'
+        effectiveType: connection.effectiveType || null, // e.g. '4g'
+        downlinkMbps: connection.downlink ?? null,
+        rttMs: connection.rtt ?? null,
+    };
+};
@@ -0,0 +1,184 @@
+// src/utils/hexapodGait.js
+// Gait generator for the hexapod (public/hexapod_robot/crab_model.urdf). Every leg cycles through stance
+// (foot on the ground, pushing the body along) and swing (foot lifted and carried forward); the gait decides
+// which legs swing together. Body velocities use the conventions of utils/velocityControl.
+import { DEFAULT_HEXAPOD_MODEL, neutralFoot, solveLegIK } from './hexapodKinematics';
+import { DEFAULT_VELOCITY_LIMITS, ZERO_VELOCITY } from './velocityControl';
+
+export const GAIT_RATE_HZ = 30; // Joint frames per second while walking
+
+// duty: share of the cycle a foot is on the ground; offsets: where in the cycle each leg's stance starts.
+// Tripod swings three legs at once, ripple one per side, wave one at a time (back to front, right then left).
+export const GAITS = {
+    tripod: { name: 'Tripod', duty: 1 / 2, offsets: { r1: 0, l2: 0, r3: 0, l1: 1 / 2, r2: 1 / 2, l3: 1 / 2 } },
+    ripple: { name: 'Ripple', duty: 2 / 3, offsets: { r3: 0, r2: 1 / 3, r1: 2 / 3, l3: 1 / 2, l2: 5 / 6, l1: 1 / 6 } },
+    wave: { name: 'Wave', duty: 5 / 6, offsets: { r3: 0, r2: 1 / 6, r1: 2 / 6, l3: 3 / 6, l2: 4 / 6, l1: 5 / 6 } },
+};
+
+export const DEFAULT_GAIT_PARAMS = {
+    gait: 'tripod',
+    stepHeight: 0.03, // m, how high a swinging foot is lifted
+    strideLength: 0.06, // m, the longest a foot travels during one stance
+    cycleTime: 1.0, // s, one full stance + swing of every leg
+};
+
+// Ranges for the gait settings sliders
+export const GAIT_PARAM_RANGES = {
+    stepHeight: { min: 0.005, max: 0.06, step: 0.005 },
+    strideLength: { min: 0.01, max: 0.1, step: 0.005 },
+    cycleTime: { min: 0.4, max: 3, step: 0.1 },
+};
+
+const COMMAND_SMOOTHING_S = 0.15; // Time constant the commanded velocity is followed with
+const LIFT_RAMP_S = 0.25; // Time to lower the swinging feet after a stop (and to start lifting them)
+const IDLE_EPSILON = 1e-3;
+
+const isIdle = ({ vx, vy, yawRate }) => Math.abs(vx) + Math.abs(vy) + Math.abs(yawRate) < IDLE_EPSILON;
+
+/**
+ * All joints at 0 rad: the standing pose the gait starts from and settles back into.
+ * @param {object} [model] - See utils/hexapodKinematics.
+ * @returns {object} { [jointName]: 0 }
+ */
+export const neutralJoints = (model = DEFAULT_HEXAPOD_MODEL) => Object.fromEntries(
+    model.legs.flatMap((leg) => Object.values(leg.joints).map((name) => [name, 0])),
+);
+
+/**
+ * Checks gait params received from another device (ControlPanel sends its GaitSettings with drive
+ * commands and velocities), clamping the numbers to GAIT_PARAM_RANGES.
+ * @param {object} params - See DEFAULT_GAIT_PARAMS.
+ * @returns {object|null} Usable params, or null when these aren't gait params.
+ */
+export const sanitizeGaitParams = (params) => {
+    if (!params || !Object.keys(GAITS).includes(params.gait)) return null;
+    const numbers = Object.entries(GAIT_PARAM_RANGES).map(([key, { min, max }]) => {
+        const value = params[key];
+        return [key, Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : DEFAULT_GAIT_PARAMS[key]];
+    });
+    return { gait: params.gait, ...Object.fromEntries(numbers) };
+};
+
+/**
+ * Fastest forward speed the gait reaches with full strides.
+ * @param {object} params - See DEFAULT_GAIT_PARAMS.
+ * @returns {number} m/s
+ */
+export const maxGaitSpeed = ({ gait, strideLength, cycleTime }) => strideLength / (GAITS[gait].duty * cycleTime);
+
+/**
+ * The gait command for one cycle of a discrete drive command, e.g. a press of ControlPanel's Forward button.
+ * @param {string} cmd - 'forward', 'backward', 'left' or 'right'.
+ * @param {object} [params] - See DEFAULT_GAIT_PARAMS.
+ * @returns {object|null} { vx, vy, yawRate, at, duration } for useHexapodGait, or null for other commands.
+ */
+export const stepCommand = (cmd, params = DEFAULT_GAIT_PARAMS) => {
+    const directions = { forward: [1, 0], backward: [-1, 0], left: [0, 1], right: [0, -1] };
+    if (!directions[cmd]) return null;
+    const [forward, turn] = directions[cmd];
+    // Faster than any stride allows: the engine shortens it to full strides
+    return {
+        vx: forward * DEFAULT_VELOCITY_LIMITS.maxSpeed,
+        vy: 0,
+        yawRate: turn * DEFAULT_VELOCITY_LIMITS.maxYawRate,
+        at: Date.now(),
+        duration: params.cycleTime * 1000,
+    };
+};
+
+/**
+ * Creates a gait engine. Call update() at a steady rate with the body velocity wanted; it returns the
+ * joint angles for that moment, solved by inverse kinematics from where each foot should be. Velocities
+ * the stride length can't reach are scaled down, and the velocity actually walked is returned so a twin
+ * can move by it without its feet sliding.
+ * @param {object} [initialParams] - See DEFAULT_GAIT_PARAMS.
+ * @param {object} [initialModel] - Leg geometry, see utils/hexapodKinematics.
+ * @returns {{ update: function, setParams: function, getParams: function, setModel: function }}
+ */
+export const createGaitEngine = (initialParams = DEFAULT_GAIT_PARAMS, initialModel = DEFAULT_HEXAPOD_MODEL) => {
+    let params = { ...DEFAULT_GAIT_PARAMS, ...initialParams };
+    let model = initialModel;
+    let phase = 0; // 0..1 through the cycle
+    let liftScale = 0; // Swing height in use: ramps to 0 on a stop so the feet land before the legs rest
+    let command = ZERO_VELOCITY; // Smoothed target velocity
+
+    // Joint angles of one leg at `local` (0..1 through its own cycle, stance first) for a stance travel of `travel`
+    const legJoints = (leg, local, travel, duty) => {
+        let along; // -0.5..0.5: foot position along its stride, + is where stance begins
+        let height = 0;
+        if (local < duty) {
+            along = 0.5 - local / duty;
+        } else {
+            const swing = (local - duty) / (1 - duty);
+            along = swing - 0.5;
+            height = Math.sin(Math.PI * swing) * params.stepHeight * liftScale;
+        }
+
+        // Feet the legs can't quite reach (long strides and high steps) get the closest pose the joints allow
+        const foot = neutralFoot(leg);
+        return solveLegIK(leg, { x: foot.x + travel.x * along, y: foot.y + travel.y * along, z: foot.z + height }).joints;
+    };
+
+    return {
+        getParams: () => params,
+
+        setParams: (changes) => {
+            params = { ...params, ...changes };
+        },
+
+        // E.g. the model parsed from the URDF once loadHexapodModel resolves
+        setModel: (nextModel) => {
+            model = nextModel;
+        },
+
+        /**
+         * Advances the gait.
+         * @param {number} dt - Seconds since the last update.
+         * @param {{ vx: number, vy: number, yawRate: number }} target - Wanted body velocity (m/s, rad/s); zero to stop.
+         * @returns {{ joints: object, velocity: object, walking: boolean, phase: number }}
+         */
+        update: (dt, target) => {
+            const gait = GAITS[params.gait] || GAITS.tripod;
+            const follow = 1 - Math.exp(-dt / COMMAND_SMOOTHING_S);
+            command = {
+                vx: command.vx + (target.vx - command.vx) * follow,
+                vy: command.vy + (target.vy - command.vy) * follow,
+                yawRate: command.yawRate + (target.yawRate - command.yawRate) * follow,
+            };
+            const commanded = !isIdle(target);
+            liftScale = Math.max(0, Math.min(1, liftScale + (commanded ? dt : -dt) / LIFT_RAMP_S));
+
+            if (!commanded && liftScale === 0 && isIdle(command)) {
+                command = ZERO_VELOCITY;
+                return { joints: neutralJoints(model), velocity: ZERO_VELOCITY, walking: false, phase };
+            }
+
+            // How far each foot travels during a stance at this velocity, shortened to fit the stride length
+            const stanceTime = gait.duty * params.cycleTime;
+            const travels = model.legs.map((leg) => {
+                const foot = neutralFoot(leg);
+                return {
+                    x: (command.vx - command.yawRate * foot.y) * stanceTime,
+                    y: (command.vy + command.yawRate * foot.x) * stanceTime,
+                };
+            });
+            const longest = Math.max(...travels.map((travel) => Math.hypot(travel.x, travel.y)));
+            const scale = longest > params.strideLength ? params.strideLength / longest : 1;
+
+            phase = (phase + dt / params.cycleTime) % 1;
+            const joints = {};
+            model.legs.forEach((leg, i) => {
+                const local = (phase - gait.offsets[leg.id] + 1) % 1;
+                const travel = { x: travels[i].x * scale, y: travels[i].y * scale };
+                Object.assign(joints, legJoints(leg, local, travel, gait.duty));
+            });
+
+            return {
+                joints,
+                velocity: { vx: command.vx * scale, vy: command.vy * scale, yawRate: command.yawRate * scale },
+                walking: true,
+                phase,
+            };
+        },
+    };
+};
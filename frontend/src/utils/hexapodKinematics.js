@@ -0,0 +1,237 @@
+// src/utils/hexapodKinematics.js
+// Leg kinematics of the hexapod, built from the joint origins, axes and limits in crab_model.urdf.
+// Positions are in the thorax frame (x forward, y left, z up, meters); angles are joint positions in radians.
+//
+// Every leg is a coxa turning about the vertical axis followed by a femur and a tibia pitching in the
+// leg's vertical plane. At 0 rad the femur points straight out and the tibia straight down; a positive
+// coxa angle swings the leg clockwise seen from above, a positive femur angle lifts the knee and a
+// positive tibia angle swings the foot outward.
+
+export const HEXAPOD_URDF_PATH = '/hexapod_robot/crab_model.urdf';
+export const LEG_IDS = ['r1', 'r2', 'r3', 'l1', 'l2', 'l3'];
+export const LEG_NAMES = {
+    r1: 'Right front', r2: 'Right middle', r3: 'Right rear',
+    l1: 'Left front', l2: 'Left middle', l3: 'Left rear',
+};
+
+const EPSILON = 1e-6;
+
+const jointNames = (id) => ({ coxa: `coxa_joint_${id}`, femur: `femur_joint_${id}`, tibia: `tibia_joint_${id}` });
+
+// crab_model.urdf as shipped, for use before (or without) loadHexapodModel
+const BUILT_IN_MOUNTS = {
+    r1: { x: 0.087598, y: -0.050575, yaw: -Math.PI / 3 },
+    r2: { x: 0, y: -0.06985, yaw: -Math.PI / 2 },
+    r3: { x: -0.087598, y: -0.050575, yaw: -2 * Math.PI / 3 },
+    l1: { x: 0.087598, y: 0.050575, yaw: Math.PI / 3 },
+    l2: { x: 0, y: 0.06985, yaw: Math.PI / 2 },
+    l3: { x: -0.087598, y: 0.050575, yaw: 2 * Math.PI / 3 },
+};
+const BUILT_IN_LIMIT = { lower: -1.5, upper: 1.5 };
+
+export const DEFAULT_HEXAPOD_MODEL = {
+    legs: LEG_IDS.map((id) => ({
+        id,
+        mount: { x: BUILT_IN_MOUNTS[id].x, y: BUILT_IN_MOUNTS[id].y, z: 0 },
+        yaw: BUILT_IN_MOUNTS[id].yaw,
+        coxaLength: 0.0294,
+        femurLength: 0.08,
+        tibiaLength: 0.117,
+        joints: jointNames(id),
+        limits: { coxa: BUILT_IN_LIMIT, femur: BUILT_IN_LIMIT, tibia: BUILT_IN_LIMIT },
+    })),
+};
+
+// --- Building the model from the URDF ---
+
+const parseTriple = (text) => (text || '0 0 0').trim().split(/\s+/).map(Number);
+const sameTriple = (a, b) => a.every((value, i) => Math.abs(value - b[i]) < 1e-3);
+
+// The leg layout the solver's conventions (see the top of this file) were derived for
+const EXPECTED_AXES = { coxa: [0, 0, -1], femur: [0, 0, -1], tibia: [0, 0, 1] };
+const EXPECTED_RPY = { femur: [-Math.PI / 2, 0, 0], tibia: [Math.PI, 0, Math.PI / 2] };
+
+/**
+ * Reads the legs of a crab_model-style URDF.
+ * @param {string} urdfText - The URDF's XML.
+ * @returns {{ legs: object[] }} A model for the functions below.
+ * @throws {Error} When a leg joint is missing or the legs are built differently than this solver assumes.
+ */
+export const parseHexapodUrdf = (urdfText) => {
+    const doc = new DOMParser().parseFromString(urdfText, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('The URDF is not valid XML');
+    const joints = new Map(Array.from(doc.querySelectorAll('robot > joint')).map((joint) => [joint.getAttribute('name'), joint]));
+
+    const jointElement = (name) => {
+        const joint = joints.get(name);
+        if (!joint) throw new Error(`The URDF has no joint named ${name}`);
+        return joint;
+    };
+    const origin = (name) => {
+        const element = jointElement(name).querySelector('origin');
+        return { xyz: parseTriple(element?.getAttribute('xyz')), rpy: parseTriple(element?.getAttribute('rpy')) };
+    };
+    const limit = (name) => {
+        const element = jointElement(name).querySelector('limit');
+        return { lower: Number(element?.getAttribute('lower') ?? -Math.PI), upper: Number(element?.getAttribute('upper') ?? Math.PI) };
+    };
+    const checkLayout = (name, part) => {
+        const axis = parseTriple(jointElement(name).querySelector('axis')?.getAttribute('xyz') || '1 0 0');
+        if (!sameTriple(axis, EXPECTED_AXES[part]) || (EXPECTED_RPY[part] && !sameTriple(origin(name).rpy, EXPECTED_RPY[part]))) {
+            throw new Error(`Unsupported leg layout at ${name}`);
+        }
+    };
+
+    return {
+        legs: LEG_IDS.map((id) => {
+            const names = jointNames(id);
+            Object.entries(names).forEach(([part, name]) => checkLayout(name, part));
+            const [x, y, z] = origin(`leg_center_joint_${id}`).xyz;
+            return {
+                id,
+                mount: { x, y, z },
+                yaw: origin(names.coxa).rpy[2],
+                coxaLength: origin(names.femur).xyz[0],
+                femurLength: origin(names.tibia).xyz[0],
+                tibiaLength: origin(`tibia_foot_joint_${id}`).xyz[0],
+                joints: names,
+                limits: { coxa: limit(names.coxa), femur: limit(names.femur), tibia: limit(names.tibia) },
+            };
+        }),
+    };
+};
+
+let modelRequest = null;
+
+/**
+ * Fetches and parses crab_model.urdf once; later calls share the result.
+ * @returns {Promise<{ legs: object[] }>}
+ */
+export const loadHexapodModel = () => {
+    if (!modelRequest) {
+        modelRequest = fetch(HEXAPOD_URDF_PATH)
+            .then((response) => {
+                if (!response.ok) throw new Error(`Could not load ${HEXAPOD_URDF_PATH} (status ${response.status})`);
+                return response.text();
+            })
+            .then(parseHexapodUrdf)
+            .catch((error) => {
+                modelRequest = null; // Let a later call retry
+                throw error;
+            });
+    }
+    return modelRequest;
+};
+
+// --- Kinematics ---
+
+/**
+ * Where a leg's foot is for the given joint angles.
+ * @param {object} leg - One of model.legs.
+ * @param {{ coxa: number, femur: number, tibia: number }} angles
+ * @returns {{ x: number, y: number, z: number }} In the thorax frame.
+ */
+export const legForward = (leg, { coxa, femur, tibia }) => {
+    const heading = leg.yaw - coxa;
+    const reach = leg.coxaLength + leg.femurLength * Math.cos(femur) + leg.tibiaLength * Math.sin(femur + tibia);
+    const height = leg.femurLength * Math.sin(femur) - leg.tibiaLength * Math.cos(femur + tibia);
+    return {
+        x: leg.mount.x + reach * Math.cos(heading),
+        y: leg.mount.y + reach * Math.sin(heading),
+        z: leg.mount.z + height,
+    };
+};
+
+/**
+ * Where a leg's foot stands with every joint at 0 rad.
+ * @param {object} leg - One of model.legs.
+ */
+export const neutralFoot = (leg) => legForward(leg, { coxa: 0, femur: 0, tibia: 0 });
+
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+const formatMm = (meters) => `${Math.round(meters * 1000)} mm`;
+
+const toDegrees = (angle) => (angle * 180 / Math.PI).toFixed(0);
+
+// One way of reaching (r, dz) in the leg's vertical plane: the coxa facing `heading`, the knee bent to `bendSign`
+const solveBranch = (leg, heading, r, dz, bendSign) => {
+    const a = leg.femurLength;
+    const b = leg.tibiaLength;
+    const reasons = [];
+
+    const distance = Math.hypot(r, dz);
+    let cosBend = (distance * distance - a * a - b * b) / (2 * a * b);
+    if (cosBend > 1) reasons.push(`${formatMm(distance - a - b)} beyond the leg's reach`);
+    if (cosBend < -1) reasons.push(`${formatMm(Math.abs(a - b) - distance)} too close to the femur joint`);
+    cosBend = Math.max(-1, Math.min(1, cosBend));
+    const bend = bendSign * Math.acos(cosBend); // Tibia direction relative to the femur, + bent downward
+
+    const raw = {
+        coxa: wrapAngle(leg.yaw - heading),
+        femur: wrapAngle(Math.atan2(dz, r) + Math.atan2(b * Math.sin(bend), a + b * cosBend)),
+        tibia: Math.PI / 2 - bend,
+    };
+    Object.entries(raw).forEach(([part, angle]) => {
+        const { lower, upper } = leg.limits[part];
+        if (angle < lower - EPSILON || angle > upper + EPSILON) {
+            reasons.push(`${part} would need ${toDegrees(angle)}° (limit ${toDegrees(lower)}° to ${toDegrees(upper)}°)`);
+        }
+    });
+    return { raw, reasons };
+};
+
+/**
+ * Joint angles that put a leg's foot on a target. The knee above the foot is preferred; the knee below
+ * and the coxa turned away are tried when the joint limits rule it out.
+ * Targets the leg can't reach still get the closest pose, clamped to the joint limits.
+ * @param {object} leg - One of model.legs.
+ * @param {{ x: number, y: number, z: number }} target - Foot position in the thorax frame.
+ * @returns {{ angles: { coxa: number, femur: number, tibia: number }, joints: object, reachable: boolean, reason: string|null }}
+ *   joints maps the URDF joint names to the angles; reason says why an unreachable target is out of reach.
+ */
+export const solveLegIK = (leg, target) => {
+    const dx = target.x - leg.mount.x;
+    const dy = target.y - leg.mount.y;
+    const dz = target.z - leg.mount.z;
+    const horizontal = Math.hypot(dx, dy);
+    const heading = Math.atan2(dy, dx);
+
+    // The femur and tibia work in the vertical plane through the coxa, measured from the femur joint
+    const branches = [
+        solveBranch(leg, heading, horizontal - leg.coxaLength, dz, 1),
+        solveBranch(leg, heading, horizontal - leg.coxaLength, dz, -1),
+        solveBranch(leg, heading + Math.PI, -horizontal - leg.coxaLength, dz, 1),
+        solveBranch(leg, heading + Math.PI, -horizontal - leg.coxaLength, dz, -1),
+    ];
+    const best = branches.find((branch) => branch.reasons.length === 0) || branches[0];
+    const reasons = horizontal < EPSILON ? ['directly above or below the coxa joint', ...best.reasons] : best.reasons;
+
+    const angles = Object.fromEntries(Object.entries(best.raw).map(([part, angle]) => {
+        const { lower, upper } = leg.limits[part];
+        return [part, Math.max(lower, Math.min(upper, angle))];
+    }));
+
+    return {
+        angles,
+        joints: Object.fromEntries(Object.entries(angles).map(([part, angle]) => [leg.joints[part], angle])),
+        reachable: reasons.length === 0,
+        reason: reasons.length > 0 ? reasons.join('; ') : null,
+    };
+};
+
+/**
+ * Solves every leg at once.
+ * @param {{ legs: object[] }} model - DEFAULT_HEXAPOD_MODEL or the result of loadHexapodModel.
+ * @param {object} targets - Leg ID ('r1'...'l3') -> foot target; legs without one stand at their neutral foot.
+ * @returns {{ joints: object, legs: object, reachable: boolean }} joints for all 18 joints by URDF name,
+ *   legs maps each leg ID to its solveLegIK result.
+ */
+export const solveHexapodIK = (model, targets = {}) => {
+    const legs = {};
+    const joints = {};
+    model.legs.forEach((leg) => {
+        legs[leg.id] = solveLegIK(leg, targets[leg.id] || neutralFoot(leg));
+        Object.assign(joints, legs[leg.id].joints);
+    });
+    return { joints, legs, reachable: Object.values(legs).every((solution) => solution.reachable) };
+};
@@ -0,0 +1,37 @@
+// src/utils/iceServers.js
+import { apiRequest } from './api';
+
+// Used when the backend can't be reached, so streaming still works on an open network
+const FALLBACK_CONFIG = { iceServers: [{ urls: 'stun:stun.l.google.com:19302' }], iceTransportPolicy: 'all' };
+const FALLBACK_RETRY_MS = 30 * 1000;
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+
+let cached = null; // { token, promise, expiresAt }: TURN credentials are minted per user, so only for the token they were fetched with
+
+/**
+ * Returns the RTCPeerConnection configuration served by GET /api/ice-servers.
+ * The result is cached until shortly before its TURN credentials expire, so call this
+ * early (e.g. on mount) and setting up a peer connection later won't wait on the network.
+ * @param {string} token - The logged-in user's JWT.
+ * @returns {Promise<RTCConfiguration>} { iceServers, iceTransportPolicy }
+ */
+export const getIceConfig = (token) => {
+    if (cached && cached.token === token && cached.expiresAt > Date.now()) {
+        return cached.promise;
+    }
+
+    const entry = { token, expiresAt: Infinity };
+    entry.promise = apiRequest('/api/ice-servers', { token })
+        .then(({ iceServers, iceTransportPolicy, ttl }) => {
+            // Refresh at 80% of the credential lifetime
+            entry.expiresAt = Date.now() + (ttl ? ttl * 800 : DEFAULT_CACHE_MS);
+            return { iceServers, iceTransportPolicy };
+        })
+        .catch((err) => {
+            console.error("Failed to load ICE servers, falling back to public STUN:", err);
+            entry.expiresAt = Date.now() + FALLBACK_RETRY_MS;
+            return FALLBACK_CONFIG;
+        });
+    cached = entry;
+    return entry.promise;
+};
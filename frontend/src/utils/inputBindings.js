@@ -0,0 +1,150 @@
+// src/utils/inputBindings.js
+// Keyboard, gamepad and gesture bindings for ControlPanel. Held drive commands (forward, backward, left, right)
+// on keys become continuous velocities like the on-screen joystick; everything else is sent once per press.
+// Gamepads use the browser's "standard" mapping: left stick moves, right stick turns.
+// Users can save their own bindings per robot model (/api/bindings, see pages/InputBindingsPage).
+import { apiRequest } from './api';
+
+// Every command an input can be bound to (the server accepts the same list)
+export const COMMANDS = ['forward', 'backward', 'left', 'right', 'up', 'down', 'jump', 'stop'];
+
+// Commands that stream a velocity while held
+export const DRIVE_COMMANDS = ['forward', 'backward', 'left', 'right'];
+
+// 'stop' is the emergency stop: zero velocity and a "stop" command, held until every input is released
+export const DEFAULT_KEY_BINDINGS = {
+    KeyW: 'forward',
+    ArrowUp: 'forward',
+    KeyS: 'backward',
+    ArrowDown: 'backward',
+    KeyA: 'left',
+    ArrowLeft: 'left',
+    KeyD: 'right',
+    ArrowRight: 'right',
+    Space: 'jump',
+    KeyR: 'up',
+    KeyF: 'down',
+    Escape: 'stop',
+};
+
+// Standard-mapping button index -> command
+export const DEFAULT_GAMEPAD_BUTTONS = {
+    0: 'jump',
+    1: 'stop',
+    12: 'up',
+    13: 'down',
+};
+
+// Names of the standard-mapping buttons (Xbox layout), for the input indicator
+export const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home',
+];
+
+// Gestures ControlPanel's hand tracking recognizes, with a description for the binding editor
+export const GESTURES = {
+    Open_Palm_Up: 'Open palm, fingers up',
+    Open_Palm: 'Open palm',
+    Point_Up: 'Index finger pointing up',
+    Fist: 'Fist',
+};
+
+export const DEFAULT_GESTURE_BINDINGS = {
+    Open_Palm_Up: 'left',
+    Open_Palm: 'right',
+    Point_Up: 'up',
+};
+
+export const DEFAULT_BINDINGS = {
+    keys: DEFAULT_KEY_BINDINGS,
+    gamepadButtons: DEFAULT_GAMEPAD_BUTTONS,
+    gestures: DEFAULT_GESTURE_BINDINGS,
+};
+
+export const STICK_DEAD_ZONE = 0.15; // Stick drift below this reads as centered
+
+/**
+ * A readable name for a KeyboardEvent.code, e.g. 'KeyW' -> 'W', 'ArrowUp' -> '↑'.
+ * @param {string} code
+ * @returns {string}
+ */
+export const describeKey = (code) => {
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+};
+
+// Rescales past the dead zone so the stick still reaches ±1
+const applyDeadZone = (value) => {
+    const magnitude = Math.abs(value);
+    if (magnitude < STICK_DEAD_ZONE) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE));
+};
+
+/**
+ * Stick deflections of a standard-mapping gamepad, in the joystick's conventions (see utils/velocityControl).
+ * @param {Gamepad} gamepad
+ * @returns {{ move: { x: number, y: number }, turn: number }} y > 0 is forward.
+ */
+export const readGamepadSticks = (gamepad) => {
+    const [leftX = 0, leftY = 0, rightX = 0] = gamepad.axes;
+    return {
+        move: { x: applyDeadZone(leftX), y: -applyDeadZone(leftY) },
+        turn: applyDeadZone(rightX),
+    };
+};
+
+/**
+ * Joystick deflections for the held drive commands of the keyboard.
+ * @param {Set<string>} heldCommands - Commands whose keys are down.
+ * @returns {{ move: { x: number, y: number }, turn: number }}
+ */
+export const drivesToSticks = (heldCommands) => ({
+    move: { x: 0, y: (heldCommands.has('forward') ? 1 : 0) - (heldCommands.has('backward') ? 1 : 0) },
+    turn: (heldCommands.has('right') ? 1 : 0) - (heldCommands.has('left') ? 1 : 0),
+});
+
+// --- Saved bindings ---
+
+/**
+ * The user's bindings for a robot model, or the defaults when none are saved.
+ * @param {string} robotModel - e.g. 'hexapod_robot'.
+ * @param {string} token - The logged-in user's JWT.
+ * @returns {Promise<{ keys: object, gamepadButtons: object, gestures: object, saved: boolean }>}
+ */
+export const loadInputBindings = async (robotModel, token) => {
+    try {
+        const { keys, gamepadButtons, gestures } = await apiRequest(`/api/bindings/${encodeURIComponent(robotModel)}`, { token });
+        return { keys, gamepadButtons, gestures, saved: true };
+    } catch (error) {
+        if (error.status === 404) return { ...DEFAULT_BINDINGS, saved: false };
+        throw error;
+    }
+};
+
+/**
+ * Saves the bindings for a robot model, replacing any saved before.
+ * @param {string} robotModel
+ * @param {{ keys: object, gamepadButtons: object, gestures: object }} bindings - input -> command maps.
+ * @param {string} token - The logged-in user's JWT.
+ */
+export const saveInputBindings = async (robotModel, { keys, gamepadButtons, gestures }, token) => {
+    await apiRequest(`/api/bindings/${encodeURIComponent(robotModel)}`, { token, method: 'PUT', body: { keys, gamepadButtons, gestures } });
+    return { keys, gamepadButtons, gestures, saved: true };
+};
+
+/**
+ * Forgets the saved bindings of a robot model, which goes back to the defaults.
+ * @param {string} robotModel
+ * @param {string} token - The logged-in user's JWT.
+ */
+export const resetInputBindings = async (robotModel, token) => {
+    try {
+        await apiRequest(`/api/bindings/${encodeURIComponent(robotModel)}`, { token, method: 'DELETE' });
+    } catch (error) {
+        if (error.status !== 404) throw error;
+    }
+    return { ...DEFAULT_BINDINGS, saved: false };
+};
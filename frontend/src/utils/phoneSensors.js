@@ -0,0 +1,115 @@
+// src/utils/phoneSensors.js
+// Samples the phone's motion sensors (accelerometer, gyroscope), DeviceOrientation and geolocation
+// for PhoneCam, which streams them to ControlPanel as "sensors" frames at SENSOR_RATES_HZ.
+
+export const SENSOR_RATES_HZ = [1, 5, 10, 20];
+export const DEFAULT_SENSOR_RATE_HZ = 5;
+
+const SENSOR_RATE_KEY = 'sensorRateHz';
+
+export const loadSensorRate = () => {
+    const stored = Number(localStorage.getItem(SENSOR_RATE_KEY));
+    return SENSOR_RATES_HZ.includes(stored) ? stored : DEFAULT_SENSOR_RATE_HZ;
+};
+
+export const storeSensorRate = (rateHz) => localStorage.setItem(SENSOR_RATE_KEY, String(rateHz));
+
+// Readings are rounded so a frame stays small at 20 Hz
+const round = (value, digits = 2) => (typeof value === 'number' ? Number(value.toFixed(digits)) : null);
+
+const roundAxes = (source, keys) => (source ? Object.fromEntries(keys.map((key) => [key, round(source[key])])) : null);
+
+/**
+ * Asks for motion and orientation access where the browser requires it (iOS 13+).
+ * Must be called from a user gesture, e.g. a button's onClick.
+ * @returns {Promise<boolean>} Whether the sensors may be read.
+ */
+export const requestSensorPermission = async () => {
+    const requests = [window.DeviceMotionEvent, window.DeviceOrientationEvent]
+        .filter((EventType) => EventType && typeof EventType.requestPermission === 'function')
+        .map((EventType) => EventType.requestPermission());
+    if (requests.length === 0) return Boolean(window.DeviceMotionEvent || window.DeviceOrientationEvent);
+    const results = await Promise.all(requests);
+    return results.every((result) => result === 'granted');
+};
+
+/**
+ * Starts listening to the phone's sensors. Readings are kept as they arrive and read() returns the latest of each.
+ * @param {object} [options]
+ * @param {boolean} [options.geolocation] - Also watch the position (asks for location permission).
+ * @param {function} [options.onError] - (message) when a sensor fails, e.g. location permission denied.
+ * @returns {{ read: function, stop: function }} read() returns { motion, orientation, location } (null until a reading arrives).
+ */
+export const startPhoneSensors = ({ geolocation = false, onError } = {}) => {
+    let motion = null;
+    let orientation = null;
+    let location = null;
+    let watchId = null;
+
+    const handleMotion = (event) => {
+        motion = {
+            // Includes gravity, so a phone lying still reads about 9.8 m/s² on one axis
+            acceleration: roundAxes(event.accelerationIncludingGravity, ['x', 'y', 'z']),
+            rotationRate: roundAxes(event.rotationRate, ['alpha', 'beta', 'gamma']),
+        };
+    };
+
+    const handleOrientation = (event) => {
+        orientation = {
+            alpha: round(event.alpha, 1),
+            beta: round(event.beta, 1),
+            gamma: round(event.gamma, 1),
+            absolute: Boolean(event.absolute),
+        };
+    };
+
+    window.addEventListener('devicemotion', handleMotion);
+    window.addEventListener('deviceorientation', handleOrientation);
+
+    if (geolocation) {
+        if (!navigator.geolocation) {
+            if (onError) onError('Geolocation is not available in this browser.');
+        } else {
+            watchId = navigator.geolocation.watchPosition(
+                ({ coords, timestamp }) => {
+                    location = {
+                        latitude: round(coords.latitude, 6),
+                        longitude: round(coords.longitude, 6),
+                        accuracy: round(coords.accuracy, 1),
+                        altitude: round(coords.altitude, 1),
+                        speed: round(coords.speed, 2),
+                        heading: round(coords.heading, 1),
+                        at: timestamp,
+                    };
+                },
+                (error) => onError && onError(`Location unavailable: ${error.message}`),
+                { enableHighAccuracy: true, maximumAge: 1000 }
+            );
+        }
+    }
+
+    return {
+        read: () => ({ motion, orientation, location }),
+        stop: () => {
+            window.removeEventListener('devicemotion', handleMotion);
+            window.removeEventListener('deviceorientation', handleOrientation);
+            if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+        },
+    };
+};
+
+/**
+ * Pitch and roll (radians) of a phone lying screen-up with its top edge pointing forward,
+ * relative to the zero reading, for tilting the ControlPanel twin to match.
+ * @param {{ beta: number, gamma: number }} orientation - DeviceOrientation angles in degrees.
+ * @param {{ beta: number, gamma: number }} [zero] - Reading taken when the robot stood level.
+ * @returns {{ pitch: number, roll: number }}
+ */
+export const orientationToTilt = (orientation, zero = { beta: 0, gamma: 0 }) => {
+    const clamp = (degrees) => Math.max(-90, Math.min(90, degrees));
+    const toRadians = (degrees) => (clamp(degrees) * Math.PI) / 180;
+    return {
+        pitch: toRadians((orientation.beta || 0) - zero.beta),
+        roll: toRadians((orientation.gamma || 0) - zero.gamma),
+    };
+};
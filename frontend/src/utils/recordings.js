@@ -0,0 +1,104 @@
+// src/utils/recordings.js
+// Client for the recordings API (/api/recordings): chunked, resumable video uploads plus the
+// joint-state frames recorded alongside the video.
+import { apiRequest, API_BASE_URL } from './api';
+
+const MAX_CHUNK_ATTEMPTS = 5;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// PUTs one chunk; resolves with the server's upload offset (which may differ from ours after a conflict)
+const putChunk = async (id, chunk, offset, token) => {
+    const response = await fetch(`${API_BASE_URL}/api/recordings/${id}/chunks?offset=${offset}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            Authorization: `Bearer ${token}`,
+        },
+        body: chunk,
+    });
+    const json = await response.json().catch(() => ({}));
+
+    // 409: the server already has more (or fewer) bytes than we thought; continue from its offset
+    if (response.ok || (response.status === 409 && typeof json.uploadOffset === 'number')) {
+        return json.uploadOffset;
+    }
+    const error = new Error(json.error || `Chunk upload failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+};
+
+/**
+ * Uploads the rest of a recording's video, starting from what the server already has.
+ * Failed chunks are retried with backoff; call it again later to resume after a longer outage.
+ * @param {string} id - The recording ID returned by createRecordingUpload.
+ * @param {Blob} blob - The full recorded video.
+ * @param {object} options
+ * @param {string} options.token - The logged-in user's JWT.
+ * @param {number} [options.chunkSize] - Bytes per request (the server suggests one when the upload is created).
+ * @param {function} [options.onProgress] - Called with (uploadedBytes, totalBytes).
+ * @returns {Promise<object>} The completed recording's metadata.
+ */
+export const resumeRecordingUpload = async (id, blob, { token, chunkSize = 5 * 1024 * 1024, onProgress } = {}) => {
+    let { receivedBytes: offset } = await apiRequest(`/api/recordings/${id}`, { token });
+    if (onProgress) onProgress(offset, blob.size);
+
+    while (offset < blob.size) {
+        const chunk = blob.slice(offset, offset + chunkSize);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                offset = await putChunk(id, chunk, offset, token);
+                break;
+            } catch (error) {
+                // Client errors won't get better by retrying
+                if (attempt >= MAX_CHUNK_ATTEMPTS || (error.status >= 400 && error.status < 500)) throw error;
+                await wait(1000 * 2 ** (attempt - 1));
+            }
+        }
+        if (onProgress) onProgress(offset, blob.size);
+    }
+
+    return apiRequest(`/api/recordings/${id}`, { token });
+};
+
+/**
+ * Announces a new recording to the server; the bytes follow with resumeRecordingUpload.
+ * @param {Blob} blob - The recorded video.
+ * @param {object} options
+ * @param {string} options.token - The logged-in user's JWT.
+ * @param {string} [options.title]
+ * @param {number} [options.durationMs]
+ * @param {string} [options.robotModel]
+ * @returns {Promise<object>} The new recording, including the server's suggested chunkSize.
+ */
+export const createRecordingUpload = (blob, { token, title, durationMs, robotModel }) => apiRequest('/api/recordings', {
+    token,
+    method: 'POST',
+    body: { title, mimeType: blob.type || 'video/webm', size: blob.size, durationMs, robotModel },
+});
+
+/**
+ * Attaches joint-state frames to a recording (replacing any uploaded before).
+ * @param {string} id - The recording ID.
+ * @param {Array<object>} frames - Joint-state frames in recording order.
+ * @param {string} token - The logged-in user's JWT.
+ * @returns {Promise<object>} The updated recording.
+ */
+export const uploadJointStates = async (id, frames, token) => {
+    const response = await fetch(`${API_BASE_URL}/api/recordings/${id}/joint-states`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/x-ndjson',
+            Authorization: `Bearer ${token}`,
+        },
+        body: frames.map((frame) => JSON.stringify(frame)).join('\n'),
+    });
+    const json = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(json.error || `Joint-state upload failed with status ${response.status}`);
+    }
+    return json;
+};
+
+// Absolute URL a <video> element can play; streamUrl already carries its access token
+export const recordingStreamUrl = (recording) => `${API_BASE_URL}${recording.streamUrl}`;
@@ -0,0 +1,228 @@
+// src/utils/rosbridge.js
+// Minimal rosbridge v2 protocol client (https://github.com/RobotWebTools/rosbridge_suite/blob/ros2/ROSBRIDGE_PROTOCOL.md)
+// over a plain WebSocket, plus the ROS message conversions this app needs.
+// Every op is a JSON object: { op: 'advertise' | 'publish' | 'subscribe' | 'unsubscribe', topic, ... }.
+
+const SETTINGS_KEY = 'rosbridgeSettings';
+const RECONNECT_DELAY_MS = 2000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// The short "pkg/Type" form is understood by both the ROS 1 and the ROS 2 rosbridge
+export const TWIST_TYPE = 'geometry_msgs/Twist';
+export const JOINT_STATE_TYPE = 'sensor_msgs/JointState';
+
+// ControlPanel buttons publish one Twist per press, scaled by these speeds
+export const DEFAULT_LINEAR_SPEED = 0.2; // m/s
+export const DEFAULT_ANGULAR_SPEED = 0.5; // rad/s
+
+// Commanded joint positions go to their own topic: /joint_states carries what the robot reports back,
+// and publishing there as well would feed our own commands back into the twin.
+export const DEFAULT_ROSBRIDGE_SETTINGS = {
+    enabled: false,
+    url: import.meta.env.VITE_ROSBRIDGE_URL || 'ws://localhost:9090',
+    rosVersion: 2, // Header stamps are { sec, nanosec } in ROS 2 and { secs, nsecs } in ROS 1
+    cmdVelTopic: '/cmd_vel',
+    jointCommandTopic: '/joint_commands',
+    jointStatesTopic: '/joint_states',
+};
+
+export const loadRosbridgeSettings = () => {
+    try {
+        return { ...DEFAULT_ROSBRIDGE_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+    } catch {
+        return DEFAULT_ROSBRIDGE_SETTINGS;
+    }
+};
+
+export const storeRosbridgeSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+/**
+ * Opens a rosbridge connection that reconnects with backoff and restores its advertisements
+ * and subscriptions after every reconnect.
+ * @param {string} url - e.g. "ws://robot.local:9090".
+ * @param {object} [options]
+ * @param {function} [options.onStateChange] - Called with 'connecting' | 'connected' | 'disconnected' | 'closed'.
+ * @returns {{ advertise: function, publish: function, subscribe: function, isConnected: function, close: function }}
+ */
+export const createRosbridgeClient = (url, { onStateChange } = {}) => {
+    const advertised = new Map(); // topic -> message type
+    const subscriptions = new Map(); // topic -> { type, throttleRate, handlers: Set }
+    let ws = null;
+    let closed = false;
+    let reconnectDelay = RECONNECT_DELAY_MS;
+    let reconnectTimer = null;
+
+    const setState = (state) => onStateChange && onStateChange(state);
+    const isConnected = () => Boolean(ws) && ws.readyState === WebSocket.OPEN;
+
+    const sendOp = (message) => {
+        if (!isConnected()) return false;
+        ws.send(JSON.stringify(message));
+        return true;
+    };
+
+    const sendSubscribe = (topic, { type, throttleRate }) => {
+        sendOp({ op: 'subscribe', id: `subscribe:${topic}`, topic, type, throttle_rate: throttleRate });
+    };
+
+    const connect = () => {
+        setState('connecting');
+        const socket = new WebSocket(url);
+        ws = socket;
+
+        socket.onopen = () => {
+            reconnectDelay = RECONNECT_DELAY_MS;
+            advertised.forEach((type, topic) => sendOp({ op: 'advertise', id: `advertise:${topic}`, topic, type }));
+            subscriptions.forEach((subscription, topic) => sendSubscribe(topic, subscription));
+            setState('connected');
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            if (message.op === 'publish') {
+                const subscription = subscriptions.get(message.topic);
+                if (subscription) subscription.handlers.forEach((handler) => handler(message.msg));
+            } else if (message.op === 'status' && message.level === 'error') {
+                console.error('rosbridge:', message.msg);
+            }
+        };
+
+        socket.onclose = () => {
+            if (ws !== socket) return;
+            ws = null;
+            if (closed) return setState('closed');
+
+            setState('disconnected');
+            reconnectTimer = setTimeout(connect, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+        };
+        // onclose follows every error, which is where reconnecting happens
+        socket.onerror = () => {};
+    };
+
+    connect();
+
+    return {
+        isConnected,
+
+        advertise: (topic, type) => {
+            if (advertised.get(topic) === type) return;
+            advertised.set(topic, type);
+            sendOp({ op: 'advertise', id: `advertise:${topic}`, topic, type });
+        },
+
+        /**
+         * Publishes a message on an advertised topic.
+         * @returns {boolean} False when not connected (the message is dropped, not queued).
+         */
+        publish: (topic, msg) => sendOp({ op: 'publish', topic, msg }),
+
+        /**
+         * @param {string} topic
+         * @param {string} type - e.g. "sensor_msgs/JointState".
+         * @param {function} handler - Called with each message.
+         * @param {number} [throttleRate] - Minimum ms between messages, enforced by rosbridge.
+         * @returns {function} Unsubscribes this handler.
+         */
+        subscribe: (topic, type, handler, throttleRate = 0) => {
+            let subscription = subscriptions.get(topic);
+            if (!subscription) {
+                subscription = { type, throttleRate, handlers: new Set() };
+                subscriptions.set(topic, subscription);
+                sendSubscribe(topic, subscription);
+            }
+            subscription.handlers.add(handler);
+
+            return () => {
+                subscription.handlers.delete(handler);
+                if (subscription.handlers.size === 0 && subscriptions.get(topic) === subscription) {
+                    subscriptions.delete(topic);
+                    sendOp({ op: 'unsubscribe', id: `subscribe:${topic}`, topic });
+                }
+            };
+        },
+
+        close: () => {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            if (ws) ws.close();
+            else setState('closed');
+        },
+    };
+};
+
+// --- Message conversions ---
+
+const stamp = (rosVersion, ms = Date.now()) => {
+    const seconds = Math.floor(ms / 1000);
+    const nanoseconds = (ms % 1000) * 1e6;
+    return rosVersion === 1 ? { secs: seconds, nsecs: nanoseconds } : { sec: seconds, nanosec: nanoseconds };
+};
+
+// ControlPanel command -> [linear.x, linear.z, angular.z] in units of the configured speeds
+const COMMAND_TWISTS = {
+    forward: [1, 0, 0],
+    backward: [-1, 0, 0],
+    left: [0, 0, 1],
+    right: [0, 0, -1],
+    up: [0, 1, 0],
+    down: [0, -1, 0],
+    stop: [0, 0, 0],
+};
+
+/**
+ * geometry_msgs/Twist for a ControlPanel command.
+ * @param {string} cmd - e.g. 'forward'.
+ * @returns {object|null} Null for commands without a velocity meaning (e.g. 'jump').
+ */
+export const twistForCommand = (cmd, linearSpeed = DEFAULT_LINEAR_SPEED, angularSpeed = DEFAULT_ANGULAR_SPEED) => {
+    const twist = COMMAND_TWISTS[cmd];
+    if (!twist) return null;
+    const [x, z, yaw] = twist;
+    return {
+        linear: { x: x * linearSpeed, y: 0, z: z * linearSpeed },
+        angular: { x: 0, y: 0, z: yaw * angularSpeed },
+    };
+};
+
+/**
+ * geometry_msgs/Twist for a joystick velocity (see utils/velocityControl).
+ * @param {{ vx: number, vy: number, yawRate: number }} velocity - m/s and rad/s in the robot frame.
+ */
+export const twistForVelocity = ({ vx, vy, yawRate }) => ({
+    linear: { x: vx, y: vy, z: 0 },
+    angular: { x: 0, y: 0, z: yawRate },
+});
+
+// Keys the URDF pages keep next to joint names in their joint-state objects (see UrdfRobotModel)
+const NON_JOINT_KEYS = ['cmd', 'timestamp'];
+
+/**
+ * sensor_msgs/JointState from a { [jointName]: position } map.
+ * Non-joint keys and non-numeric positions are skipped.
+ */
+export const jointStateMessage = (joints, rosVersion = 2) => {
+    const names = Object.keys(joints).filter((name) => !NON_JOINT_KEYS.includes(name)
+        && typeof joints[name] === 'number' && !Number.isNaN(joints[name]));
+    return {
+        header: { stamp: stamp(rosVersion), frame_id: '' },
+        name: names,
+        position: names.map((name) => joints[name]),
+        velocity: [],
+        effort: [],
+    };
+};
+
+// The inverse: sensor_msgs/JointState -> { [jointName]: position }
+export const jointsFromMessage = (msg) => {
+    const joints = {};
+    (msg.name || []).forEach((name, i) => {
+        if (typeof msg.position?.[i] === 'number') joints[name] = msg.position[i];
+    });
+    return joints;
+};
@@ -0,0 +1,15 @@
+// src/utils/signaling.js
+import { io } from "socket.io-client";
+
+// Node server URL for Socket.IO and WebRTC signaling.
+// Set VITE_NODE_SERVER_URL (e.g. "http://192.168.1.20:4000") to reach a backend on another host;
+// otherwise the page's own origin is used and the Vite dev server proxies /socket.io to the local backend.
+export const NODE_SERVER_URL = import.meta.env.VITE_NODE_SERVER_URL || window.location.origin;
+
+/**
+ * Opens an authenticated Socket.IO connection to the signaling server.
+ * The server rejects the handshake unless it carries the JWT returned by /api/user/login.
+ * @param {string} token - The logged-in user's JWT (user.token from the auth context).
+ * @returns {import("socket.io-client").Socket}
+ */
+export const connectSignaling = (token) => io(NODE_SERVER_URL, { auth: { token } });
@@ -0,0 +1,72 @@
+// src/utils/tiltDrive.js
+// Turns a handheld phone's DeviceOrientation into drive commands for PhoneCam's tilt-to-drive mode.
+// Tilting the top edge away drives forward, tilting it back drives backward and rolling the phone
+// left or right turns. Angles are measured from a calibrated neutral position.
+
+export const TILT_OUTPUTS = {
+    commands: 'Commands (forward/backward/left/right)',
+    velocity: 'Continuous velocity',
+};
+
+export const DEFAULT_TILT_SETTINGS = {
+    output: 'commands',
+    deadZoneDeg: 8, // Tilts smaller than this count as neutral
+    maxTiltDeg: 30, // Full speed at this tilt
+    maxSpeed: 0.3, // m/s at full forward tilt
+    maxYawRate: 1.0, // rad/s at full roll
+};
+
+const TILT_SETTINGS_KEY = 'tiltDriveSettings';
+
+export const loadTiltSettings = () => {
+    try {
+        return { ...DEFAULT_TILT_SETTINGS, ...JSON.parse(localStorage.getItem(TILT_SETTINGS_KEY) || '{}') };
+    } catch {
+        return { ...DEFAULT_TILT_SETTINGS };
+    }
+};
+
+export const storeTiltSettings = (settings) => localStorage.setItem(TILT_SETTINGS_KEY, JSON.stringify(settings));
+
+// Maps an angle past the dead zone to -1..1, reaching ±1 at maxTiltDeg
+const normalize = (degrees, { deadZoneDeg, maxTiltDeg }) => {
+    const magnitude = Math.abs(degrees);
+    if (magnitude <= deadZoneDeg) return 0;
+    const span = Math.max(1, maxTiltDeg - deadZoneDeg);
+    return Math.sign(degrees) * Math.min(1, (magnitude - deadZoneDeg) / span);
+};
+
+/**
+ * Tilt away from the neutral position, scaled to -1..1 with the dead zone applied.
+ * @param {{ beta: number, gamma: number }} orientation - Current DeviceOrientation angles in degrees.
+ * @param {{ beta: number, gamma: number }} neutral - Angles recorded by "Calibrate".
+ * @param {object} settings - See DEFAULT_TILT_SETTINGS.
+ * @returns {{ pitch: number, roll: number }} pitch > 0 is forward, roll > 0 is right.
+ */
+export const readTilt = (orientation, neutral, settings) => ({
+    pitch: normalize((neutral.beta || 0) - (orientation.beta || 0), settings),
+    roll: normalize((orientation.gamma || 0) - (neutral.gamma || 0), settings),
+});
+
+/**
+ * The discrete command for a tilt: the stronger axis wins.
+ * @param {{ pitch: number, roll: number }} tilt - From readTilt.
+ * @returns {string|null} 'forward', 'backward', 'left', 'right', or null inside the dead zone.
+ */
+export const tiltToCommand = ({ pitch, roll }) => {
+    if (pitch === 0 && roll === 0) return null;
+    if (Math.abs(pitch) >= Math.abs(roll)) return pitch > 0 ? 'forward' : 'backward';
+    return roll > 0 ? 'right' : 'left';
+};
+
+/**
+ * Velocities for a tilt, in the robot frame (x forward, positive yaw turns left as in ROS).
+ * @param {{ pitch: number, roll: number }} tilt - From readTilt.
+ * @param {object} settings - See DEFAULT_TILT_SETTINGS.
+ * @returns {{ vx: number, vy: number, yawRate: number }}
+ */
+export const tiltToVelocity = ({ pitch, roll }, { maxSpeed, maxYawRate }) => ({
+    vx: Number((pitch * maxSpeed).toFixed(3)),
+    vy: 0,
+    yawRate: Number((-roll * maxYawRate).toFixed(3)),
+});
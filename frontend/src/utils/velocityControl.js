@@ -0,0 +1,50 @@
+// src/utils/velocityControl.js
+// Continuous velocity commands from ControlPanel's joystick, and their integration into a pose for the
+// URDF twins. Velocities use the robot frame: x forward, y left, positive yaw rate turns left (as in ROS).
+
+export const VELOCITY_RATE_HZ = 10; // How often a held joystick sends its velocity
+export const VELOCITY_STALE_MS = 500; // A twin stops when no velocity arrived for this long (e.g. a lost stop message)
+
+export const ZERO_VELOCITY = { vx: 0, vy: 0, yawRate: 0 };
+
+export const DEFAULT_VELOCITY_LIMITS = {
+    maxSpeed: 0.3, // m/s forward or backward at full deflection
+    maxStrafe: 0.2, // m/s sideways
+    maxYawRate: 1.0, // rad/s
+};
+
+const round = (value) => Number(value.toFixed(3));
+
+/**
+ * Velocities for the joystick deflections.
+ * @param {{ x: number, y: number }} move - Move stick in -1..1; y > 0 is forward, x > 0 is right.
+ * @param {number} turn - Turn stick in -1..1; > 0 turns right.
+ * @param {object} [limits] - See DEFAULT_VELOCITY_LIMITS.
+ * @returns {{ vx: number, vy: number, yawRate: number }}
+ */
+export const joystickToVelocity = (move, turn, limits = DEFAULT_VELOCITY_LIMITS) => ({
+    vx: round(move.y * limits.maxSpeed),
+    vy: round(-move.x * limits.maxStrafe),
+    yawRate: round(-turn * limits.maxYawRate),
+});
+
+/**
+ * Advances a pose by a velocity held for dt seconds, in three.js axes: y up, and the robot
+ * facing -z at yaw 0.
+ * @param {{ x: number, z: number, yaw: number }} pose - Position and rotation about y.
+ * @param {{ vx: number, vy: number, yawRate: number }} velocity - In m/s and rad/s.
+ * @param {number} dt - Seconds.
+ * @param {number} [unitsPerMeter=1] - Scale of the model in the scene.
+ * @returns {{ x: number, z: number, yaw: number }}
+ */
+export const integrateVelocity = ({ x, z, yaw }, { vx, vy, yawRate }, dt, unitsPerMeter = 1) => {
+    // Heading at the middle of the step, so driving while turning follows an arc
+    const heading = yaw + (yawRate * dt) / 2;
+    const forward = vx * dt * unitsPerMeter;
+    const left = vy * dt * unitsPerMeter;
+    return {
+        x: x - forward * Math.sin(heading) - left * Math.cos(heading),
+        z: z - forward * Math.cos(heading) + left * Math.sin(heading),
+        yaw: yaw + yawRate * dt,
+    };
+};
@@ -0,0 +1,87 @@
+// src/utils/webrtcStats.js
+// Turns RTCPeerConnection.getStats() reports into per-second samples of the incoming video:
+// bitrate, framerate, resolution, packet loss, jitter, round-trip time and the ICE candidate pair in use.
+
+// Columns of the exported CSV, in order
+export const STATS_FIELDS = [
+    'at', 'bitrateKbps', 'framesPerSecond', 'width', 'height', 'packetLossPercent', 'packetsLost',
+    'jitterMs', 'rttMs', 'localCandidateType', 'remoteCandidateType', 'protocol', 'framesDropped',
+];
+
+const round = (value, digits = 1) => (typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+// The candidate pair ICE is using: the transport's selected pair, or the nominated succeeded one (Firefox)
+const findSelectedPair = (stats) => {
+    const transport = stats.find((entry) => entry.type === 'transport' && entry.selectedCandidatePairId);
+    if (transport) return stats.find((entry) => entry.id === transport.selectedCandidatePairId) || null;
+    return stats.find((entry) => entry.type === 'candidate-pair' && (entry.selected || (entry.nominated && entry.state === 'succeeded'))) || null;
+};
+
+/**
+ * Summarizes one getStats() report. Rates are computed against the previous sample's counters.
+ * @param {RTCStatsReport} report - From pc.getStats().
+ * @param {object} [previous] - The sample returned for the previous report.
+ * @returns {object} A sample with the STATS_FIELDS plus the raw counters (under `counters`) for the next call.
+ */
+export const summarizeStats = (report, previous) => {
+    const stats = Array.from(report.values());
+    const video = stats.find((entry) => entry.type === 'inbound-rtp' && (entry.kind || entry.mediaType) === 'video') || {};
+    const pair = findSelectedPair(stats);
+    const local = pair && stats.find((entry) => entry.id === pair.localCandidateId);
+    const remote = pair && stats.find((entry) => entry.id === pair.remoteCandidateId);
+
+    const counters = {
+        timestamp: video.timestamp || Date.now(),
+        bytesReceived: video.bytesReceived || 0,
+        packetsReceived: video.packetsReceived || 0,
+        packetsLost: video.packetsLost || 0,
+    };
+    const before = previous && previous.counters;
+    const seconds = before ? (counters.timestamp - before.timestamp) / 1000 : 0;
+    const lost = before ? counters.packetsLost - before.packetsLost : 0;
+    const received = before ? counters.packetsReceived - before.packetsReceived : 0;
+
+    return {
+        at: Date.now(),
+        bitrateKbps: seconds > 0 ? round(((counters.bytesReceived - before.bytesReceived) * 8) / seconds / 1000, 0) : null,
+        framesPerSecond: round(video.framesPerSecond),
+        width: video.frameWidth || null,
+        height: video.frameHeight || null,
+        packetLossPercent: lost + received > 0 ? round((Math.max(0, lost) / (lost + received)) * 100, 2) : (before ? 0 : null),
+        packetsLost: counters.packetsLost,
+        jitterMs: typeof video.jitter === 'number' ? round(video.jitter * 1000) : null,
+        rttMs: pair && typeof pair.currentRoundTripTime === 'number' ? round(pair.currentRoundTripTime * 1000, 0) : null,
+        localCandidateType: local ? local.candidateType : null,
+        remoteCandidateType: remote ? remote.candidateType : null,
+        protocol: local ? local.protocol : null,
+        framesDropped: video.framesDropped ?? null,
+        counters,
+    };
+};
+
+/**
+ * @param {object[]} samples - Samples from summarizeStats.
+ * @returns {string} CSV with a header row of STATS_FIELDS; `at` is an ISO timestamp.
+ */
+export const statsToCsv = (samples) => {
+    const rows = samples.map((sample) => STATS_FIELDS.map((field) => {
+        if (field === 'at') return new Date(sample.at).toISOString();
+        return sample[field] ?? '';
+    }).join(','));
+    return [STATS_FIELDS.join(','), ...rows].join('\n');
+};
+
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type, e.g. 'text/csv'.
+ */
+export const downloadText = (filename, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -11,6 +11,11 @@ export default defineConfig({
         changeOrigin: true, // Necessary for virtual hosted sites
         rewrite: (path) => path.replace(/^\/api/, '/api'), // Rewrite /api to /api (or remove if your backend also uses /api)
       },
+      '/socket.io': { // Socket.IO signaling for ControlPanel and PhoneCam
+        target: 'http://localhost:4000',
+        ws: true, // Proxy the WebSocket upgrade as well as the polling requests
+        changeOrigin: true,
+      },
     },
   },
 })
\ No newline at end of file